@@ -0,0 +1,158 @@
+import http from 'node:http';
+import https from 'node:https';
+import { PROXY_PATH, PROXY_HEADERS, encodeHeaderList, decodeHeaderList } from '../src/utils/proxy.js';
+
+// Vite plugin for the local proxy the app can send requests through (see
+// src/utils/proxy.js). It runs in the dev and preview servers only, so the
+// built app has no proxy unless it is served with vite preview.
+
+const MAX_REDIRECTS = 20;
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+// Headers the target's response keeps on the way to the browser; everything
+// else only travels in the encoded list, so the browser doesn't act on it
+// (Set-Cookie, Location, WWW-Authenticate, Clear-Site-Data and so on)
+const PASSED_RESPONSE_HEADERS = ['content-type', 'content-encoding', 'content-length'];
+
+// Credentials and the Host override are for the original server only, as
+// browsers do on cross-origin redirects
+const ORIGIN_BOUND_HEADERS = ['authorization', 'cookie', 'host'];
+
+const BODY_HEADERS = ['content-type', 'content-length', 'content-encoding'];
+
+const isLoopback = (address) => /^(127\.|::1$|::ffff:127\.)/.test(address || '');
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+const sendError = (res, status, message) => {
+  res.statusCode = status;
+  res.setHeader(PROXY_HEADERS.error, encodeURIComponent(message));
+  res.setHeader('content-type', 'text/plain; charset=utf-8');
+  res.end(message);
+};
+
+// Node wants repeated headers as arrays
+const toNodeHeaders = (headers) => headers.reduce((result, [key, value]) => {
+  const name = key.toLowerCase();
+  if (name in result) result[name] = [].concat(result[name], value);
+  else result[name] = value;
+  return result;
+}, {});
+
+const withoutHeaders = (headers, names) => headers.filter(([key]) => !names.includes(key.toLowerCase()));
+
+const send = (url, { method, headers, body }, onRequest) => new Promise((resolve, reject) => {
+  const request = (url.protocol === 'https:' ? https : http).request(url, { method, headers: toNodeHeaders(headers) }, resolve);
+  onRequest(request);
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Follow redirects the way fetch() does: 303, and 301 or 302 after a POST,
+// turn into a GET without a body
+const fetchUpstream = async (target, { method, headers, body }, onRequest) => {
+  let url = target;
+  let current = { method, headers, body };
+  for (let redirects = 0; ; redirects++) {
+    const upstream = await send(url, current, onRequest);
+    const location = upstream.headers.location;
+    if (!REDIRECT_STATUSES.has(upstream.statusCode) || !location || redirects === MAX_REDIRECTS) {
+      return { upstream, url, redirected: redirects > 0 };
+    }
+    upstream.resume();
+    const next = new URL(location, url);
+    const toGet = upstream.statusCode === 303 || ([301, 302].includes(upstream.statusCode) && current.method === 'POST');
+    let nextHeaders = current.headers;
+    if (toGet) nextHeaders = withoutHeaders(nextHeaders, BODY_HEADERS);
+    if (next.origin !== url.origin) nextHeaders = withoutHeaders(nextHeaders, ORIGIN_BOUND_HEADERS);
+    current = toGet
+      ? { method: current.method === 'HEAD' ? 'HEAD' : 'GET', headers: nextHeaders, body: undefined }
+      : { ...current, headers: nextHeaders };
+    url = next;
+  }
+};
+
+export const handleProxyRequest = async (req, res) => {
+  // Only the app itself may use the proxy: not other sites open in the
+  // browser, and not other clients, which could otherwise reach internal
+  // addresses through it. Browsers mark the app's own requests same-origin;
+  // a client on another machine (vite --host) could forge that, so it must
+  // also come from this machine.
+  if (!isLoopback(req.socket.remoteAddress)) {
+    sendError(res, 403, 'The proxy only serves the app on this machine');
+    return;
+  }
+  if (req.headers['sec-fetch-site'] !== 'same-origin') {
+    sendError(res, 403, 'Only same-origin requests from the app are proxied');
+    return;
+  }
+  let target;
+  try {
+    target = new URL(req.headers[PROXY_HEADERS.target]);
+    if (!['http:', 'https:'].includes(target.protocol)) throw new Error('unsupported protocol');
+  } catch {
+    sendError(res, 400, `Invalid target URL: ${req.headers[PROXY_HEADERS.target] || '(none)'}`);
+    return;
+  }
+
+  let upstreamRequest = null;
+  // Cancelling in the app closes the connection; stop the upstream request too
+  res.on('close', () => {
+    if (!res.writableFinished) upstreamRequest?.destroy();
+  });
+
+  try {
+    const body = await readBody(req);
+    let headers = decodeHeaderList(req.headers[PROXY_HEADERS.requestHeaders]);
+    const hasHeader = (name) => headers.some(([key]) => key.toLowerCase() === name);
+    // Multipart bodies get their boundary from the browser's Content-Type
+    if (body.length > 0 && !hasHeader('content-type') && req.headers['content-type']) {
+      headers = [...headers, ['Content-Type', req.headers['content-type']]];
+    }
+    if (body.length > 0 && !hasHeader('content-length')) {
+      headers = [...headers, ['Content-Length', String(body.length)]];
+    }
+    const { upstream, url, redirected } = await fetchUpstream(target, {
+      method: req.method,
+      headers,
+      body: body.length > 0 ? body : undefined,
+    }, (request) => {
+      upstreamRequest = request;
+    });
+
+    const responseHeaders = [];
+    for (let i = 0; i < upstream.rawHeaders.length; i += 2) {
+      responseHeaders.push([upstream.rawHeaders[i], upstream.rawHeaders[i + 1]]);
+    }
+    res.statusCode = upstream.statusCode;
+    res.statusMessage = upstream.statusMessage || '';
+    responseHeaders
+      .filter(([key]) => PASSED_RESPONSE_HEADERS.includes(key.toLowerCase()))
+      .forEach(([key, value]) => res.setHeader(key, value));
+    res.setHeader(PROXY_HEADERS.responseHeaders, encodeHeaderList(responseHeaders));
+    if (redirected) res.setHeader(PROXY_HEADERS.finalUrl, encodeURIComponent(url.href));
+    // Headers are sent by now, so a failed body can only cut the response off
+    upstream.on('error', () => res.destroy());
+    upstream.pipe(res);
+  } catch (error) {
+    if (!res.headersSent && !res.destroyed) sendError(res, 502, error.message);
+  }
+};
+
+export default function corsProxy() {
+  return {
+    name: 'cors-proxy',
+    configureServer(server) {
+      server.middlewares.use(PROXY_PATH, handleProxyRequest);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use(PROXY_PATH, handleProxyRequest);
+    },
+  };
+}
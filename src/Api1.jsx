@@ -1,15 +1,111 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { Send, History, Trash2, Clock, X, Copy, Check, AlertCircle, RefreshCw, Loader, BarChart3 } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import { Send, History, Trash2, Clock, X, Copy, Check, AlertCircle, RefreshCw, Loader, BarChart3, Library, Code2, Download, Upload, GitCompare, Pin, HardDrive, Server } from 'lucide-react';
+import EnvironmentManager from './components/EnvironmentManager';
+import CollectionsPanel from './components/CollectionsPanel';
+import CollectionRunner from './components/CollectionRunner';
+import CurlImport from './components/CurlImport';
+import CodePanel from './components/CodePanel';
+import OpenApiImport from './components/OpenApiImport';
+import HarImport from './components/HarImport';
+import HistoryDiff from './components/HistoryDiff';
+import HistoryFilters from './components/HistoryFilters';
+import HistoryStorage from './components/HistoryStorage';
+import AnalyticsDashboard from './components/AnalyticsDashboard';
+import RequestTabs from './components/RequestTabs';
+import MockServerPanel from './components/MockServerPanel';
+import WebSocketPanel from './components/WebSocketPanel';
+import KeyValueEditor from './components/KeyValueEditor';
+import BodyEditor from './components/BodyEditor';
+import AuthEditor from './components/AuthEditor';
+import ResponseInspector from './components/ResponseInspector';
+import ScriptsEditor from './components/ScriptsEditor';
+import RequestSettings from './components/RequestSettings';
+import TestResults from './components/TestResults';
+import { loadCollections, saveCollection, deleteCollection } from './utils/collections';
+import { loadEnvironments, saveEnvironments, createEnvironment, getVariableMap, resolveRequest, findMissingVariables, applyVariableChanges } from './utils/environments';
+import { BODY_METHODS } from './utils/request';
+import { executeRequest, errorOutcome, OUTCOME_LABELS } from './utils/execute';
+import { loadSettings, saveSettings, effectiveTimeout } from './utils/settings';
+import { normalizeRetry } from './utils/retry';
+import { historyToHar } from './utils/har';
+import { DEFAULT_HISTORY_FILTER, filterKey, isFilterActive } from './utils/historyFilter';
+import { getHistoryStore } from './utils/historyStore';
+import { shouldProxy } from './utils/proxy';
+import { loadMocks, saveMocks, mockRouteFromHistory } from './utils/mocks';
+import { WEBSOCKET_METHOD } from './utils/websocket';
+import { saveHistoryEntry, saveHistoryEntries, applyRetention, freeSpaceIfNeeded, compactEntry } from './utils/retention';
+import {
+  toRows,
+  serializeRows,
+  headerEntries,
+  rowsToHeaderJson,
+  parseHeaderJson,
+  parseQueryRows,
+  buildUrlWithQuery,
+  syncQueryRows,
+  COMMON_HEADERS,
+  findHeaderValue,
+} from './utils/keyValue';
+import { fileMeta, serializeFields, toFieldRows, inferBodyType } from './utils/requestBody';
+import { downloadFile } from './utils/download';
+import { normalizeAuth, authTemplates, missingSecrets, createAuth, secretPaths } from './utils/auth';
+import { formatBytes } from './utils/responseInfo';
+import { isBinaryKind, summarizeBinaryBody } from './utils/responseBody';
+import { createScripts, hasScripts, summarizeTests } from './utils/scripts';
+import {
+  loadWorkspace,
+  saveWorkspace,
+  createTab,
+  restoreRequest,
+  restoreResponse,
+  draftOf,
+  draftKey,
+  storedResponseOf,
+  tabTitle,
+  DEFAULT_REQUEST,
+  EMPTY_RESPONSE,
+} from './utils/workspace';
+
+const WORKSPACE_SAVE_DELAY_MS = 500;
 
 function RestClient() {
-  const [method, setMethod] = useState('GET');
-  const [url, setUrl] = useState('https://jsonplaceholder.typicode.com/posts/1');
-  const [headers, setHeaders] = useState('{\n "Content-Type": "application/json"\n}');
-  const [body, setBody] = useState('');
-  const [response, setResponse] = useState('');
-  const [statusCode, setStatusCode] = useState(null);
-  const [duration, setDuration] = useState(null);
-  const [loading, setLoading] = useState(false);
+  // Open tabs and their drafts, restored once. The builder state below is
+  // the active tab's; see utils/workspace.js.
+  const [workspace] = useState(loadWorkspace);
+  const [tabs, setTabs] = useState(workspace.tabs);
+  const [activeTabId, setActiveTabId] = useState(workspace.activeId);
+  const restored = workspace.tabs.find(tab => tab.id === workspace.activeId);
+  const [method, setMethod] = useState(restored.request.method);
+  const [url, setUrl] = useState(restored.request.url);
+  const [headerRows, setHeaderRows] = useState(restored.request.headerRows);
+  const [headerMode, setHeaderMode] = useState(restored.request.headerMode);
+  const [headersText, setHeadersText] = useState(restored.request.headersText);
+  const [headersError, setHeadersError] = useState('');
+  const [paramRows, setParamRows] = useState(restored.request.paramRows);
+  const [editorTab, setEditorTab] = useState(restored.request.editorTab);
+  const [body, setBody] = useState(restored.request.body);
+  const [bodyType, setBodyType] = useState(restored.request.bodyType);
+  const [bodyContentType, setBodyContentType] = useState(restored.request.bodyContentType);
+  const [formFields, setFormFields] = useState(restored.request.formFields);
+  const [binaryFile, setBinaryFile] = useState(restored.request.binaryFile);
+  const [auth, setAuth] = useState(restored.request.auth);
+  const [scripts, setScripts] = useState(restored.request.scripts);
+  const [scriptResults, setScriptResults] = useState(restored.response.scriptResults);
+  const [requestTimeout, setRequestTimeout] = useState(restored.request.requestTimeout);
+  const [retry, setRetry] = useState(restored.request.retry);
+  const [proxy, setProxy] = useState(restored.request.proxy);
+  const [protocols, setProtocols] = useState(restored.request.protocols);
+  const [attempts, setAttempts] = useState(restored.response.attempts);
+  const [settings, setSettings] = useState(() => loadSettings());
+  const [response, setResponse] = useState(restored.response.response);
+  const [responseMeta, setResponseMeta] = useState(restored.response.responseMeta);
+  const [responseBody, setResponseBody] = useState(restored.response.responseBody);
+  const [statusCode, setStatusCode] = useState(restored.response.statusCode);
+  const [outcome, setOutcome] = useState(restored.response.outcome);
+  const [duration, setDuration] = useState(restored.response.duration);
+  // Ids of tabs with a request in flight
+  const [sendingTabs, setSendingTabs] = useState(() => new Set());
+  const loading = sendingTabs.has(activeTabId);
   const [history, setHistory] = useState([]);
   const [showHistory, setShowHistory] = useState(false);
   const [page, setPage] = useState(1);
@@ -18,120 +114,94 @@ function RestClient() {
   const [totalCount, setTotalCount] = useState(0);
   const [hasMore, setHasMore] = useState(false);
   const [showStats, setShowStats] = useState(false);
-  const [stats, setStats] = useState(null);
+  const [statsVersion, setStatsVersion] = useState(0);
+  const [environments, setEnvironments] = useState(() => loadEnvironments().environments);
+  const [activeEnvId, setActiveEnvId] = useState(() => loadEnvironments().activeId);
+  const [collections, setCollections] = useState(() => loadCollections());
+  const [showCollections, setShowCollections] = useState(false);
+  const [runnerTarget, setRunnerTarget] = useState(null);
+  // Looked up by id so the runner sees edits, such as its retry policy
+  const runnerCollection = runnerTarget && collections.find(c => c.id === runnerTarget.collectionId);
+  const [showCode, setShowCode] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [showHarImport, setShowHarImport] = useState(false);
+  const [comparing, setComparing] = useState(null);
+  const [historyFilter, setHistoryFilter] = useState(DEFAULT_HISTORY_FILTER);
+  const [matchCount, setMatchCount] = useState(0);
+  const [historyHostList, setHistoryHostList] = useState([]);
+  const [showStorage, setShowStorage] = useState(false);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [historyNotice, setHistoryNotice] = useState(null);
+  const [mockServer, setMockServer] = useState(loadMocks);
+  const [showMocks, setShowMocks] = useState(false);
+  const [expandedMockId, setExpandedMockId] = useState(null);
   const ITEMS_PER_PAGE = 20;
   const observerTarget = useRef(null);
   const historyCache = useRef(new Map());
+  // In-flight request controllers by tab id
+  const requestControllers = useRef(new Map());
+  // For requests that finish after their tab was switched away from
+  const activeTabRef = useRef(activeTabId);
+  // The full response of the last saved entry, in case it is pinned
+  const lastSaved = useRef(null);
 
-  // Compute stats from history (client-side)
-  const computeStats = useCallback((historyData) => {
-    if (!historyData.length) return { total: 0, avgDuration: 0, methodStats: [] };
-    const total = historyData.length;
-    const avgDuration = Math.round(historyData.reduce((sum, item) => sum + (item.duration || 0), 0) / total);
-    const methodCounts = historyData.reduce((acc, item) => {
-      acc[item.method] = (acc[item.method] || 0) + 1;
-      return acc;
-    }, {});
-    const methodStats = Object.entries(methodCounts)
-      .map(([method, count]) => ({ method, count }))
-      .sort((a, b) => b.count - a.count)
-      .slice(0, 3);
-    return { total, avgDuration, methodStats };
-  }, []);
-
-  // Get all request keys from localStorage
-  const getRequestKeys = useCallback(() => {
-    const keys = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith('request:')) {
-        keys.push(key);
-      }
-    }
-    return keys;
-  }, []);
-
-  // Load statistics from localStorage
+  // Load the entry count and storage usage. Bumps statsVersion so the
+  // analytics dashboard reloads too.
   const loadStats = useCallback(async () => {
     try {
-      const keys = getRequestKeys();
-      if (keys.length === 0) {
-        setStats({ total: 0, avgDuration: 0, methodStats: [] });
-        setTotalCount(0);
-        return;
-      }
-      // Limit to recent 100 for performance
-      const recentKeys = keys.slice(-100);
-      const historyData = await Promise.all(
-        recentKeys.map(async (key) => {
-          try {
-            const itemStr = localStorage.getItem(key);
-            return itemStr ? JSON.parse(itemStr) : null;
-          } catch {
-            return null;
-          }
-        })
-      );
-      const filteredData = historyData.filter(item => item !== null);
-      const computed = computeStats(filteredData);
-      setStats(computed);
-      setTotalCount(keys.length); // Use full count from keys
+      const store = await getHistoryStore();
+      const [total, usage] = await Promise.all([store.count(), store.usage()]);
+      setTotalCount(total);
+      setStorageUsage(usage);
     } catch (error) {
       console.error('Failed to load stats:', error);
-      setStats({ total: 0, avgDuration: 0, methodStats: [] });
       setTotalCount(0);
     }
-  }, [computeStats, getRequestKeys]);
+    setStatsVersion(version => version + 1);
+  }, []);
 
-  // Load history with pagination from localStorage
+  // Load a page of history entries matching the history filter. Each page
+  // continues from the cursor the previous one ended at; pages are cached
+  // per filter.
   const loadHistory = useCallback(async (pageNum = 1, append = false) => {
-    const cacheKey = `page_${pageNum}`;
+    const pageKey = (n) => `${filterKey(historyFilter)}:page_${n}`;
+    const cacheKey = pageKey(pageNum);
    
     // Check cache
     if (historyCache.current.has(cacheKey) && !append) {
       const cached = historyCache.current.get(cacheKey);
       setHistory(cached.items);
       setHasMore(cached.hasMore);
+      setMatchCount(cached.matchCount);
+      setHistoryHostList(cached.hosts);
       return;
     }
+    const previous = pageNum > 1 ? historyCache.current.get(pageKey(pageNum - 1)) : null;
+    if (pageNum > 1 && !previous?.nextCursor) return;
     setIsLoadingHistory(true);
     try {
-      const keys = getRequestKeys();
-      if (keys.length === 0) {
-        setHistory([]);
-        setTotalCount(0);
-        setHasMore(false);
-        return;
-      }
-      // Fetch all items (since localStorage is small)
-      const historyData = await Promise.all(
-        keys.map(async (key) => {
-          try {
-            const itemStr = localStorage.getItem(key);
-            return itemStr ? JSON.parse(itemStr) : null;
-          } catch {
-            return null;
-          }
-        })
-      );
-      const sorted = historyData
-        .filter(item => item !== null)
-        .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-      setTotalCount(sorted.length);
-      // Implement pagination
-      const startIndex = (pageNum - 1) * ITEMS_PER_PAGE;
-      const endIndex = startIndex + ITEMS_PER_PAGE;
-      const paginatedItems = sorted.slice(startIndex, endIndex);
-      const hasMoreItems = endIndex < sorted.length;
+      const store = await getHistoryStore();
+      // The match count and host list only change when page 1 is reloaded
+      const [result, matches, hosts] = await Promise.all([
+        store.list({ filter: historyFilter, cursor: previous?.nextCursor, limit: ITEMS_PER_PAGE }),
+        previous ? previous.matchCount : store.count(historyFilter),
+        previous ? previous.hosts : store.hosts(),
+      ]);
+      const hasMoreItems = Boolean(result.nextCursor);
+      setMatchCount(matches);
+      setHistoryHostList(hosts);
       // Cache the result
       historyCache.current.set(cacheKey, {
-        items: paginatedItems,
-        hasMore: hasMoreItems
+        items: result.items,
+        hasMore: hasMoreItems,
+        nextCursor: result.nextCursor,
+        matchCount: matches,
+        hosts,
       });
       if (append && pageNum > 1) {
-        setHistory(prev => [...prev, ...paginatedItems]);
+        setHistory(prev => [...prev, ...result.items]);
       } else {
-        setHistory(paginatedItems);
+        setHistory(result.items);
       }
        
       setHasMore(hasMoreItems);
@@ -141,13 +211,315 @@ function RestClient() {
     } finally {
       setIsLoadingHistory(false);
     }
-  }, [getRequestKeys]);
+  }, [historyFilter]);
 
   // Initial load
   useEffect(() => {
-    loadHistory(1);
     loadStats();
-  }, [loadHistory, loadStats]);
+  }, [loadStats]);
+
+  // Load the first page initially and whenever the filter changes
+  useEffect(() => {
+    setPage(1);
+    loadHistory(1);
+  }, [loadHistory]);
+
+  // Persist environments whenever they change
+  useEffect(() => {
+    saveEnvironments(environments, activeEnvId);
+  }, [environments, activeEnvId]);
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    saveMocks(mockServer);
+  }, [mockServer]);
+
+  const activeEnvironment = environments.find(env => env.id === activeEnvId) || null;
+  const viaProxy = shouldProxy({ proxy }, activeEnvironment);
+  const variables = useMemo(() => getVariableMap(activeEnvironment), [activeEnvironment]);
+  const missingVariables = useMemo(
+    () => findMissingVariables([
+      url,
+      ...headerEntries(headerRows).flat(),
+      ...(['json', 'raw'].includes(bodyType) ? [body] : []),
+      ...(['urlencoded', 'multipart'].includes(bodyType)
+        ? formFields.filter(field => field.enabled).flatMap(field => [field.key, field.value])
+        : []),
+      ...authTemplates(auth),
+    ], variables),
+    [url, headerRows, body, bodyType, formFields, auth, variables]
+  );
+
+  // The builder's current request, in the shape prepareRequest expects. Kept
+  // as one object while its fields are unchanged, so the code panel only
+  // regenerates its snippet when the request changes.
+  const builderRequest = useMemo(() => ({
+    method,
+    url,
+    headers: headerMode === 'raw' ? headersText : headerRows,
+    body,
+    bodyType,
+    bodyContentType,
+    formFields,
+    binaryFile,
+    auth,
+  }), [method, url, headerMode, headersText, headerRows, body, bodyType, bodyContentType, formFields, binaryFile, auth]);
+
+  // What history and collections store about the body (files as metadata only)
+  const bodyRecord = {
+    body,
+    bodyType,
+    bodyContentType,
+    formFields: serializeFields(formFields),
+    binaryFile: binaryFile instanceof Blob ? fileMeta(binaryFile) : binaryFile,
+  };
+
+  // Per-request options history and collections store alongside the request
+  const optionsRecord = {
+    ...(requestTimeout !== '' ? { timeout: Number(requestTimeout) } : {}),
+    ...(retry.enabled ? { retry } : {}),
+    ...(proxy ? { proxy: true } : {}),
+    ...(method === WEBSOCKET_METHOD && protocols ? { protocols } : {}),
+  };
+
+  // The active tab's builder and response state, in the shape other tabs keep
+  const requestState = {
+    method, url, headerRows, headerMode, headersText, headersError, paramRows, editorTab,
+    body, bodyType, bodyContentType, formFields, binaryFile, auth, scripts, requestTimeout, retry, proxy, protocols,
+  };
+  const responseState = { response, responseMeta, responseBody, statusCode, outcome, duration, scriptResults, attempts };
+  const activeTab = tabs.find(tab => tab.id === activeTabId);
+  const activeDraftKey = draftKey(draftOf(requestState));
+  // Credentials the tab had before a reload; drafts don't keep them
+  const missingCredentials = missingSecrets(auth, activeTab?.missingCredentials);
+  // Changed since the tab was opened or last sent
+  const isDirty = (tab) => (tab.id === activeTabId ? activeDraftKey : draftKey(draftOf(tab.request))) !== tab.baseline;
+  const liveTabs = tabs.map(tab => (tab.id === activeTabId ? { ...tab, request: requestState, response: responseState } : tab));
+
+  // Save open tabs once editing pauses, and before the page goes away
+  useEffect(() => {
+    const save = () => saveWorkspace(liveTabs, activeTabId);
+    const timer = setTimeout(save, WORKSPACE_SAVE_DELAY_MS);
+    window.addEventListener('pagehide', save);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener('pagehide', save);
+    };
+  });
+
+  const applyRequestState = (state) => {
+    setMethod(state.method);
+    setUrl(state.url);
+    setHeaderRows(state.headerRows);
+    setHeaderMode(state.headerMode);
+    setHeadersText(state.headersText);
+    setHeadersError(state.headersError);
+    setParamRows(state.paramRows);
+    setEditorTab(state.editorTab);
+    setBody(state.body);
+    setBodyType(state.bodyType);
+    setBodyContentType(state.bodyContentType);
+    setFormFields(state.formFields);
+    setBinaryFile(state.binaryFile);
+    setAuth(state.auth);
+    setScripts(state.scripts);
+    setRequestTimeout(state.requestTimeout);
+    setRetry(state.retry);
+    setProxy(state.proxy);
+    setProtocols(state.protocols);
+  };
+
+  const applyResponseState = (state) => {
+    setResponse(state.response);
+    setResponseMeta(state.responseMeta);
+    setResponseBody(state.responseBody);
+    setStatusCode(state.statusCode);
+    setOutcome(state.outcome);
+    setDuration(state.duration);
+    setScriptResults(state.scriptResults);
+    setAttempts(state.attempts);
+  };
+
+  // A response for a tab that is no longer active goes into its snapshot
+  const showResponse = (tabId, state) => {
+    if (tabId === activeTabRef.current) applyResponseState(state);
+    else setTabs(prev => prev.map(tab => (tab.id === tabId ? { ...tab, response: state } : tab)));
+  };
+
+  // Keep the active tab's state in its snapshot before switching away
+  const snapshotActiveTab = (prev) => prev.map(tab => (
+    tab.id === activeTabId ? { ...tab, request: requestState, response: responseState } : tab
+  ));
+
+  const switchToTab = (tab) => {
+    applyRequestState(tab.request);
+    applyResponseState(tab.response);
+    setActiveTabId(tab.id);
+    activeTabRef.current = tab.id;
+  };
+
+  const selectTab = (id) => {
+    if (id === activeTabId) return;
+    setTabs(snapshotActiveTab);
+    switchToTab(tabs.find(tab => tab.id === id));
+  };
+
+  // Open a request in a tab next to the active one. An untouched tab without
+  // a response is replaced instead, as there is nothing in it to keep.
+  const openTab = (request, response = EMPTY_RESPONSE, name = '', missingCredentials = []) => {
+    const tab = { ...createTab(request, response, name), missingCredentials };
+    const replace = !isDirty(activeTab) && !loading && storedResponseOf(responseState) == null;
+    setTabs(prev => {
+      const saved = snapshotActiveTab(prev);
+      const index = saved.findIndex(other => other.id === activeTabId);
+      return replace
+        ? saved.map(other => (other.id === activeTabId ? tab : other))
+        : [...saved.slice(0, index + 1), tab, ...saved.slice(index + 1)];
+    });
+    switchToTab(tab);
+  };
+
+  const newTab = () => {
+    const tab = createTab(restoreRequest(DEFAULT_REQUEST));
+    setTabs(prev => [...snapshotActiveTab(prev), tab]);
+    switchToTab(tab);
+  };
+
+  const closeTab = (id) => {
+    const tab = liveTabs.find(other => other.id === id);
+    if (isDirty(tab) && !window.confirm(`Close "${tabTitle(tab.name, tab.request.url)}"? Its unsent changes will be lost.`)) return;
+    requestControllers.current.get(id)?.abort();
+    const index = tabs.findIndex(other => other.id === id);
+    const remaining = tabs.filter(other => other.id !== id);
+    if (remaining.length === 0) {
+      const blank = createTab(restoreRequest(DEFAULT_REQUEST));
+      setTabs([blank]);
+      switchToTab(blank);
+      return;
+    }
+    setTabs(remaining);
+    if (id === activeTabId) switchToTab(remaining[Math.min(index, remaining.length - 1)]);
+  };
+
+  // Load a stored body of any type into the body editor
+  const applyBody = (item) => {
+    setBody(item.body || '');
+    setBodyType(inferBodyType(item));
+    setBodyContentType(item.bodyContentType || 'text/plain');
+    setFormFields(toFieldRows(item.formFields));
+    setBinaryFile(item.binaryFile || null);
+  };
+
+  // Load a URL into the builder and rebuild the params table from it
+  const applyUrl = (value) => {
+    setUrl(value);
+    setParamRows(parseQueryRows(value));
+  };
+
+  // Typing in the URL bar updates the params table, keeping disabled params
+  const handleUrlChange = (value) => {
+    setUrl(value);
+    setParamRows(prev => syncQueryRows(value, prev));
+  };
+
+  // Editing the params table rewrites the URL's query string
+  const handleParamsChange = (rows) => {
+    setParamRows(rows);
+    setUrl(buildUrlWithQuery(url, rows));
+  };
+
+  // Load headers of any stored shape into both header views
+  const applyHeaders = (value) => {
+    const rows = toRows(value);
+    setHeaderRows(rows);
+    setHeadersText(rowsToHeaderJson(rows));
+    setHeadersError('');
+  };
+
+  // Valid raw JSON replaces the enabled rows; disabled rows aren't shown in raw view
+  const handleHeadersTextChange = (text) => {
+    setHeadersText(text);
+    try {
+      const rows = parseHeaderJson(text);
+      setHeaderRows(prev => [...rows, ...prev.filter(row => !row.enabled)]);
+      setHeadersError('');
+    } catch (error) {
+      setHeadersError(error.message);
+    }
+  };
+
+  const switchHeaderMode = (mode) => {
+    if (mode === 'raw') {
+      setHeadersText(rowsToHeaderJson(headerRows));
+      setHeadersError('');
+    } else if (headersError) {
+      return;
+    }
+    setHeaderMode(mode);
+  };
+
+  const handleEnvironmentsChange = (updated, activeId) => {
+    setEnvironments(updated);
+    setActiveEnvId(activeId);
+  };
+
+  // Create or update a saved collection
+  const handleSaveCollection = (collection) => {
+    try {
+      saveCollection(collection);
+      setCollections(prev => (
+        prev.some(c => c.id === collection.id)
+          ? prev.map(c => (c.id === collection.id ? collection : c))
+          : [...prev, collection]
+      ));
+    } catch (error) {
+      console.error('Failed to save collection:', error);
+    }
+  };
+
+  // Save an imported collection, turning its variables into an environment
+  const handleImportCollection = (collection, { activate = false } = {}) => {
+    handleSaveCollection(collection);
+    if (!collection.variables?.length) return null;
+    const environment = { ...createEnvironment(collection.name), variables: collection.variables };
+    setEnvironments(prev => [...prev, environment]);
+    if (activate) setActiveEnvId(environment.id);
+    return environment.name;
+  };
+
+  // Generated OpenAPI collections are ready to send, so select their environment
+  const handleImportSpec = (collection) => {
+    const environmentName = handleImportCollection(collection, { activate: true });
+    setShowCollections(true);
+    return environmentName;
+  };
+
+  const handleDeleteCollection = (id) => {
+    deleteCollection(id);
+    setCollections(prev => prev.filter(c => c.id !== id));
+  };
+
+  // Open a saved request in a new tab
+  // Requests without their own retry policy use their collection's
+  const openSavedRequest = (item, collection = null) => {
+    openTab(restoreRequest({ ...item, retry: item.retry?.enabled ? item.retry : collection?.retry }), EMPTY_RESPONSE, item.name);
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  // Fill the builder from a parsed curl command
+  const applyCurl = (parsed) => {
+    setMethod(parsed.method);
+    applyUrl(parsed.url);
+    applyHeaders(parsed.headers);
+    applyBody(parsed);
+    setAuth(normalizeAuth(parsed.auth));
+    setScripts(createScripts());
+    setRequestTimeout(parsed.timeout ?? '');
+    setRetry(normalizeRetry());
+  };
 
   // Lazy loading with Intersection Observer
   useEffect(() => {
@@ -177,7 +549,13 @@ function RestClient() {
       const timestamp = Date.now();
       const id = timestamp;
       const itemWithId = { ...requestData, id, timestamp: new Date().toISOString() };
-      localStorage.setItem(`request:${id}`, JSON.stringify(itemWithId));
+      const { removed, evicted } = await saveHistoryEntry(await getHistoryStore(), itemWithId, settings.retention);
+      lastSaved.current = { id, response: requestData.response };
+      const notices = [
+        removed > 0 && `${removed} history entr${removed === 1 ? 'y was' : 'ies were'} removed under the retention policy.`,
+        evicted > 0 && `Storage was nearly full, so the ${evicted} oldest unpinned history entr${evicted === 1 ? 'y was' : 'ies were'} removed.`,
+      ].filter(Boolean);
+      if (notices.length > 0) setHistoryNotice(notices.join(' '));
      
       // Refresh history and stats
       historyCache.current.clear();
@@ -186,128 +564,192 @@ function RestClient() {
       await loadStats();
     } catch (error) {
       console.error('Failed to save history:', error);
+      setHistoryNotice(`This request could not be saved to history: ${error.message}`);
     }
   };
 
+  // Script variable changes are saved to the active environment, if any
+  const saveVariableChanges = activeEnvironment
+    ? (changes) => setEnvironments(prev => prev.map(env => (env.id === activeEnvironment.id ? applyVariableChanges(env, changes) : env)))
+    : null;
+
   // Make actual HTTP request directly (no proxy)
+  // The response goes to the tab the request was sent from, even if another
+  // tab is active by the time it arrives
   const sendRequest = async () => {
-    setLoading(true);
-    setResponse('');
-    setStatusCode(null);
-    setDuration(null);
+    const tabId = activeTabId;
+    setSendingTabs(prev => new Set(prev).add(tabId));
+    // Sending counts as saving the tab, as the request is now in history
+    setTabs(prev => prev.map(tab => (tab.id === tabId ? { ...tab, baseline: activeDraftKey } : tab)));
+    applyResponseState(EMPTY_RESPONSE);
+    const controller = new AbortController();
+    requestControllers.current.set(tabId, controller);
     const startTime = performance.now();
     try {
-      // Validate headers
-      let parsedHeaders = {};
-      try {
-        parsedHeaders = JSON.parse(headers);
-      } catch {
-        throw new Error('Invalid JSON in headers');
-      }
-      // Validate body for POST/PUT/PATCH
-      let parsedBody = null;
-      if (body.trim() && ['POST', 'PUT', 'PATCH'].includes(method)) {
+      const {
+        response,
+        text,
+        bytes,
+        body,
+        meta,
+        duration: requestDuration,
+        parsedHeaders,
+        resolved,
+        scriptResults: results,
+        attempts: requestAttempts,
+      } = await executeRequest({ ...builderRequest, scripts, retry, proxy: viaProxy }, variables, {
+        onVariableChanges: saveVariableChanges,
+        signal: controller.signal,
+        timeout: effectiveTimeout(requestTimeout, settings.timeout),
+        mocks: mockServer.enabled ? mockServer.routes : null,
+      });
+      // Pretty-print JSON; binary bodies are summarised instead of decoded
+      let formattedResponse = text;
+      if (body.kind === 'json') {
         try {
-          parsedBody = JSON.parse(body);
+          formattedResponse = JSON.stringify(JSON.parse(text), null, 2);
         } catch {
-          throw new Error('Invalid JSON in body');
+          formattedResponse = text;
         }
+      } else if (isBinaryKind(body.kind)) {
+        formattedResponse = `[${body.contentType || 'Binary'} response, ${formatBytes(bytes)}]`;
       }
-      // Validate URL
-      if (!url.trim()) {
-        throw new Error('URL is required');
-      }
-      try {
-        new URL(url);
-      } catch {
-        throw new Error('Invalid URL format');
-      }
-      // Make actual HTTP request
-      const fetchOptions = {
-        method,
-        headers: parsedHeaders,
-      };
-      if (parsedBody && ['POST', 'PUT', 'PATCH'].includes(method)) {
-        fetchOptions.body = JSON.stringify(parsedBody);
-      }
-      const response = await fetch(url, fetchOptions);
-      const endTime = performance.now();
-      const requestDuration = Math.round(endTime - startTime);
-      // Handle different response types
-      const contentType = response.headers.get('content-type');
-      let responseData;
-      if (contentType && contentType.includes('application/json')) {
-        responseData = await response.json();
-      } else {
-        responseData = await response.text();
-      }
-      const formattedResponse = typeof responseData === 'string'
-        ? responseData
-        : JSON.stringify(responseData, null, 2);
-      setResponse(formattedResponse);
-      setStatusCode(response.status);
-      setDuration(requestDuration);
-      // Save to history
+      showResponse(tabId, {
+        response: formattedResponse,
+        responseMeta: meta,
+        responseBody: body,
+        statusCode: response.status,
+        outcome: null,
+        duration: requestDuration,
+        scriptResults: results,
+        attempts: requestAttempts,
+      });
+      // Save to history. Headers are the editor's; script edits show in resolved.
       const historyItem = {
         method,
         url,
         headers: parsedHeaders,
-        body,
+        ...bodyRecord,
+        ...optionsRecord,
+        authType: auth.type,
+        ...(hasScripts(scripts) ? { scripts } : {}),
+        ...(results ? { scriptResults: results } : {}),
+        // A single attempt is the request itself; only retries are worth keeping
+        ...(requestAttempts.length > 1 ? { attempts: requestAttempts } : {}),
+        environment: activeEnvironment?.name || null,
+        resolved,
         response: formattedResponse,
         statusCode: response.status,
         duration: requestDuration,
+        ...meta,
+        // History keeps only a size-limited sample of binary bodies
+        ...(isBinaryKind(body.kind) ? { responseBody: summarizeBinaryBody(body) } : {}),
       };
       await saveToHistory(historyItem);
     } catch (error) {
       const endTime = performance.now();
       const requestDuration = Math.round(endTime - startTime);
+      const results = error.scriptResults || null;
+      const failedAttempts = error.attempts || [];
+      // Cancelled and timed out requests have no status; they keep their own outcome
+      const requestOutcome = errorOutcome(error);
+      const failed = requestOutcome === 'error';
      
       const errorResponse = JSON.stringify({
         error: error.message,
-        details: 'Request failed. Check console for details.',
+        details: failed ? 'Request failed. Check console for details.' : `${OUTCOME_LABELS[requestOutcome]} after ${requestDuration}ms.`,
         type: error.name
       }, null, 2);
-      setResponse(errorResponse);
-      setStatusCode(error.message.includes('CORS') || error.name === 'TypeError' ? 0 : 400);
-      setDuration(requestDuration);
+      showResponse(tabId, {
+        ...EMPTY_RESPONSE,
+        response: errorResponse,
+        statusCode: failed ? (error.message.includes('CORS') || error.name === 'TypeError' ? 0 : 400) : null,
+        outcome: failed ? null : requestOutcome,
+        duration: requestDuration,
+        scriptResults: results,
+        attempts: failedAttempts,
+      });
       // Save error to history
-      let parsedHeaders = {};
-      try {
-        parsedHeaders = JSON.parse(headers);
-      } catch {}
+      const parsedHeaders = serializeRows(headerRows);
+      const resolved = resolveRequest({ url, headers: parsedHeaders, body }, variables);
       const historyItem = {
         method,
         url,
         headers: parsedHeaders,
-        body,
+        ...bodyRecord,
+        ...optionsRecord,
+        authType: auth.type,
+        ...(hasScripts(scripts) ? { scripts } : {}),
+        ...(results ? { scriptResults: results } : {}),
+        // A single attempt is the request itself; only retries are worth keeping
+        ...(failedAttempts.length > 1 ? { attempts: failedAttempts } : {}),
+        environment: activeEnvironment?.name || null,
+        resolved: { url: resolved.url, headers: resolved.headers, body: resolved.body },
         response: errorResponse,
-        statusCode: 400,
+        // Failures have no status; outcome says what happened
+        statusCode: null,
+        outcome: requestOutcome,
         duration: requestDuration,
       };
       await saveToHistory(historyItem);
     } finally {
-      setLoading(false);
+      requestControllers.current.delete(tabId);
+      setSendingTabs(prev => {
+        const next = new Set(prev);
+        next.delete(tabId);
+        return next;
+      });
     }
   };
 
+  const cancelRequest = () => {
+    requestControllers.current.get(activeTabId)?.abort();
+  };
+
+  // A finished WebSocket session (see WebSocketPanel). tabId and draft are
+  // the tab and its draft when the session started; its log becomes the
+  // tab's response, so it stays visible after switching tabs.
+  const saveWebSocketSession = (tabId, draft, entry) => {
+    setTabs(prev => prev.map(tab => (tab.id === tabId ? { ...tab, baseline: draft } : tab)));
+    showResponse(tabId, { ...EMPTY_RESPONSE, response: entry.response, statusCode: entry.statusCode, duration: entry.duration });
+    saveToHistory({ ...entry, environment: activeEnvironment?.name || null });
+  };
+
+  // Open a history entry and its response in a new tab. History keeps no
+  // credentials, so the tab starts with the current Auth settings.
+  // History has no credentials. The current ones are only reused for entries
+  // sent with the same auth type; others open with theirs left to fill in.
   const loadHistoryItem = (item) => {
-    setMethod(item.method);
-    setUrl(item.url);
-    setHeaders(item.headers ? JSON.stringify(item.headers, null, 2) : '{}');
-    setBody(item.body || '');
-    setResponse(item.response || '');
-    setStatusCode(item.statusCode);
-    setDuration(item.duration);
+    const authType = item.authType || 'none';
+    if (authType === auth.type) {
+      openTab(restoreRequest({ ...item, auth }), restoreResponse(item));
+    } else {
+      openTab(restoreRequest({ ...item, auth: createAuth(authType) }), restoreResponse(item), '', secretPaths(authType));
+    }
     setShowHistory(false);
    
     // Scroll to top smoothly
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
+  // Mocking is switched on too, so the new route answers straight away
+  const mockHistoryItem = (item) => {
+    let route;
+    try {
+      route = mockRouteFromHistory(item);
+    } catch (error) {
+      setHistoryNotice(error.message);
+      return;
+    }
+    setMockServer(prev => ({ enabled: true, routes: [...prev.routes, route] }));
+    setExpandedMockId(route.id);
+    setShowMocks(true);
+    setShowHistory(false);
+  };
+
   const deleteHistoryItem = async (id) => {
     try {
-      const key = `request:${id}`;
-      localStorage.removeItem(key);
+      await (await getHistoryStore()).delete(id);
      
       // Clear cache and reload
       historyCache.current.clear();
@@ -321,11 +763,11 @@ function RestClient() {
 
   const clearAllHistory = async () => {
     try {
-      const keys = getRequestKeys();
-      keys.forEach(key => localStorage.removeItem(key));
+      await (await getHistoryStore()).clear();
      
       // Clear cache and reset
       historyCache.current.clear();
+      setSelectedIds(new Set());
       setHistory([]);
       setTotalCount(0);
       setPage(1);
@@ -336,6 +778,98 @@ function RestClient() {
     }
   };
 
+  // Pinned entries are exempt from retention and eviction and keep their
+  // full response. Pinning the last sent request restores its full body if
+  // history stored a truncated one.
+  const togglePin = async (item) => {
+    try {
+      const pinned = !item.pinned;
+      const { responseTruncated: _truncated, ...rest } = item;
+      const entry = pinned && lastSaved.current?.id === item.id
+        ? { ...rest, response: lastSaved.current.response, pinned }
+        : { ...item, pinned };
+      await (await getHistoryStore()).put(await compactEntry(entry, settings.retention));
+      historyCache.current.clear();
+      setHistory(prev => prev.map(other => (other.id === item.id ? entry : other)));
+    } catch (error) {
+      console.error('Failed to pin history entry:', error);
+    }
+  };
+
+  // Apply the retention policy now rather than on the next save
+  const applyRetentionNow = async () => {
+    try {
+      const store = await getHistoryStore();
+      const removed = await applyRetention(store, settings.retention) + await freeSpaceIfNeeded(store);
+      setHistoryNotice(removed > 0 ? `Removed ${removed} history entr${removed === 1 ? 'y' : 'ies'} under the retention policy.` : 'No history entries needed removing.');
+      await refreshHistory();
+    } catch (error) {
+      console.error('Failed to apply retention:', error);
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  // The selected history entries, newest first
+  const readSelectedHistory = async () => {
+    const store = await getHistoryStore();
+    const items = await Promise.all([...selectedIds].map(id => store.get(id)));
+    return items.filter(Boolean).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+  };
+
+  // Export the selected history entries (or all of them) as a HAR 1.2 file
+  const exportHar = async () => {
+    try {
+      const items = selectedIds.size > 0 ? await readSelectedHistory() : await (await getHistoryStore()).readAll();
+      const har = historyToHar(items);
+      downloadFile(`history-${new Date().toISOString().slice(0, 10)}.har`, JSON.stringify(har, null, 2));
+    } catch (error) {
+      console.error('Failed to export HAR:', error);
+    }
+  };
+
+  // Compare the two selected history entries, older first
+  const compareSelected = async () => {
+    try {
+      const items = await readSelectedHistory();
+      if (items.length !== 2) return;
+      const [newer, older] = items;
+      setComparing({ before: older, after: newer });
+    } catch (error) {
+      console.error('Failed to compare history entries:', error);
+    }
+  };
+
+  // Store imported HAR entries as history items, keeping their capture
+  // timestamps. Rejects if they can't be saved, so the importer can say so.
+  const importHistoryItems = async (items) => {
+    try {
+      const store = await getHistoryStore();
+      // Ids below every existing one, so imports can't overwrite entries or
+      // collide with the Date.now() ids of requests sent later
+      const lowestId = (await store.summaries()).reduce((lowest, summary) => Math.min(lowest, summary.id), Date.now());
+      const entries = items.map((item, index) => ({ ...item, id: lowestId - items.length + index }));
+      const { removed, evicted } = await saveHistoryEntries(store, entries, settings.retention);
+      const notices = [
+        removed > 0 && `${removed} history entr${removed === 1 ? 'y was' : 'ies were'} removed under the retention policy.`,
+        evicted > 0 && `Storage was nearly full, so the ${evicted} oldest unpinned history entr${evicted === 1 ? 'y was' : 'ies were'} removed.`,
+      ].filter(Boolean);
+      if (notices.length > 0) setHistoryNotice(`Imported ${items.length} entr${items.length === 1 ? 'y' : 'ies'}. ${notices.join(' ')}`);
+    } finally {
+      await refreshHistory();
+    }
+  };
+
   const refreshHistory = async () => {
     historyCache.current.clear();
     setPage(1);
@@ -351,6 +885,7 @@ function RestClient() {
 
   const getStatusColor = (status) => {
     if (status === 0) return 'text-gray-600 bg-gray-50';
+    if (status < 200) return 'text-purple-600 bg-purple-50';
     if (status >= 200 && status < 300) return 'text-green-600 bg-green-50';
     if (status >= 300 && status < 400) return 'text-blue-600 bg-blue-50';
     if (status >= 400 && status < 500) return 'text-orange-600 bg-orange-50';
@@ -359,36 +894,13 @@ function RestClient() {
 
   const getStatusText = (status) => {
     if (status === 0) return 'Network Error';
+    if (status < 200) return 'Informational';
     if (status >= 200 && status < 300) return 'Success';
     if (status >= 300 && status < 400) return 'Redirect';
     if (status >= 400 && status < 500) return 'Client Error';
     return 'Server Error';
   };
 
-  const insertSampleData = (type) => {
-    if (type === 'post-create') {
-      setMethod('POST');
-      setUrl('https://jsonplaceholder.typicode.com/posts');
-      setBody('{\n "title": "New Post",\n "body": "This is my post content",\n "userId": 1\n}');
-    } else if (type === 'post-get') {
-      setMethod('GET');
-      setUrl('https://jsonplaceholder.typicode.com/posts/1');
-      setBody('');
-    } else if (type === 'post-update') {
-      setMethod('PUT');
-      setUrl('https://jsonplaceholder.typicode.com/posts/1');
-      setBody('{\n "title": "Updated Post",\n "body": "Updated content",\n "userId": 1\n}');
-    } else if (type === 'post-delete') {
-      setMethod('DELETE');
-      setUrl('https://jsonplaceholder.typicode.com/posts/1');
-      setBody('');
-    } else if (type === 'users') {
-      setMethod('GET');
-      setUrl('https://jsonplaceholder.typicode.com/users');
-      setBody('');
-    }
-  };
-
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50">
       <div className="max-w-7xl mx-auto p-4 md:p-6">
@@ -406,60 +918,49 @@ function RestClient() {
                   <div className="text-2xl md:text-3xl font-bold">{totalCount}</div>
                 </div>
                 <button
-                  onClick={() => {
-                    setShowStats(!showStats);
-                    if (!stats) loadStats();
-                  }}
-                  className="p-2 bg-white/20 rounded-lg hover:bg-white/30 transition-colors"
+                  onClick={() => setShowStats(!showStats)}
+                  className={`p-2 rounded-lg transition-colors ${showStats ? 'bg-white/40' : 'bg-white/20 hover:bg-white/30'}`}
+                  title="Analytics"
                 >
                   <BarChart3 size={24} className="text-white" />
                 </button>
               </div>
             </div>
-            {/* Statistics Panel */}
-            {showStats && stats && (
-              <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
-                <div className="bg-white/10 rounded-lg p-3 backdrop-blur">
-                  <div className="text-white/80 text-xs">Avg Duration</div>
-                  <div className="text-white text-xl font-bold">{stats.avgDuration}ms</div>
-                </div>
-                {stats.methodStats.map((stat) => (
-                  <div key={stat.method} className="bg-white/10 rounded-lg p-3 backdrop-blur">
-                    <div className="text-white/80 text-xs">{stat.method}</div>
-                    <div className="text-white text-xl font-bold">{stat.count}</div>
-                  </div>
-                ))}
-              </div>
-            )}
           </div>
           <div className="p-4 md:p-6">
+            {showStats && <AnalyticsDashboard refreshKey={statsVersion} />}
             {/* Quick Actions */}
             <div className="mb-4 p-3 md:p-4 bg-blue-50 border border-blue-200 rounded-xl">
-              <div className="flex items-start gap-2 mb-3">
+              <div className="flex items-start gap-2">
                 <AlertCircle size={18} className="text-blue-600 mt-0.5 flex-shrink-0" />
                 <div>
-                  <h3 className="font-bold text-blue-900 text-xs md:text-sm">Quick Test Examples</h3>
-                  <p className="text-xs text-blue-700 mt-1">Direct API calls - Stored locally</p>
+                  <h3 className="font-bold text-blue-900 text-xs md:text-sm">Get Started</h3>
+                  <p className="text-xs text-blue-700 mt-1">Generate ready-to-send requests from an OpenAPI or Swagger document. Direct API calls - Stored locally</p>
                 </div>
               </div>
-              <div className="flex flex-wrap gap-2">
-                <button onClick={() => insertSampleData('post-get')} className="px-2 md:px-3 py-1.5 bg-green-600 text-white rounded-lg text-xs font-semibold hover:bg-green-700">
-                  GET Post
-                </button>
-                <button onClick={() => insertSampleData('users')} className="px-2 md:px-3 py-1.5 bg-indigo-600 text-white rounded-lg text-xs font-semibold hover:bg-indigo-700">
-                  GET Users
-                </button>
-                <button onClick={() => insertSampleData('post-create')} className="px-2 md:px-3 py-1.5 bg-blue-600 text-white rounded-lg text-xs font-semibold hover:bg-blue-700">
-                  POST Create
-                </button>
-                <button onClick={() => insertSampleData('post-update')} className="px-2 md:px-3 py-1.5 bg-orange-600 text-white rounded-lg text-xs font-semibold hover:bg-orange-700">
-                  PUT Update
-                </button>
-                <button onClick={() => insertSampleData('post-delete')} className="px-2 md:px-3 py-1.5 bg-red-600 text-white rounded-lg text-xs font-semibold hover:bg-red-700">
-                  DELETE Post
-                </button>
-              </div>
+              <OpenApiImport onImport={handleImportSpec} />
             </div>
+            {/* Environment Selector */}
+            <EnvironmentManager
+              environments={environments}
+              activeId={activeEnvId}
+              onChange={handleEnvironmentsChange}
+            />
+            <CurlImport onImport={applyCurl} />
+            <RequestTabs
+              tabs={liveTabs.map(tab => ({
+                id: tab.id,
+                method: tab.request.method,
+                title: tabTitle(tab.name, tab.request.url),
+                url: tab.request.url,
+                dirty: isDirty(tab),
+                loading: sendingTabs.has(tab.id),
+              }))}
+              activeId={activeTabId}
+              onSelect={selectTab}
+              onClose={closeTab}
+              onNew={newTab}
+            />
             {/* Request Builder */}
             <div className="space-y-4 mb-6">
               <div className="flex flex-col sm:flex-row gap-3">
@@ -475,31 +976,33 @@ function RestClient() {
                   <option>PATCH</option>
                   <option>HEAD</option>
                   <option>OPTIONS</option>
+                  <option value={WEBSOCKET_METHOD}>WebSocket</option>
                 </select>
                 <input
                   type="text"
                   value={url}
-                  onChange={(e) => setUrl(e.target.value)}
-                  placeholder="Enter request URL"
+                  onChange={(e) => handleUrlChange(e.target.value)}
+                  placeholder={method === WEBSOCKET_METHOD ? 'wss://example.com/socket' : 'Enter request URL'}
                   className="flex-1 px-3 md:px-4 py-2 md:py-3 border-2 border-gray-300 rounded-xl focus:ring-2 focus:ring-purple-500 text-xs md:text-sm"
                 />
-                <button
-                  onClick={sendRequest}
-                  disabled={loading}
-                  className="w-full sm:w-auto px-4 md:px-6 py-2 md:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:from-purple-700 hover:to-pink-700 disabled:from-gray-400 disabled:to-gray-400 flex items-center justify-center gap-2 transition-all transform hover:scale-105 disabled:scale-100 text-sm md:text-base whitespace-nowrap"
-                >
-                  {loading ? (
-                    <>
-                      <Loader size={16} className="animate-spin" />
-                      Sending...
-                    </>
-                  ) : (
-                    <>
-                      <Send size={16} className="md:w-[18px] md:h-[18px]" />
-                      Send
-                    </>
-                  )}
-                </button>
+                {method === WEBSOCKET_METHOD ? null : loading ? (
+                  <button
+                    onClick={cancelRequest}
+                    className="w-full sm:w-auto px-4 md:px-6 py-2 md:py-3 bg-gradient-to-r from-red-600 to-red-700 text-white rounded-xl font-bold hover:from-red-700 hover:to-red-800 flex items-center justify-center gap-2 transition-all text-sm md:text-base whitespace-nowrap"
+                    title="Cancel the request"
+                  >
+                    <Loader size={16} className="animate-spin" />
+                    Cancel
+                  </button>
+                ) : (
+                  <button
+                    onClick={sendRequest}
+                    className="w-full sm:w-auto px-4 md:px-6 py-2 md:py-3 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:from-purple-700 hover:to-pink-700 flex items-center justify-center gap-2 transition-all transform hover:scale-105 text-sm md:text-base whitespace-nowrap"
+                  >
+                    <Send size={16} className="md:w-[18px] md:h-[18px]" />
+                    Send
+                  </button>
+                )}
                 <button
                   onClick={() => setShowHistory(!showHistory)}
                   className="w-full sm:w-auto px-4 md:px-6 py-2 md:py-3 bg-gradient-to-r from-gray-600 to-gray-700 text-white rounded-xl font-bold hover:from-gray-700 hover:to-gray-800 flex items-center justify-center gap-2 transition-all text-sm md:text-base whitespace-nowrap"
@@ -507,36 +1010,195 @@ function RestClient() {
                   <History size={16} className="md:w-[18px] md:h-[18px]" />
                   <span className="hidden sm:inline">History</span> ({totalCount})
                 </button>
+                <button
+                  onClick={() => setShowCollections(!showCollections)}
+                  className="w-full sm:w-auto px-4 md:px-6 py-2 md:py-3 bg-gradient-to-r from-indigo-600 to-indigo-700 text-white rounded-xl font-bold hover:from-indigo-700 hover:to-indigo-800 flex items-center justify-center gap-2 transition-all text-sm md:text-base whitespace-nowrap"
+                >
+                  <Library size={16} className="md:w-[18px] md:h-[18px]" />
+                  <span className="hidden sm:inline">Collections</span>
+                </button>
+                {method !== WEBSOCKET_METHOD && (
+                  <button
+                    onClick={() => setShowCode(!showCode)}
+                    className="w-full sm:w-auto px-4 md:px-6 py-2 md:py-3 bg-gradient-to-r from-gray-800 to-gray-900 text-white rounded-xl font-bold hover:from-gray-900 hover:to-black flex items-center justify-center gap-2 transition-all text-sm md:text-base whitespace-nowrap"
+                    title="Generate code"
+                  >
+                    <Code2 size={16} className="md:w-[18px] md:h-[18px]" />
+                    <span className="hidden sm:inline">Code</span>
+                  </button>
+                )}
+                <button
+                  onClick={() => setShowMocks(!showMocks)}
+                  className={`w-full sm:w-auto px-4 md:px-6 py-2 md:py-3 rounded-xl font-bold flex items-center justify-center gap-2 transition-all text-sm md:text-base whitespace-nowrap ${
+                    mockServer.enabled ? 'bg-amber-500 text-white hover:bg-amber-600' : 'bg-white border-2 border-gray-300 text-gray-700 hover:bg-gray-100'
+                  }`}
+                  title={mockServer.enabled ? 'Mock server is on' : 'Mock server'}
+                >
+                  <Server size={16} className="md:w-[18px] md:h-[18px]" />
+                  <span className="hidden sm:inline">Mocks</span>
+                </button>
               </div>
-              {/* Headers and Body */}
-              <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-xs md:text-sm font-bold text-gray-700 mb-2">
-                    Headers (JSON Format)
-                  </label>
-                  <textarea
-                    value={headers}
-                    onChange={(e) => setHeaders(e.target.value)}
-                    className="w-full h-32 md:h-40 px-3 md:px-4 py-2 md:py-3 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
-                    placeholder='{"Content-Type": "application/json"}'
-                  />
+              {historyNotice && (
+                <div className="flex items-center gap-2 p-2 md:p-3 bg-amber-50 border border-amber-200 rounded-xl text-xs md:text-sm text-amber-800">
+                  <AlertCircle size={16} className="flex-shrink-0" />
+                  <span className="flex-1">{historyNotice}</span>
+                  <button onClick={() => setHistoryNotice(null)} className="p-1 hover:bg-amber-100 rounded" title="Dismiss">
+                    <X size={14} />
+                  </button>
                 </div>
-                <div>
-                  <label className="block text-xs md:text-sm font-bold text-gray-700 mb-2">
-                    Request Body (JSON Format)
-                  </label>
-                  <textarea
-                    value={body}
-                    onChange={(e) => setBody(e.target.value)}
-                    className="w-full h-32 md:h-40 px-3 md:px-4 py-2 md:py-3 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
-                    placeholder='{"title": "Sample", "userId": 1}'
-                    disabled={!['POST', 'PUT', 'PATCH'].includes(method)}
+              )}
+              {missingVariables.length > 0 && (
+                <div className="flex items-center gap-2 p-2 md:p-3 bg-amber-50 border border-amber-200 rounded-xl text-xs md:text-sm text-amber-800">
+                  <AlertCircle size={16} className="flex-shrink-0" />
+                  <span>
+                    Undefined variables{activeEnvironment ? ` in "${activeEnvironment.name}"` : ''}:{' '}
+                    <span className="font-mono font-semibold">{missingVariables.map(name => `{{${name}}}`).join(', ')}</span>
+                  </span>
+                </div>
+              )}
+              {missingCredentials.length > 0 && (
+                <div className="flex items-center gap-2 p-2 md:p-3 bg-amber-50 border border-amber-200 rounded-xl text-xs md:text-sm text-amber-800">
+                  <AlertCircle size={16} className="flex-shrink-0" />
+                  <span className="flex-1">
+                    Open tabs are saved without credentials. Enter the {missingCredentials.join(' and ')} again.
+                  </span>
+                  <button onClick={() => setEditorTab('auth')} className="font-semibold hover:underline whitespace-nowrap">
+                    Open Auth
+                  </button>
+                </div>
+              )}
+              {/* Headers and Body */}
+              {method === WEBSOCKET_METHOD ? (
+                <WebSocketPanel
+                  key={activeTabId}
+                  url={url}
+                  variables={variables}
+                  protocols={protocols}
+                  onProtocolsChange={setProtocols}
+                  message={body}
+                  onMessageChange={setBody}
+                  format={bodyType === 'json' ? 'json' : 'text'}
+                  onFormatChange={(format) => setBodyType(format === 'json' ? 'json' : 'raw')}
+                  transcript={response}
+                  onSessionEnd={(entry) => saveWebSocketSession(activeTabId, activeDraftKey, entry)}
+                />
+              ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  <div>
+                    <div className="flex items-center justify-between gap-2 mb-2">
+                      <div className="flex gap-1">
+                        {['params', 'headers', 'auth', 'scripts', 'settings'].map(tab => (
+                          <button
+                            key={tab}
+                            onClick={() => setEditorTab(tab)}
+                            className={`px-3 py-1 rounded-lg text-xs md:text-sm font-bold transition-colors ${
+                              editorTab === tab ? 'bg-purple-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                            }`}
+                          >
+                            {tab === 'auth' && `Auth${auth.type === 'none' ? '' : ' ●'}`}
+                            {tab === 'scripts' && `Scripts${hasScripts(scripts) ? ' ●' : ''}`}
+                            {tab === 'settings' && `Settings${requestTimeout !== '' || retry.enabled || viaProxy ? ' ●' : ''}`}
+                            {(tab === 'params' || tab === 'headers')
+                              && `${tab === 'params' ? 'Params' : 'Headers'} (${(tab === 'params' ? paramRows : headerRows).filter(row => row.enabled && row.key).length})`}
+                          </button>
+                        ))}
+                      </div>
+                      {editorTab === 'headers' && (
+                        <div className="flex gap-1 text-xs">
+                          {['table', 'raw'].map(mode => (
+                            <button
+                              key={mode}
+                              onClick={() => switchHeaderMode(mode)}
+                              className={`px-2 py-1 rounded font-semibold ${headerMode === mode ? 'bg-gray-200 text-gray-800' : 'text-gray-500 hover:bg-gray-100'}`}
+                            >
+                              {mode === 'table' ? 'Table' : 'Raw JSON'}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    {editorTab === 'params' && (
+                      <KeyValueEditor rows={paramRows} onChange={handleParamsChange} keyPlaceholder="Param" />
+                    )}
+                    {editorTab === 'auth' && (
+                      <AuthEditor auth={auth} onChange={setAuth} variables={variables} />
+                    )}
+                    {editorTab === 'scripts' && (
+                      <ScriptsEditor scripts={scripts} onChange={setScripts} />
+                    )}
+                    {editorTab === 'settings' && (
+                      <RequestSettings
+                        timeout={requestTimeout}
+                        onTimeoutChange={setRequestTimeout}
+                        retry={retry}
+                        onRetryChange={setRetry}
+                        proxy={proxy}
+                        onProxyChange={setProxy}
+                        environmentProxy={Boolean(activeEnvironment?.proxy)}
+                        settings={settings}
+                        onSettingsChange={setSettings}
+                      />
+                    )}
+                    {editorTab === 'headers' && headerMode === 'table' && (
+                      <KeyValueEditor
+                        rows={headerRows}
+                        onChange={setHeaderRows}
+                        keyPlaceholder="Header"
+                        suggestions={COMMON_HEADERS}
+                        listId="common-headers"
+                      />
+                    )}
+                    {editorTab === 'headers' && headerMode === 'raw' && (
+                      <>
+                        <textarea
+                          value={headersText}
+                          onChange={(e) => handleHeadersTextChange(e.target.value)}
+                          className="w-full h-32 md:h-40 px-3 md:px-4 py-2 md:py-3 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
+                          placeholder='{"Content-Type": "application/json"}'
+                        />
+                        {headersError && (
+                          <p className="mt-1 text-xs text-red-600">{headersError}</p>
+                        )}
+                      </>
+                    )}
+                  </div>
+                  <BodyEditor
+                    bodyType={bodyType}
+                    onBodyTypeChange={setBodyType}
+                    body={body}
+                    onBodyChange={setBody}
+                    bodyContentType={bodyContentType}
+                    onBodyContentTypeChange={setBodyContentType}
+                    formFields={formFields}
+                    onFormFieldsChange={setFormFields}
+                    binaryFile={binaryFile}
+                    onBinaryFileChange={setBinaryFile}
+                    disabled={!BODY_METHODS.includes(method)}
+                    contentTypeOverride={findHeaderValue(headerRows, 'Content-Type')}
                   />
                 </div>
-              </div>
+              )}
             </div>
-            {/* Response Section */}
-            {(response || loading) && (
+            {/* Code Snippets */}
+            {showCode && method !== WEBSOCKET_METHOD && (
+              <CodePanel
+                request={builderRequest}
+                variables={variables}
+                onClose={() => setShowCode(false)}
+              />
+            )}
+            {/* Mock Server */}
+            {showMocks && (
+              <MockServerPanel
+                mocks={mockServer}
+                onChange={setMockServer}
+                expandedId={expandedMockId}
+                onExpand={setExpandedMockId}
+                onClose={() => setShowMocks(false)}
+              />
+            )}
+            {/* Response Section; WebSocket sessions show theirs in the message log */}
+            {(response || loading) && method !== WEBSOCKET_METHOD && (
               <div className="border-t-2 border-gray-200 pt-6 mt-6">
                 <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-4 gap-3">
                   <h2 className="text-xl md:text-2xl font-bold text-gray-800">Response</h2>
@@ -546,6 +1208,17 @@ function RestClient() {
                         {statusCode} - {getStatusText(statusCode)}
                       </span>
                     )}
+                    {statusCode === 0 && !viaProxy && !loading && (
+                      <button onClick={() => setEditorTab('settings')} className="text-xs text-purple-600 font-semibold hover:underline">
+                        Blocked by CORS? Send through the local proxy
+                      </button>
+                    )}
+                    {outcome && (
+                      <span className="px-3 md:px-4 py-1.5 md:py-2 rounded-lg text-xs md:text-sm font-bold text-amber-700 bg-amber-50">
+                        {OUTCOME_LABELS[outcome]}
+                      </span>
+                    )}
+                    {!loading && <TestResults results={scriptResults} />}
                     {duration && (
                       <span className="text-xs md:text-sm text-gray-600 flex items-center gap-1 bg-gray-100 px-2 md:px-3 py-1.5 md:py-2 rounded-lg font-semibold">
                         <Clock size={14} />
@@ -563,19 +1236,75 @@ function RestClient() {
                     )}
                   </div>
                 </div>
-                <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl p-3 md:p-4 overflow-auto max-h-64 md:max-h-96 border-2 border-gray-700">
-                  <pre className="text-green-400 text-xs font-mono leading-relaxed whitespace-pre-wrap break-words">
-                    {loading ? 'Sending real HTTP request...\n\nPlease wait...' : response}
-                  </pre>
-                </div>
+                <ResponseInspector response={response} body={responseBody} loading={loading} meta={responseMeta} attempts={attempts} />
               </div>
             )}
+            {/* Saved Collections */}
+            {showCollections && (
+              <CollectionsPanel
+                collections={collections}
+                currentRequest={{ method, url, headers: serializeRows(headerRows), ...bodyRecord, ...optionsRecord, auth, scripts }}
+                onSave={handleSaveCollection}
+                onImport={handleImportCollection}
+                onDelete={handleDeleteCollection}
+                onOpen={openSavedRequest}
+                onRun={(collection, folder = null) => setRunnerTarget({ collectionId: collection.id, folder })}
+                onClose={() => setShowCollections(false)}
+              />
+            )}
+            {/* Collection Runner */}
+            {runnerCollection && (
+              <CollectionRunner
+                key={`${runnerCollection.id}-${runnerTarget.folder?.id || ''}`}
+                collection={runnerCollection}
+                folder={runnerTarget.folder}
+                variables={variables}
+                defaultTimeout={settings.timeout}
+                onVariableChanges={saveVariableChanges}
+                onSaveCollection={handleSaveCollection}
+                proxy={Boolean(activeEnvironment?.proxy)}
+                onClose={() => setRunnerTarget(null)}
+              />
+            )}
             {/* History Panel with Lazy Loading */}
             {showHistory && (
               <div className="border-t-2 border-gray-200 pt-6 mt-6">
                 <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-4 gap-3">
                   <h2 className="text-xl md:text-2xl font-bold text-gray-800">Request History</h2>
-                  <div className="flex gap-2">
+                  <div className="flex flex-wrap gap-2">
+                    <button
+                      onClick={exportHar}
+                      className="px-3 md:px-4 py-1.5 md:py-2 bg-gray-700 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-gray-800 transition-colors flex items-center gap-2"
+                      disabled={totalCount === 0}
+                      title="Export as HAR 1.2"
+                    >
+                      <Download size={14} className="md:w-4 md:h-4" />
+                      {selectedIds.size > 0 ? `Export ${selectedIds.size} as HAR` : 'Export HAR'}
+                    </button>
+                    <button
+                      onClick={() => setShowStorage(!showStorage)}
+                      className="px-3 md:px-4 py-1.5 md:py-2 bg-gray-700 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-gray-800 transition-colors flex items-center gap-2"
+                      title="Storage usage and retention"
+                    >
+                      <HardDrive size={14} className="md:w-4 md:h-4" />
+                      Storage
+                    </button>
+                    <button
+                      onClick={compareSelected}
+                      className="px-3 md:px-4 py-1.5 md:py-2 bg-gray-700 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-gray-800 transition-colors flex items-center gap-2 disabled:opacity-40"
+                      disabled={selectedIds.size !== 2}
+                      title="Select two entries to compare their responses"
+                    >
+                      <GitCompare size={14} className="md:w-4 md:h-4" />
+                      Compare
+                    </button>
+                    <button
+                      onClick={() => setShowHarImport(!showHarImport)}
+                      className="px-3 md:px-4 py-1.5 md:py-2 bg-gray-700 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-gray-800 transition-colors flex items-center gap-2"
+                    >
+                      <Upload size={14} className="md:w-4 md:h-4" />
+                      Import HAR
+                    </button>
                     <button
                       onClick={refreshHistory}
                       className="px-3 md:px-4 py-1.5 md:py-2 bg-blue-600 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-blue-700 transition-colors flex items-center gap-2"
@@ -601,9 +1330,36 @@ function RestClient() {
                     </button>
                   </div>
                 </div>
-               
+                {comparing && (
+                  <HistoryDiff before={comparing.before} after={comparing.after} onClose={() => setComparing(null)} />
+                )}
+                {showHarImport && (
+                  <HarImport
+                    onImportHistory={importHistoryItems}
+                    onImportCollection={handleSaveCollection}
+                    onClose={() => setShowHarImport(false)}
+                  />
+                )}
+                {showStorage && (
+                  <HistoryStorage
+                    usage={storageUsage}
+                    entries={totalCount}
+                    retention={settings.retention}
+                    onRetentionChange={(retention) => setSettings({ ...settings, retention })}
+                    onApply={applyRetentionNow}
+                  />
+                )}
+                {totalCount > 0 && (
+                  <HistoryFilters filter={historyFilter} onChange={setHistoryFilter} hosts={historyHostList} matchCount={matchCount} />
+                )}
                 <div className="space-y-3 max-h-[600px] overflow-y-auto">
-                  {history.length === 0 && !isLoadingHistory ? (
+                  {history.length === 0 && !isLoadingHistory && isFilterActive(historyFilter) ? (
+                    <div className="text-center py-12 md:py-16 bg-gray-50 rounded-xl">
+                      <History size={40} className="md:w-12 md:h-12 mx-auto text-gray-300 mb-4" />
+                      <p className="text-gray-500 font-semibold text-sm md:text-base">No matching requests</p>
+                      <p className="text-gray-400 text-xs md:text-sm mt-2">Try a different search or clear the filters</p>
+                    </div>
+                  ) : history.length === 0 && !isLoadingHistory ? (
                     <div className="text-center py-12 md:py-16 bg-gray-50 rounded-xl">
                       <History size={40} className="md:w-12 md:h-12 mx-auto text-gray-300 mb-4" />
                       <p className="text-gray-500 font-semibold text-sm md:text-base">No history yet</p>
@@ -611,47 +1367,122 @@ function RestClient() {
                     </div>
                   ) : (
                     <>
-                      {history.map((item) => (
-                        <div
-                          key={item.id}
-                          className="flex flex-col sm:flex-row items-start sm:items-center justify-between p-3 md:p-4 bg-gradient-to-r from-gray-50 to-gray-100 rounded-xl hover:from-gray-100 hover:to-gray-200 transition-all border border-gray-200 gap-2"
-                        >
+                      {history.map((item) => {
+                        const tests = item.scriptResults ? summarizeTests(item.scriptResults) : null;
+                        return (
                           <div
-                            onClick={() => loadHistoryItem(item)}
-                            className="flex-1 cursor-pointer w-full"
+                            key={item.id}
+                            className="flex flex-col sm:flex-row items-start sm:items-center justify-between p-3 md:p-4 bg-gradient-to-r from-gray-50 to-gray-100 rounded-xl hover:from-gray-100 hover:to-gray-200 transition-all border border-gray-200 gap-2"
                           >
-                            <div className="flex items-center gap-2 md:gap-3 flex-wrap">
-                              <span className="font-bold text-purple-600 bg-purple-100 px-2 md:px-3 py-1 rounded-lg text-xs md:text-sm">
-                                {item.method}
-                              </span>
-                              <span className="text-gray-700 truncate text-xs md:text-sm font-medium flex-1 min-w-0">
-                                {item.url}
-                              </span>
-                              <span className={`text-xs font-bold px-2 py-1 rounded ${getStatusColor(item.statusCode)}`}>
-                                {item.statusCode}
-                              </span>
-                            </div>
-                            <div className="text-xs text-gray-500 mt-2 flex items-center gap-2 md:gap-3 flex-wrap">
-                              <span className="truncate">{new Date(item.timestamp).toLocaleString()}</span>
-                              <span className="hidden sm:inline">•</span>
-                              <span className="flex items-center gap-1">
-                                <Clock size={12} />
-                                {item.duration}ms
-                              </span>
+                            <input
+                              type="checkbox"
+                              checked={selectedIds.has(item.id)}
+                              onChange={() => toggleSelected(item.id)}
+                              className="self-start sm:self-auto"
+                              title="Select for export or compare"
+                            />
+                            <div
+                              onClick={() => loadHistoryItem(item)}
+                              className="flex-1 cursor-pointer w-full"
+                            >
+                              <div className="flex items-center gap-2 md:gap-3 flex-wrap">
+                                <span className="font-bold text-purple-600 bg-purple-100 px-2 md:px-3 py-1 rounded-lg text-xs md:text-sm">
+                                  {item.method}
+                                </span>
+                                <span
+                                  className="text-gray-700 truncate text-xs md:text-sm font-medium flex-1 min-w-0"
+                                  title={item.resolved?.url || item.url}
+                                >
+                                  {item.url}
+                                </span>
+                                {OUTCOME_LABELS[item.outcome] ? (
+                                  <span className="text-xs font-bold px-2 py-1 rounded text-amber-700 bg-amber-50">
+                                    {OUTCOME_LABELS[item.outcome]}
+                                  </span>
+                                ) : (
+                                  <span className={`text-xs font-bold px-2 py-1 rounded ${getStatusColor(item.statusCode)}`}>
+                                    {item.statusCode}
+                                  </span>
+                                )}
+                                {item.attempts?.length > 1 && (
+                                  <span className="text-xs font-semibold px-2 py-1 rounded text-gray-600 bg-gray-200" title="Attempts, including retries">
+                                    {item.attempts.length} attempts
+                                  </span>
+                                )}
+                                {item.websocket && (
+                                  <span className="text-xs font-semibold px-2 py-1 rounded text-gray-600 bg-gray-200" title="WebSocket messages sent and received">
+                                    {item.websocket.sent} sent, {item.websocket.received} received
+                                  </span>
+                                )}
+                                {item.mock && (
+                                  <span className="text-xs font-semibold px-2 py-1 rounded text-amber-700 bg-amber-50" title={`Answered by mock route ${item.mock}`}>
+                                    Mock
+                                  </span>
+                                )}
+                                {item.responseTruncated && (
+                                  <span className="text-xs font-semibold px-2 py-1 rounded text-gray-600 bg-gray-200" title="Only part of the response body was kept">
+                                    {formatBytes(item.responseTruncated)} body, truncated
+                                  </span>
+                                )}
+                                {tests && (
+                                  <span
+                                    className={`text-xs font-bold px-2 py-1 rounded ${tests.failed > 0 ? 'text-red-600 bg-red-50' : 'text-green-600 bg-green-50'}`}
+                                    title="Test results"
+                                  >
+                                    {tests.passed}/{tests.total} tests
+                                  </span>
+                                )}
+                              </div>
+                              <div className="text-xs text-gray-500 mt-2 flex items-center gap-2 md:gap-3 flex-wrap">
+                                <span className="truncate">{new Date(item.timestamp).toLocaleString()}</span>
+                                {item.environment && (
+                                  <>
+                                    <span className="hidden sm:inline">•</span>
+                                    <span className="text-purple-600 font-semibold">{item.environment}</span>
+                                  </>
+                                )}
+                                <span className="hidden sm:inline">•</span>
+                                <span className="flex items-center gap-1">
+                                  <Clock size={12} />
+                                  {item.duration}ms
+                                </span>
+                              </div>
                             </div>
+                            {item.method !== WEBSOCKET_METHOD && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  mockHistoryItem(item);
+                                }}
+                                className="p-1.5 md:p-2 text-gray-400 hover:bg-gray-100 hover:text-purple-600 rounded-lg transition-colors self-end sm:self-auto"
+                                title="Create a mock route from this response"
+                              >
+                                <Server size={16} className="md:w-[18px] md:h-[18px]" />
+                              </button>
+                            )}
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                togglePin(item);
+                              }}
+                              className={`p-1.5 md:p-2 rounded-lg transition-colors self-end sm:self-auto ${item.pinned ? 'text-purple-600 bg-purple-50 hover:bg-purple-100' : 'text-gray-400 hover:bg-gray-100'}`}
+                              title={item.pinned ? 'Unpin' : 'Pin: always keep this entry and its full response'}
+                            >
+                              <Pin size={16} className="md:w-[18px] md:h-[18px]" fill={item.pinned ? 'currentColor' : 'none'} />
+                            </button>
+                            <button
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                deleteHistoryItem(item.id);
+                              }}
+                              className="p-1.5 md:p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors self-end sm:self-auto"
+                              title="Delete request"
+                            >
+                              <Trash2 size={16} className="md:w-[18px] md:h-[18px]" />
+                            </button>
                           </div>
-                          <button
-                            onClick={(e) => {
-                              e.stopPropagation();
-                              deleteHistoryItem(item.id);
-                            }}
-                            className="p-1.5 md:p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors self-end sm:self-auto"
-                            title="Delete request"
-                          >
-                            <Trash2 size={16} className="md:w-[18px] md:h-[18px]" />
-                          </button>
-                        </div>
-                      ))}
+                        );
+                      })}
                      
                       {/* Lazy Loading Indicator */}
                       {hasMore && (
@@ -681,7 +1512,7 @@ function RestClient() {
           {/* Footer */}
           <div className="bg-gray-50 px-6 py-4 border-t border-gray-200">
             <p className="text-xs text-gray-500 text-center">
-              ✅ Direct HTTP Requests • Local Storage History • Client-Side Stats • No Backend Required
+              ✅ Direct HTTP Requests • IndexedDB History • Client-Side Stats • No Backend Required
             </p>
           </div>
         </div>
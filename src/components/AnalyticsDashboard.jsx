@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { RefreshCw } from 'lucide-react';
+import { getHistoryStore } from '../utils/historyStore';
+import { analyzeHistory } from '../utils/analytics';
+
+const inputClass = 'px-2 py-1 border-2 border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 bg-white';
+
+const TABLE_ROWS = 10;
+
+const CLASS_COLORS = {
+  '2xx': 'bg-green-500',
+  '3xx': 'bg-blue-500',
+  '4xx': 'bg-amber-500',
+  '5xx': 'bg-red-500',
+  network: 'bg-gray-500',
+};
+
+// Local YYYY-MM-DD, as date inputs use
+const dateInput = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return dateInput(date);
+};
+
+const PRESETS = [
+  { label: 'Today', days: 0 },
+  { label: '7 days', days: 6 },
+  { label: '30 days', days: 29 },
+];
+
+const ms = (value) => (value == null ? '–' : `${value}ms`);
+const percent = (rate) => `${Math.round(rate * 1000) / 10}%`;
+
+const formatBucket = (start, size) => {
+  const date = new Date(start);
+  return size < 24 * 60 * 60 * 1000
+    ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+    : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+};
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 140;
+
+// Line chart over the timeline buckets. Buckets without data break the line.
+function TimeChart({ title, buckets, size, series, format }) {
+  const values = buckets.flatMap(bucket => series.map(line => bucket[line.key])).filter(value => value != null);
+  const max = Math.max(...values, 0) || 1;
+  const x = (index) => (buckets.length === 1 ? CHART_WIDTH / 2 : (index / (buckets.length - 1)) * CHART_WIDTH);
+  const y = (value) => CHART_HEIGHT - (value / max) * CHART_HEIGHT;
+
+  const path = (key) => buckets.reduce((d, bucket, index) => {
+    if (bucket[key] == null) return d;
+    const previous = buckets[index - 1];
+    return `${d}${previous?.[key] == null ? 'M' : 'L'}${x(index).toFixed(1)},${y(bucket[key]).toFixed(1)} `;
+  }, '');
+
+  return (
+    <div className="p-3 bg-white border border-gray-200 rounded-xl">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="text-xs font-bold text-gray-700">{title}</h4>
+        <div className="flex gap-3 text-xs text-gray-500">
+          {series.map(line => (
+            <span key={line.key} className="flex items-center gap-1">
+              <span className={`inline-block w-3 h-0.5 ${line.legend}`} />
+              {line.label}
+            </span>
+          ))}
+          <span>max {format(max)}</span>
+        </div>
+      </div>
+      <svg viewBox={`0 -6 ${CHART_WIDTH} ${CHART_HEIGHT + 12}`} className="w-full h-36" preserveAspectRatio="none">
+        <line x1="0" y1={CHART_HEIGHT} x2={CHART_WIDTH} y2={CHART_HEIGHT} className="stroke-gray-200" strokeWidth="1" />
+        {series.map(line => (
+          <g key={line.key} className={line.stroke}>
+            <path d={path(line.key)} fill="none" stroke="currentColor" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            {buckets.map((bucket, index) => bucket[line.key] != null && (
+              <circle key={bucket.start} cx={x(index)} cy={y(bucket[line.key])} r="3" fill="currentColor" vectorEffect="non-scaling-stroke">
+                <title>{`${formatBucket(bucket.start, size)}: ${format(bucket[line.key])} (${bucket.count} request${bucket.count === 1 ? '' : 's'})`}</title>
+              </circle>
+            ))}
+          </g>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>{formatBucket(buckets[0].start, size)}</span>
+        {buckets.length > 1 && <span>{formatBucket(buckets[buckets.length - 1].start, size)}</span>}
+      </div>
+    </div>
+  );
+}
+
+function ClassBar({ byClass, count }) {
+  return (
+    <div className="flex h-2 rounded overflow-hidden bg-gray-200 min-w-[4rem]">
+      {Object.entries(byClass).filter(([, n]) => n > 0).map(([statusClass, n]) => (
+        <div
+          key={statusClass}
+          className={CLASS_COLORS[statusClass] || 'bg-gray-400'}
+          style={{ width: `${(n / count) * 100}%` }}
+          title={`${statusClass === 'network' ? 'Network' : statusClass}: ${n}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+function StatsTable({ title, rows, label }) {
+  const [showAll, setShowAll] = useState(false);
+  const visible = showAll ? rows : rows.slice(0, TABLE_ROWS);
+  return (
+    <div className="p-3 bg-white border border-gray-200 rounded-xl overflow-x-auto">
+      <h4 className="text-xs font-bold text-gray-700 mb-2">{title}</h4>
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-gray-500">
+            <th className="py-1 pr-2 font-semibold">{label.heading}</th>
+            <th className="py-1 px-2 font-semibold text-right">Requests</th>
+            <th className="py-1 px-2 font-semibold text-right">p50</th>
+            <th className="py-1 px-2 font-semibold text-right">p90</th>
+            <th className="py-1 px-2 font-semibold text-right">p99</th>
+            <th className="py-1 px-2 font-semibold text-right">Errors</th>
+            <th className="py-1 pl-2 font-semibold w-24">Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visible.map(row => (
+            <tr key={label.key(row)} className="border-t border-gray-100">
+              <td className="py-1 pr-2 font-mono text-gray-800 break-all">{label.render(row)}</td>
+              <td className="py-1 px-2 text-right">{row.count}</td>
+              <td className="py-1 px-2 text-right">{ms(row.p50)}</td>
+              <td className="py-1 px-2 text-right">{ms(row.p90)}</td>
+              <td className="py-1 px-2 text-right">{ms(row.p99)}</td>
+              <td className={`py-1 px-2 text-right ${row.errorRate > 0 ? 'text-red-600 font-semibold' : ''}`}>{percent(row.errorRate)}</td>
+              <td className="py-1 pl-2"><ClassBar byClass={row.byClass} count={row.count} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > TABLE_ROWS && (
+        <button onClick={() => setShowAll(!showAll)} className="mt-2 text-xs text-purple-600 font-semibold hover:underline">
+          {showAll ? 'Show fewer' : `Show all ${rows.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+const HOST_LABEL = { heading: 'Host', key: row => row.host, render: row => row.host || '(no host)' };
+const ENDPOINT_LABEL = {
+  heading: 'Endpoint',
+  key: row => row.key,
+  render: row => (
+    <>
+      <span className="font-bold text-purple-700">{row.method}</span> <span className="text-gray-500">{row.host}</span>{row.path}
+    </>
+  ),
+};
+
+// Latency and error analytics over all history, for a date range. Reloads
+// when refreshKey changes, such as after a request is saved.
+function AnalyticsDashboard({ refreshKey }) {
+  const [summaries, setSummaries] = useState(null);
+  const [range, setRange] = useState({ from: daysAgo(6), to: '' });
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const store = await getHistoryStore();
+        const rows = await store.summaries();
+        if (!cancelled) setSummaries(rows);
+      } catch (error) {
+        console.error('Failed to load analytics:', error);
+        if (!cancelled) setSummaries([]);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [refreshKey, reloads]);
+
+  const analytics = useMemo(() => summaries && analyzeHistory(summaries, range), [summaries, range]);
+
+  const presetActive = (days) => range.from === daysAgo(days) && !range.to;
+
+  return (
+    <div className="mb-4 p-3 md:p-4 bg-gray-50 border border-gray-200 rounded-xl space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+        <h3 className="font-bold text-gray-800 text-sm mr-2">Analytics</h3>
+        {PRESETS.map(preset => (
+          <button
+            key={preset.label}
+            onClick={() => setRange({ from: daysAgo(preset.days), to: '' })}
+            className={`px-2 py-1 rounded-lg font-bold transition-colors ${presetActive(preset.days) ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+          >
+            {preset.label}
+          </button>
+        ))}
+        <button
+          onClick={() => setRange({ from: '', to: '' })}
+          className={`px-2 py-1 rounded-lg font-bold transition-colors ${!range.from && !range.to ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
+        >
+          All
+        </button>
+        <label className="flex items-center gap-1">
+          From
+          <input type="date" value={range.from} max={range.to || undefined} onChange={(e) => setRange({ ...range, from: e.target.value })} className={inputClass} />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input type="date" value={range.to} min={range.from || undefined} onChange={(e) => setRange({ ...range, to: e.target.value })} className={inputClass} />
+        </label>
+        <button onClick={() => setReloads(n => n + 1)} className="p-1.5 rounded-lg hover:bg-gray-200 transition-colors" title="Reload">
+          <RefreshCw size={14} />
+        </button>
+      </div>
+
+      {!analytics ? (
+        <p className="text-xs text-gray-500">Loading…</p>
+      ) : analytics.overall.count === 0 ? (
+        <p className="text-xs text-gray-500">No requests in history for this date range.</p>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            {[
+              ['Requests', analytics.overall.count],
+              ['p50', ms(analytics.overall.p50)],
+              ['p90', ms(analytics.overall.p90)],
+              ['p99', ms(analytics.overall.p99)],
+              ['Error rate', percent(analytics.overall.errorRate)],
+            ].map(([label, value]) => (
+              <div key={label} className="p-3 bg-white border border-gray-200 rounded-xl">
+                <div className="text-xs text-gray-500">{label}</div>
+                <div className="text-lg font-bold text-gray-800">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="p-3 bg-white border border-gray-200 rounded-xl space-y-2">
+            <ClassBar byClass={analytics.overall.byClass} count={analytics.overall.count} />
+            <div className="flex flex-wrap gap-3 text-xs text-gray-600">
+              {Object.entries(analytics.overall.byClass).map(([statusClass, n]) => (
+                <span key={statusClass} className="flex items-center gap-1">
+                  <span className={`inline-block w-2 h-2 rounded-sm ${CLASS_COLORS[statusClass]}`} />
+                  {statusClass === 'network' ? 'Network errors' : statusClass} {n} ({percent(n / analytics.overall.count)})
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+            <TimeChart
+              title="Latency"
+              buckets={analytics.timeline.buckets}
+              size={analytics.timeline.size}
+              format={ms}
+              series={[
+                { key: 'p50', label: 'p50', stroke: 'text-purple-600', legend: 'bg-purple-600' },
+                { key: 'p90', label: 'p90', stroke: 'text-pink-500', legend: 'bg-pink-500' },
+              ]}
+            />
+            <TimeChart
+              title="Error rate"
+              buckets={analytics.timeline.buckets.map(bucket => ({ ...bucket, errorRate: bucket.count ? bucket.errorRate : null }))}
+              size={analytics.timeline.size}
+              format={percent}
+              series={[{ key: 'errorRate', label: 'Errors', stroke: 'text-red-500', legend: 'bg-red-500' }]}
+            />
+          </div>
+
+          <StatsTable title="Hosts" rows={analytics.hosts} label={HOST_LABEL} />
+          <StatsTable title="Endpoints" rows={analytics.endpoints} label={ENDPOINT_LABEL} />
+          <p className="text-xs text-gray-500">
+            Numeric, UUID and hash-like path segments are grouped as :id, :uuid and :hash. Latency counts requests that
+            got a response; network errors, timeouts and cancellations count as errors.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AnalyticsDashboard;
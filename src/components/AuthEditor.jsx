@@ -0,0 +1,163 @@
+import React, { useState } from 'react';
+import { KeyRound, RefreshCw, Trash2, Loader } from 'lucide-react';
+import { AUTH_TYPES, OAUTH_GRANTS, resolveAuth } from '../utils/auth';
+import { getCachedToken, isTokenExpired, fetchNewToken, clearCachedToken, defaultRedirectUri } from '../utils/oauth';
+
+const inputClass = 'w-full px-2 py-1.5 border-2 border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-purple-500 bg-gray-50';
+
+function Field({ label, children }) {
+  return (
+    <label className="block">
+      <span className="block text-xs font-semibold text-gray-600 mb-1">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+function AuthEditor({ auth, onChange, variables }) {
+  const [tokenStatus, setTokenStatus] = useState({ loading: false, error: '' });
+
+  const update = (section, changes) => onChange({ ...auth, [section]: { ...auth[section], ...changes } });
+  const textInput = (section, key, placeholder, type = 'text') => (
+    <input
+      type={type}
+      value={auth[section][key]}
+      onChange={(e) => update(section, { [key]: e.target.value })}
+      placeholder={placeholder}
+      className={inputClass}
+    />
+  );
+
+  // The cache is keyed by the resolved settings, so look it up the same way sendRequest does
+  const oauthConfig = auth.type === 'oauth2' ? resolveAuth(auth, variables).oauth2 : null;
+  const cachedToken = oauthConfig ? getCachedToken(oauthConfig) : null;
+
+  const getNewToken = async () => {
+    setTokenStatus({ loading: true, error: '' });
+    try {
+      await fetchNewToken(oauthConfig);
+      setTokenStatus({ loading: false, error: '' });
+    } catch (error) {
+      setTokenStatus({ loading: false, error: error.message });
+    }
+  };
+
+  const clearToken = () => {
+    clearCachedToken(oauthConfig);
+    setTokenStatus({ loading: false, error: '' });
+  };
+
+  return (
+    <div className="space-y-2">
+      <select
+        value={auth.type}
+        onChange={(e) => onChange({ ...auth, type: e.target.value })}
+        className="px-2 py-1.5 border-2 border-gray-300 rounded-lg text-xs bg-white focus:ring-2 focus:ring-purple-500"
+      >
+        {AUTH_TYPES.map(type => <option key={type.id} value={type.id}>{type.label}</option>)}
+      </select>
+
+      {auth.type === 'none' && (
+        <p className="text-xs text-gray-500">No Authorization is added. Headers set in the Headers tab are still sent.</p>
+      )}
+
+      {auth.type === 'bearer' && (
+        <Field label="Token">{textInput('bearer', 'token', '{{token}}')}</Field>
+      )}
+
+      {auth.type === 'basic' && (
+        <div className="grid grid-cols-2 gap-2">
+          <Field label="Username">{textInput('basic', 'username', 'username')}</Field>
+          <Field label="Password">{textInput('basic', 'password', 'password', 'password')}</Field>
+        </div>
+      )}
+
+      {auth.type === 'apikey' && (
+        <div className="grid grid-cols-2 gap-2">
+          <Field label="Key">{textInput('apikey', 'key', 'X-API-Key')}</Field>
+          <Field label="Value">{textInput('apikey', 'value', '{{apiKey}}')}</Field>
+          <Field label="Add to">
+            <select
+              value={auth.apikey.in}
+              onChange={(e) => update('apikey', { in: e.target.value })}
+              className="w-full px-2 py-1.5 border-2 border-gray-300 rounded-lg text-xs bg-white"
+            >
+              <option value="header">Header</option>
+              <option value="query">Query param</option>
+            </select>
+          </Field>
+        </div>
+      )}
+
+      {auth.type === 'oauth2' && (
+        <>
+          <div className="grid grid-cols-2 gap-2">
+            <Field label="Grant type">
+              <select
+                value={auth.oauth2.grantType}
+                onChange={(e) => update('oauth2', { grantType: e.target.value })}
+                className="w-full px-2 py-1.5 border-2 border-gray-300 rounded-lg text-xs bg-white"
+              >
+                {OAUTH_GRANTS.map(grant => <option key={grant.id} value={grant.id}>{grant.label}</option>)}
+              </select>
+            </Field>
+            <Field label="Client authentication">
+              <select
+                value={auth.oauth2.clientAuth}
+                onChange={(e) => update('oauth2', { clientAuth: e.target.value })}
+                className="w-full px-2 py-1.5 border-2 border-gray-300 rounded-lg text-xs bg-white"
+              >
+                <option value="body">Credentials in body</option>
+                <option value="header">Basic auth header</option>
+              </select>
+            </Field>
+            {auth.oauth2.grantType === 'authorization_code' && (
+              <Field label="Authorization URL">{textInput('oauth2', 'authUrl', 'https://auth.example.com/authorize')}</Field>
+            )}
+            <Field label="Token URL">{textInput('oauth2', 'tokenUrl', 'https://auth.example.com/token')}</Field>
+            <Field label="Client ID">{textInput('oauth2', 'clientId', '{{clientId}}')}</Field>
+            <Field label="Client secret">{textInput('oauth2', 'clientSecret', 'optional for PKCE', 'password')}</Field>
+            <Field label="Scope">{textInput('oauth2', 'scope', 'read write')}</Field>
+            {auth.oauth2.grantType === 'authorization_code' && (
+              <Field label="Redirect URI">{textInput('oauth2', 'redirectUri', defaultRedirectUri())}</Field>
+            )}
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={getNewToken}
+              disabled={tokenStatus.loading}
+              className="px-3 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-semibold hover:bg-purple-700 disabled:opacity-50 flex items-center gap-1"
+            >
+              {tokenStatus.loading ? <Loader size={12} className="animate-spin" /> : <RefreshCw size={12} />}
+              Get New Token
+            </button>
+            {cachedToken && (
+              <button
+                onClick={clearToken}
+                className="px-3 py-1.5 bg-white border-2 border-gray-300 text-gray-700 rounded-lg text-xs font-semibold hover:bg-gray-100 flex items-center gap-1"
+              >
+                <Trash2 size={12} />
+                Clear Token
+              </button>
+            )}
+            <span className="text-xs text-gray-600 flex items-center gap-1">
+              <KeyRound size={12} />
+              {!cachedToken && 'No token yet; one is fetched when you send'}
+              {cachedToken && (isTokenExpired(cachedToken)
+                ? `Token expired${cachedToken.refreshToken ? ', will refresh on send' : ', a new one is fetched on send'}`
+                : `Token cached${cachedToken.expiresAt ? `, expires ${new Date(cachedToken.expiresAt).toLocaleTimeString()}` : ''}${cachedToken.refreshToken ? ' (refreshable)' : ''}`)}
+            </span>
+          </div>
+          {tokenStatus.error && <p className="text-xs text-red-600">{tokenStatus.error}</p>}
+          {auth.oauth2.grantType === 'authorization_code' && (
+            <p className="text-xs text-gray-500">
+              The authorization page opens in a popup and must redirect back to this app for the code to be picked up.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default AuthEditor;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { Upload } from 'lucide-react';
+import KeyValueEditor from './KeyValueEditor';
+import { BODY_TYPES, RAW_CONTENT_TYPES, defaultContentType } from '../utils/requestBody';
+
+function BodyEditor({
+  bodyType,
+  onBodyTypeChange,
+  body,
+  onBodyChange,
+  bodyContentType,
+  onBodyContentTypeChange,
+  formFields,
+  onFormFieldsChange,
+  binaryFile,
+  onBinaryFileChange,
+  disabled,
+  contentTypeOverride,
+}) {
+  const autoContentType = bodyType === 'multipart'
+    ? 'multipart/form-data (boundary set by the browser)'
+    : defaultContentType({ bodyType, bodyContentType, binaryFile });
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-1 mb-2">
+        <span className="text-xs md:text-sm font-bold text-gray-700 mr-1">Body</span>
+        {BODY_TYPES.map(type => (
+          <button
+            key={type.id}
+            onClick={() => onBodyTypeChange(type.id)}
+            disabled={disabled}
+            className={`px-2 py-1 rounded text-xs font-semibold transition-colors disabled:opacity-50 ${
+              bodyType === type.id ? 'bg-purple-600 text-white' : 'text-gray-600 hover:bg-gray-100'
+            }`}
+          >
+            {type.label}
+          </button>
+        ))}
+      </div>
+      {disabled ? (
+        <div className="h-32 md:h-40 flex items-center justify-center border-2 border-gray-200 rounded-xl bg-gray-50 text-xs text-gray-400">
+          This method does not send a body
+        </div>
+      ) : (
+        <>
+          {bodyType === 'none' && (
+            <div className="h-32 md:h-40 flex items-center justify-center border-2 border-gray-200 rounded-xl bg-gray-50 text-xs text-gray-400">
+              No body will be sent
+            </div>
+          )}
+          {(bodyType === 'json' || bodyType === 'raw') && (
+            <>
+              {bodyType === 'raw' && (
+                <select
+                  value={bodyContentType}
+                  onChange={(e) => onBodyContentTypeChange(e.target.value)}
+                  className="mb-2 px-2 py-1 border-2 border-gray-300 rounded-lg text-xs bg-white focus:ring-2 focus:ring-purple-500"
+                >
+                  {RAW_CONTENT_TYPES.map(type => <option key={type}>{type}</option>)}
+                </select>
+              )}
+              <textarea
+                value={body}
+                onChange={(e) => onBodyChange(e.target.value)}
+                className="w-full h-32 md:h-40 px-3 md:px-4 py-2 md:py-3 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
+                placeholder={bodyType === 'json' ? '{"title": "Sample", "userId": 1}' : '<note>Plain text, XML or any other payload</note>'}
+              />
+            </>
+          )}
+          {(bodyType === 'urlencoded' || bodyType === 'multipart') && (
+            <KeyValueEditor
+              rows={formFields}
+              onChange={onFormFieldsChange}
+              keyPlaceholder="Field"
+              allowFiles={bodyType === 'multipart'}
+            />
+          )}
+          {bodyType === 'binary' && (
+            <label className="h-32 md:h-40 flex flex-col items-center justify-center gap-2 border-2 border-dashed border-gray-300 rounded-xl bg-gray-50 text-xs text-gray-600 cursor-pointer hover:bg-gray-100">
+              <Upload size={20} />
+              {binaryFile
+                ? `${binaryFile.name} (${binaryFile.size} bytes)${binaryFile instanceof Blob ? '' : ' - choose again to send'}`
+                : 'Choose a file to send as the request body'}
+              <input
+                type="file"
+                onChange={(e) => onBinaryFileChange(e.target.files[0] || null)}
+                className="hidden"
+              />
+            </label>
+          )}
+          {bodyType !== 'none' && (
+            <p className="mt-1 text-xs text-gray-500">
+              Content-Type:{' '}
+              <span className="font-mono">{contentTypeOverride || autoContentType}</span>
+              {contentTypeOverride ? ' (set in headers)' : ' (automatic)'}
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BodyEditor;
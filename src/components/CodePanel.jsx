@@ -0,0 +1,79 @@
+import React, { useState, useMemo } from 'react';
+import { Code2, Copy, Check, X, AlertCircle } from 'lucide-react';
+import { SNIPPET_LANGUAGES, generateSnippet } from '../utils/codegen';
+import { prepareRequest } from '../utils/request';
+
+function CodePanel({ request, variables, onClose }) {
+  const [language, setLanguage] = useState('curl');
+  const [copied, setCopied] = useState(false);
+
+  // Resolve the request exactly as sendRequest would before generating code
+  const { snippet, error } = useMemo(() => {
+    try {
+      return { snippet: generateSnippet(language, prepareRequest(request, variables)), error: null };
+    } catch (err) {
+      return { snippet: '', error: err.message };
+    }
+  }, [language, request, variables]);
+
+  const copySnippet = () => {
+    navigator.clipboard.writeText(snippet);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="border-t-2 border-gray-200 pt-6 mt-6">
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-4 gap-3">
+        <h2 className="text-xl md:text-2xl font-bold text-gray-800 flex items-center gap-2">
+          <Code2 size={22} />
+          Code
+        </h2>
+        <div className="flex items-center gap-2">
+          {snippet && (
+            <button
+              onClick={copySnippet}
+              className="p-1.5 md:p-2 hover:bg-gray-100 rounded-lg transition-colors"
+              title="Copy code"
+            >
+              {copied ? <Check size={16} className="md:w-[18px] md:h-[18px] text-green-600" /> : <Copy size={16} className="md:w-[18px] md:h-[18px] text-gray-600" />}
+            </button>
+          )}
+          <button
+            onClick={onClose}
+            className="p-1.5 md:p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X size={18} className="md:w-5 md:h-5" />
+          </button>
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2 mb-3">
+        {SNIPPET_LANGUAGES.map(lang => (
+          <button
+            key={lang.id}
+            onClick={() => setLanguage(lang.id)}
+            className={`px-2 md:px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors ${
+              language === lang.id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {lang.label}
+          </button>
+        ))}
+      </div>
+      {error ? (
+        <div className="flex items-center gap-2 p-2 md:p-3 bg-red-50 border border-red-200 rounded-xl text-xs md:text-sm text-red-700">
+          <AlertCircle size={16} className="flex-shrink-0" />
+          {error}
+        </div>
+      ) : (
+        <div className="bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl p-3 md:p-4 overflow-auto max-h-64 md:max-h-96 border-2 border-gray-700">
+          <pre className="text-green-400 text-xs font-mono leading-relaxed whitespace-pre">
+            {snippet}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CodePanel;
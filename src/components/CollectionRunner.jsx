@@ -0,0 +1,254 @@
+import React, { useState, useRef } from 'react';
+import { Play, Square, X, Upload, Download, CheckCircle2, XCircle, Loader, RotateCw } from 'lucide-react';
+import RetryEditor from './RetryEditor';
+import { collectRequests, parseIterationData, runCollection, reportToJUnit, summarizeResults, RUNNER_DEFAULTS } from '../utils/runner';
+import { executeRequest } from '../utils/execute';
+import { shouldProxy } from '../utils/proxy';
+import { effectiveTimeout } from '../utils/settings';
+import { downloadFile, readFileAsText, toFilename } from '../utils/download';
+
+const inputClass = 'w-24 px-2 py-1.5 border-2 border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 bg-white';
+
+// Runs a collection or folder in order, optionally once per data row, and
+// shows a report that can be exported as JSON or JUnit XML. The collection's
+// retry policy applies to requests that have none of their own. With proxy
+// set (by the environment) every request goes through the local proxy.
+function CollectionRunner({ collection, folder, variables, defaultTimeout, proxy = false, onVariableChanges, onSaveCollection, onClose }) {
+  const [iterations, setIterations] = useState(RUNNER_DEFAULTS.iterations);
+  const [delay, setDelay] = useState(RUNNER_DEFAULTS.delay);
+  const [stopOnFailure, setStopOnFailure] = useState(RUNNER_DEFAULTS.stopOnFailure);
+  const [data, setData] = useState(null);
+  const [dataError, setDataError] = useState('');
+  const [running, setRunning] = useState(false);
+  const [results, setResults] = useState([]);
+  const [report, setReport] = useState(null);
+  const controller = useRef(null);
+  const fileInput = useRef(null);
+
+  const name = folder ? `${collection.name} / ${folder.name}` : collection.name;
+  const requests = collectRequests(folder ? folder.items : collection.items);
+  const iterationCount = data ? data.rows.length : Math.max(1, Number(iterations) || 1);
+
+  const loadData = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setData({ filename: file.name, rows: parseIterationData(await readFileAsText(file), file.name) });
+      setDataError('');
+    } catch (error) {
+      setData(null);
+      setDataError(error.message);
+    }
+  };
+
+  const start = async () => {
+    controller.current = new AbortController();
+    setRunning(true);
+    setResults([]);
+    setReport(null);
+    try {
+      const finished = await runCollection({
+        name,
+        requests,
+        data: data?.rows || [],
+        iterations: iterationCount,
+        delay: Math.max(0, Number(delay) || 0),
+        stopOnFailure,
+        variables,
+        // Stop also cancels the request in flight
+        execute: (node, runVariables) => executeRequest({
+          ...node,
+          retry: node.retry?.enabled ? node.retry : collection.retry,
+          proxy: shouldProxy(node, { proxy }),
+        }, runVariables, {
+          onVariableChanges,
+          signal: controller.current.signal,
+          timeout: effectiveTimeout(node.timeout, defaultTimeout),
+        }),
+        onResult: (_, all) => setResults([...all]),
+        signal: controller.current.signal,
+      });
+      setReport({ ...finished, options: { ...finished.options, dataFile: data?.filename || null } });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const exportJson = () => {
+    downloadFile(toFilename(`${name} run`, 'json'), JSON.stringify(report, null, 2));
+  };
+
+  const exportJUnit = () => {
+    downloadFile(toFilename(`${name} run`, 'xml'), reportToJUnit(report), 'application/xml');
+  };
+
+  const summary = report ? report.summary : summarizeResults(results);
+  const total = requests.length * iterationCount;
+
+  return (
+    <div className="border-t-2 border-gray-200 pt-6 mt-6">
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-4 gap-3">
+        <h2 className="text-xl md:text-2xl font-bold text-gray-800 truncate">Run {name}</h2>
+        <button onClick={onClose} disabled={running} className="p-1.5 md:p-2 hover:bg-gray-100 rounded-lg transition-colors disabled:opacity-40">
+          <X size={18} className="md:w-5 md:h-5" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-end gap-3 mb-4 p-3 bg-gray-50 border border-gray-200 rounded-xl text-xs">
+        <label className="block">
+          <span className="block font-semibold text-gray-600 mb-1">Iterations</span>
+          <input
+            type="number"
+            min="1"
+            value={data ? data.rows.length : iterations}
+            onChange={(e) => setIterations(e.target.value)}
+            disabled={Boolean(data) || running}
+            className={inputClass}
+          />
+        </label>
+        <label className="block">
+          <span className="block font-semibold text-gray-600 mb-1">Delay (ms)</span>
+          <input
+            type="number"
+            min="0"
+            step="100"
+            value={delay}
+            onChange={(e) => setDelay(e.target.value)}
+            disabled={running}
+            className={inputClass}
+          />
+        </label>
+        <label className="flex items-center gap-1.5 py-2 font-semibold text-gray-600">
+          <input type="checkbox" checked={stopOnFailure} onChange={(e) => setStopOnFailure(e.target.checked)} disabled={running} />
+          Stop on failure
+        </label>
+        <div className="flex items-center gap-2 py-1">
+          <button
+            onClick={() => fileInput.current?.click()}
+            disabled={running}
+            className="px-2 py-1.5 bg-white border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-100 flex items-center gap-1"
+            title="CSV with a header row, or a JSON array of objects"
+          >
+            <Upload size={12} />
+            {data ? 'Change data' : 'Data file'}
+          </button>
+          <input ref={fileInput} type="file" accept=".csv,.json,text/csv,application/json" onChange={loadData} className="hidden" />
+          {data && (
+            <span className="text-gray-600">
+              <span className="font-mono">{data.filename}</span>: {data.rows.length} rows ({Object.keys(data.rows[0]).join(', ')})
+              <button onClick={() => setData(null)} disabled={running} className="ml-1 text-red-600 hover:underline">remove</button>
+            </span>
+          )}
+          {dataError && <span className="text-red-600">{dataError}</span>}
+        </div>
+        <div className="ml-auto">
+          {running ? (
+            <button
+              onClick={() => controller.current?.abort()}
+              className="px-3 md:px-4 py-1.5 md:py-2 bg-red-600 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-red-700 flex items-center gap-2"
+            >
+              <Square size={14} />
+              Stop
+            </button>
+          ) : (
+            <button
+              onClick={start}
+              disabled={requests.length === 0}
+              className="px-3 md:px-4 py-1.5 md:py-2 bg-green-600 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-green-700 disabled:bg-gray-400 flex items-center gap-2"
+            >
+              <Play size={14} />
+              Run {requests.length} request{requests.length === 1 ? '' : 's'}{iterationCount > 1 ? ` × ${iterationCount}` : ''}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <details className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-xl">
+        <summary className="text-xs font-semibold text-gray-600 cursor-pointer">
+          Collection retry policy{collection.retry?.enabled ? ' (on)' : ''}
+        </summary>
+        <div className="mt-3">
+          <RetryEditor
+            retry={collection.retry}
+            onChange={(retry) => onSaveCollection({ ...collection, retry })}
+            disabled={running}
+          />
+        </div>
+      </details>
+
+      {(results.length > 0 || running) && (
+        <div className="flex flex-wrap items-center gap-2 mb-3 text-xs md:text-sm">
+          {running && (
+            <span className="flex items-center gap-1 text-gray-600 font-semibold">
+              <Loader size={14} className="animate-spin" />
+              {results.length}/{total}
+            </span>
+          )}
+          <span className="px-2 py-1 rounded font-bold text-green-600 bg-green-50">{summary.passed} passed</span>
+          <span className={`px-2 py-1 rounded font-bold ${summary.failed > 0 ? 'text-red-600 bg-red-50' : 'text-gray-500 bg-gray-100'}`}>{summary.failed} failed</span>
+          <span className="px-2 py-1 rounded font-semibold text-gray-600 bg-gray-100">Tests {summary.testsPassed}/{summary.tests}</span>
+          {summary.averageDuration != null && (
+            <span className="px-2 py-1 rounded font-semibold text-gray-600 bg-gray-100">Avg {summary.averageDuration}ms</span>
+          )}
+          {report?.stopped && <span className="text-amber-700 font-semibold">{report.stopped}</span>}
+          {report && (
+            <div className="ml-auto flex gap-2">
+              <button onClick={exportJson} className="px-2 py-1 bg-gray-700 text-white rounded-lg font-semibold hover:bg-gray-800 flex items-center gap-1">
+                <Download size={12} />
+                JSON
+              </button>
+              <button onClick={exportJUnit} className="px-2 py-1 bg-gray-700 text-white rounded-lg font-semibold hover:bg-gray-800 flex items-center gap-1">
+                <Download size={12} />
+                JUnit XML
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-2 max-h-[600px] overflow-y-auto">
+        {results.map((result, index) => (
+          <div key={`${result.iteration}-${result.id}-${index}`} className="p-2 md:p-3 bg-gradient-to-r from-gray-50 to-gray-100 rounded-xl border border-gray-200 text-xs">
+            <div className="flex items-center gap-2 flex-wrap">
+              {result.passed
+                ? <CheckCircle2 size={14} className="text-green-600 flex-shrink-0" />
+                : <XCircle size={14} className="text-red-600 flex-shrink-0" />}
+              {iterationCount > 1 && <span className="text-gray-400 font-semibold">#{result.iteration}</span>}
+              <span className="font-bold text-purple-600 bg-purple-100 px-2 py-0.5 rounded">{result.method}</span>
+              <span className="font-semibold text-gray-700 truncate flex-1 min-w-0" title={result.url}>
+                {[...result.path, result.name].join(' / ')}
+              </span>
+              {result.status != null && (
+                <span className={`font-bold px-2 py-0.5 rounded ${result.status < 400 ? 'text-green-600 bg-green-50' : 'text-red-600 bg-red-50'}`}>
+                  {result.status}
+                </span>
+              )}
+              {result.duration != null && <span className="text-gray-500">{result.duration}ms</span>}
+              {result.attempts.length > 1 && (
+                <span
+                  className="flex items-center gap-0.5 text-amber-700"
+                  title={result.attempts.map(attempt => `#${attempt.attempt}: ${attempt.status ?? attempt.outcome} in ${attempt.duration}ms`).join('\n')}
+                >
+                  <RotateCw size={12} />
+                  {result.attempts.length} attempts
+                </span>
+              )}
+              {result.tests.length > 0 && (
+                <span className="text-gray-500">{result.tests.filter(test => test.passed).length}/{result.tests.length} tests</span>
+              )}
+            </div>
+            {result.error && <p className="mt-1 font-mono text-red-600 break-words">{result.error}</p>}
+            {result.tests.filter(test => !test.passed).map((test, testIndex) => (
+              <p key={`${test.name}-${testIndex}`} className="mt-1 font-mono text-red-600 break-words">
+                {test.name}: {test.error}
+              </p>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default CollectionRunner;
@@ -0,0 +1,287 @@
+import React, { useState, useRef } from 'react';
+import { Folder, FolderPlus, ChevronRight, ChevronDown, ChevronUp, Pencil, Copy, Trash2, X, Save, Plus, Library, Upload, Download, Play } from 'lucide-react';
+import {
+  createCollection,
+  createFolder,
+  createRequestItem,
+  updateNode,
+  removeNode,
+  insertNode,
+  duplicateNode,
+  moveNode,
+  listFolders,
+} from '../utils/collections';
+import { importPostmanCollection, exportPostmanCollection } from '../utils/postman';
+import { downloadFile, readFileAsText, toFilename } from '../utils/download';
+import ImportSummary from './ImportSummary';
+
+const iconButton = 'p-1 text-gray-500 hover:bg-gray-200 rounded transition-colors';
+
+function CollectionNode({ node, depth, onOpen, onUpdate, onRun }) {
+  const [expanded, setExpanded] = useState(true);
+
+  const rename = () => {
+    const name = window.prompt('Rename', node.name);
+    if (name && name.trim()) onUpdate(items => updateNode(items, node.id, n => ({ ...n, name: name.trim() })));
+  };
+
+  const addFolder = () => {
+    const name = window.prompt('Folder name', 'New Folder');
+    if (name && name.trim()) onUpdate(items => insertNode(items, node.id, createFolder(name.trim())));
+  };
+
+  const remove = () => {
+    if (window.confirm(`Delete "${node.name}"?`)) onUpdate(items => removeNode(items, node.id));
+  };
+
+  const actions = (
+    <div className="flex items-center gap-0.5 flex-shrink-0" onClick={(e) => e.stopPropagation()}>
+      {node.type === 'folder' && (
+        <>
+          <button onClick={() => onRun(node)} className={iconButton} title="Run folder"><Play size={14} /></button>
+          <button onClick={addFolder} className={iconButton} title="Add folder"><FolderPlus size={14} /></button>
+        </>
+      )}
+      <button onClick={() => onUpdate(items => moveNode(items, node.id, -1))} className={iconButton} title="Move up"><ChevronUp size={14} /></button>
+      <button onClick={() => onUpdate(items => moveNode(items, node.id, 1))} className={iconButton} title="Move down"><ChevronDown size={14} /></button>
+      <button onClick={rename} className={iconButton} title="Rename"><Pencil size={14} /></button>
+      <button onClick={() => onUpdate(items => duplicateNode(items, node.id))} className={iconButton} title="Duplicate"><Copy size={14} /></button>
+      <button onClick={remove} className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors" title="Delete"><Trash2 size={14} /></button>
+    </div>
+  );
+
+  if (node.type === 'folder') {
+    return (
+      <div>
+        <div
+          onClick={() => setExpanded(!expanded)}
+          className="flex items-center justify-between gap-2 py-1.5 px-2 rounded-lg hover:bg-gray-100 cursor-pointer"
+          style={{ paddingLeft: `${depth * 16 + 8}px` }}
+        >
+          <div className="flex items-center gap-2 min-w-0">
+            {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+            <Folder size={14} className="text-amber-500 flex-shrink-0" />
+            <span className="text-xs md:text-sm font-semibold text-gray-700 truncate">{node.name}</span>
+          </div>
+          {actions}
+        </div>
+        {expanded && node.items.map(child => (
+          <CollectionNode key={child.id} node={child} depth={depth + 1} onOpen={onOpen} onUpdate={onUpdate} onRun={onRun} />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div
+      onClick={() => onOpen(node)}
+      className="flex items-center justify-between gap-2 py-1.5 px-2 rounded-lg hover:bg-gray-100 cursor-pointer"
+      style={{ paddingLeft: `${depth * 16 + 8}px` }}
+    >
+      <div className="flex items-center gap-2 min-w-0">
+        <span className="font-bold text-purple-600 bg-purple-100 px-2 py-0.5 rounded text-xs">{node.method}</span>
+        <span className="text-xs md:text-sm text-gray-700 truncate" title={node.url}>{node.name}</span>
+      </div>
+      {actions}
+    </div>
+  );
+}
+
+function CollectionsPanel({ collections, currentRequest, onSave, onImport, onDelete, onOpen, onRun, onClose }) {
+  const [requestName, setRequestName] = useState('');
+  const [target, setTarget] = useState('');
+  const [expanded, setExpanded] = useState({});
+  const [importSummary, setImportSummary] = useState(null);
+  const fileInput = useRef(null);
+
+  const targets = collections.flatMap(collection => [
+    { value: `${collection.id}::`, label: collection.name },
+    ...listFolders(collection.items, `${collection.name} / `).map(folder => ({
+      value: `${collection.id}::${folder.id}`,
+      label: folder.label,
+    })),
+  ]);
+  const selectedTarget = target || targets[0]?.value || '';
+
+  const addCollection = () => {
+    const name = window.prompt('Collection name', 'New Collection');
+    if (name && name.trim()) onSave(createCollection(name.trim()));
+  };
+
+  const saveCurrentRequest = () => {
+    if (!selectedTarget) return;
+    const [collectionId, folderId] = selectedTarget.split('::');
+    const collection = collections.find(c => c.id === collectionId);
+    if (!collection) return;
+    const name = requestName.trim() || `${currentRequest.method} ${currentRequest.url}`;
+    const item = createRequestItem(name, currentRequest);
+    onSave({ ...collection, items: insertNode(collection.items, folderId || null, item) });
+    setRequestName('');
+  };
+
+  const updateItems = (collection) => (fn) => {
+    onSave({ ...collection, items: fn(collection.items) });
+  };
+
+  // Import a Postman v2.1 collection file
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { collection, summary } = importPostmanCollection(await readFileAsText(file));
+      const environmentName = onImport(collection);
+      setImportSummary({ name: collection.name, environmentName, ...summary });
+    } catch (error) {
+      console.error('Failed to import collection:', error);
+      setImportSummary({ error: error.message });
+    }
+  };
+
+  const exportCollection = (collection) => {
+    const json = JSON.stringify(exportPostmanCollection(collection), null, 2);
+    downloadFile(toFilename(collection.name, 'postman_collection.json'), json);
+  };
+
+  const renameCollection = (collection) => {
+    const name = window.prompt('Rename collection', collection.name);
+    if (name && name.trim()) onSave({ ...collection, name: name.trim() });
+  };
+
+  return (
+    <div className="border-t-2 border-gray-200 pt-6 mt-6">
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between mb-4 gap-3">
+        <h2 className="text-xl md:text-2xl font-bold text-gray-800">Collections</h2>
+        <div className="flex gap-2">
+          <button
+            onClick={addCollection}
+            className="px-3 md:px-4 py-1.5 md:py-2 bg-purple-600 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-purple-700 transition-colors flex items-center gap-2"
+          >
+            <Plus size={14} className="md:w-4 md:h-4" />
+            New Collection
+          </button>
+          <button
+            onClick={() => fileInput.current?.click()}
+            className="px-3 md:px-4 py-1.5 md:py-2 bg-blue-600 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-blue-700 transition-colors flex items-center gap-2"
+            title="Import a Postman v2.1 collection"
+          >
+            <Upload size={14} className="md:w-4 md:h-4" />
+            Import
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".json,application/json"
+            onChange={importFile}
+            className="hidden"
+          />
+          <button
+            onClick={onClose}
+            className="p-1.5 md:p-2 hover:bg-gray-100 rounded-lg transition-colors"
+          >
+            <X size={18} className="md:w-5 md:h-5" />
+          </button>
+        </div>
+      </div>
+      {importSummary && (
+        <ImportSummary summary={importSummary} onDismiss={() => setImportSummary(null)} />
+      )}
+      {collections.length > 0 && (
+        <div className="flex flex-col sm:flex-row gap-2 mb-4 p-3 bg-gray-50 border border-gray-200 rounded-xl">
+          <input
+            type="text"
+            value={requestName}
+            onChange={(e) => setRequestName(e.target.value)}
+            placeholder={`${currentRequest.method} ${currentRequest.url}`}
+            className="flex-1 px-3 py-1.5 border-2 border-gray-300 rounded-lg text-xs md:text-sm focus:ring-2 focus:ring-purple-500"
+          />
+          <select
+            value={selectedTarget}
+            onChange={(e) => setTarget(e.target.value)}
+            className="px-3 py-1.5 border-2 border-gray-300 rounded-lg text-xs md:text-sm bg-white focus:ring-2 focus:ring-purple-500"
+          >
+            {targets.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={saveCurrentRequest}
+            className="px-3 md:px-4 py-1.5 bg-green-600 text-white rounded-lg text-xs md:text-sm font-semibold hover:bg-green-700 flex items-center justify-center gap-2"
+          >
+            <Save size={14} />
+            Save Request
+          </button>
+        </div>
+      )}
+      <div className="space-y-3 max-h-[600px] overflow-y-auto">
+        {collections.length === 0 ? (
+          <div className="text-center py-12 md:py-16 bg-gray-50 rounded-xl">
+            <Library size={40} className="md:w-12 md:h-12 mx-auto text-gray-300 mb-4" />
+            <p className="text-gray-500 font-semibold text-sm md:text-base">No collections yet</p>
+            <p className="text-gray-400 text-xs md:text-sm mt-2">Create a collection to save requests you use often</p>
+          </div>
+        ) : (
+          collections.map(collection => {
+            const isExpanded = expanded[collection.id] !== false;
+            return (
+              <div key={collection.id} className="bg-gradient-to-r from-gray-50 to-gray-100 rounded-xl border border-gray-200 p-2">
+                <div
+                  onClick={() => setExpanded({ ...expanded, [collection.id]: !isExpanded })}
+                  className="flex items-center justify-between gap-2 px-2 py-1 cursor-pointer"
+                >
+                  <div className="flex items-center gap-2 min-w-0">
+                    {isExpanded ? <ChevronDown size={16} /> : <ChevronRight size={16} />}
+                    <Library size={16} className="text-purple-600 flex-shrink-0" />
+                    <span className="font-bold text-gray-800 text-sm md:text-base truncate">{collection.name}</span>
+                  </div>
+                  <div className="flex items-center gap-0.5" onClick={(e) => e.stopPropagation()}>
+                    <button onClick={() => onRun(collection)} className={iconButton} title="Run collection"><Play size={14} /></button>
+                    <button
+                      onClick={() => {
+                        const name = window.prompt('Folder name', 'New Folder');
+                        if (name && name.trim()) onSave({ ...collection, items: insertNode(collection.items, null, createFolder(name.trim())) });
+                      }}
+                      className={iconButton}
+                      title="Add folder"
+                    >
+                      <FolderPlus size={14} />
+                    </button>
+                    <button onClick={() => renameCollection(collection)} className={iconButton} title="Rename"><Pencil size={14} /></button>
+                    <button onClick={() => exportCollection(collection)} className={iconButton} title="Export as Postman v2.1"><Download size={14} /></button>
+                    <button
+                      onClick={() => {
+                        if (window.confirm(`Delete collection "${collection.name}"?`)) onDelete(collection.id);
+                      }}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded transition-colors"
+                      title="Delete collection"
+                    >
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+                {isExpanded && (
+                  collection.items.length === 0 ? (
+                    <p className="text-xs text-gray-400 px-10 py-2">Empty collection</p>
+                  ) : (
+                    collection.items.map(node => (
+                      <CollectionNode
+                        key={node.id}
+                        node={node}
+                        depth={1}
+                        onOpen={(item) => onOpen(item, collection)}
+                        onUpdate={updateItems(collection)}
+                        onRun={(folder) => onRun(collection, folder)}
+                      />
+                    ))
+                  )
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default CollectionsPanel;
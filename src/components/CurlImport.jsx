@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { Terminal, X, AlertCircle } from 'lucide-react';
+import { parseCurl } from '../utils/curl';
+
+function CurlImport({ onImport }) {
+  const [open, setOpen] = useState(false);
+  const [command, setCommand] = useState('');
+  const [error, setError] = useState('');
+  const [warnings, setWarnings] = useState([]);
+
+  const importCommand = () => {
+    try {
+      const parsed = parseCurl(command);
+      onImport(parsed);
+      setWarnings(parsed.warnings);
+      setError('');
+      setCommand('');
+      setOpen(false);
+    } catch (err) {
+      setError(err.message);
+      setWarnings([]);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-2 md:px-3 py-1.5 bg-gray-800 text-white rounded-lg text-xs font-semibold hover:bg-gray-900 flex items-center gap-1"
+      >
+        <Terminal size={14} />
+        Paste cURL
+      </button>
+      {open && (
+        <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-xl space-y-2">
+          <textarea
+            value={command}
+            onChange={(e) => setCommand(e.target.value)}
+            className="w-full h-28 px-3 py-2 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-white"
+            placeholder={"curl -X POST 'https://api.example.com/items' \\\n  -H 'Content-Type: application/json' \\\n  --data-raw '{\"name\": \"item\"}'"}
+          />
+          {error && (
+            <div className="flex items-center gap-2 text-xs text-red-700">
+              <AlertCircle size={14} className="flex-shrink-0" />
+              {error}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <button
+              onClick={importCommand}
+              disabled={!command.trim()}
+              className="px-3 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-semibold hover:bg-purple-700 disabled:bg-gray-400"
+            >
+              Import
+            </button>
+            <button
+              onClick={() => setOpen(false)}
+              className="px-3 py-1.5 bg-white border-2 border-gray-300 text-gray-700 rounded-lg text-xs font-semibold hover:bg-gray-100"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+      {warnings.length > 0 && (
+        <div className="mt-3 p-2 md:p-3 bg-amber-50 border border-amber-200 rounded-xl text-xs md:text-sm text-amber-800">
+          <div className="flex items-center justify-between gap-2 mb-1">
+            <span className="font-bold flex items-center gap-2">
+              <AlertCircle size={16} className="flex-shrink-0" />
+              cURL imported with warnings
+            </span>
+            <button onClick={() => setWarnings([])} className="p-1 hover:bg-amber-100 rounded">
+              <X size={14} />
+            </button>
+          </div>
+          <ul className="list-disc pl-8 space-y-0.5">
+            {warnings.map((warning, index) => (
+              <li key={index}>{warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CurlImport;
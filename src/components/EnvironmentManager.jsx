@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Globe, Plus, Trash2, X, Settings } from 'lucide-react';
+import { createEnvironment } from '../utils/environments';
+
+function EnvironmentManager({ environments, activeId, onChange }) {
+  const [showEditor, setShowEditor] = useState(false);
+  const activeEnvironment = environments.find(env => env.id === activeId) || null;
+
+  const updateActive = (changes) => {
+    onChange(
+      environments.map(env => (env.id === activeId ? { ...env, ...changes } : env)),
+      activeId
+    );
+  };
+
+  const addEnvironment = () => {
+    const name = window.prompt('Environment name', `Environment ${environments.length + 1}`);
+    if (!name || !name.trim()) return;
+    const environment = createEnvironment(name.trim());
+    onChange([...environments, environment], environment.id);
+    setShowEditor(true);
+  };
+
+  const deleteEnvironment = () => {
+    if (!activeEnvironment) return;
+    if (!window.confirm(`Delete environment "${activeEnvironment.name}"?`)) return;
+    onChange(environments.filter(env => env.id !== activeId), null);
+  };
+
+  const updateVariable = (index, field, value) => {
+    const variables = activeEnvironment.variables.map((variable, i) =>
+      i === index ? { ...variable, [field]: value } : variable
+    );
+    updateActive({ variables });
+  };
+
+  const addVariable = () => {
+    updateActive({ variables: [...activeEnvironment.variables, { key: '', value: '' }] });
+  };
+
+  const removeVariable = (index) => {
+    updateActive({ variables: activeEnvironment.variables.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <Globe size={16} className="text-purple-600" />
+        <select
+          value={activeId ?? ''}
+          onChange={(e) => onChange(environments, e.target.value ? Number(e.target.value) : null)}
+          className="px-3 py-1.5 border-2 border-gray-300 rounded-lg text-xs md:text-sm font-semibold bg-white focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="">No Environment</option>
+          {environments.map(env => (
+            <option key={env.id} value={env.id}>{env.name}</option>
+          ))}
+        </select>
+        <button
+          onClick={addEnvironment}
+          className="px-2 md:px-3 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-semibold hover:bg-purple-700 flex items-center gap-1"
+        >
+          <Plus size={14} />
+          New
+        </button>
+        {activeEnvironment && (
+          <>
+            <button
+              onClick={() => setShowEditor(!showEditor)}
+              className="px-2 md:px-3 py-1.5 bg-gray-600 text-white rounded-lg text-xs font-semibold hover:bg-gray-700 flex items-center gap-1"
+            >
+              <Settings size={14} />
+              Variables ({activeEnvironment.variables.length})
+            </button>
+            <button
+              onClick={deleteEnvironment}
+              className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+              title="Delete environment"
+            >
+              <Trash2 size={16} />
+            </button>
+          </>
+        )}
+      </div>
+      {showEditor && activeEnvironment && (
+        <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-xl space-y-2">
+          <input
+            type="text"
+            value={activeEnvironment.name}
+            onChange={(e) => updateActive({ name: e.target.value })}
+            className="w-full px-3 py-1.5 border-2 border-gray-300 rounded-lg text-xs md:text-sm font-bold focus:ring-2 focus:ring-purple-500"
+          />
+          <label className="flex items-center gap-1.5 text-xs font-semibold text-gray-600">
+            <input
+              type="checkbox"
+              checked={Boolean(activeEnvironment.proxy)}
+              onChange={(e) => updateActive({ proxy: e.target.checked })}
+            />
+            Send every request in this environment through the local proxy
+          </label>
+          {activeEnvironment.variables.map((variable, index) => (
+            <div key={index} className="flex gap-2">
+              <input
+                type="text"
+                value={variable.key}
+                onChange={(e) => updateVariable(index, 'key', e.target.value)}
+                placeholder="Variable"
+                className="w-1/3 px-3 py-1.5 border-2 border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-purple-500"
+              />
+              <input
+                type="text"
+                value={variable.value}
+                onChange={(e) => updateVariable(index, 'value', e.target.value)}
+                placeholder="Value"
+                className="flex-1 px-3 py-1.5 border-2 border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-purple-500"
+              />
+              <button
+                onClick={() => removeVariable(index)}
+                className="p-1.5 text-gray-500 hover:bg-gray-200 rounded-lg transition-colors"
+                title="Remove variable"
+              >
+                <X size={16} />
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={addVariable}
+            className="px-2 md:px-3 py-1.5 bg-white border-2 border-gray-300 text-gray-700 rounded-lg text-xs font-semibold hover:bg-gray-100 flex items-center gap-1"
+          >
+            <Plus size={14} />
+            Add Variable
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EnvironmentManager;
@@ -0,0 +1,80 @@
+import React, { useState, useRef } from 'react';
+import { Upload, AlertCircle, X } from 'lucide-react';
+import { parseHar, harToHistoryItems, harToCollection } from '../utils/har';
+import { readFileAsText } from '../utils/download';
+
+function HarImport({ onImportHistory, onImportCollection, onClose }) {
+  const [target, setTarget] = useState('history');
+  const [apiOnly, setApiOnly] = useState(true);
+  const [message, setMessage] = useState(null);
+  const fileInput = useRef(null);
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const entries = parseHar(await readFileAsText(file), { apiOnly });
+      if (entries.length === 0) {
+        setMessage({ error: true, text: 'No matching requests found in the HAR file' });
+        return;
+      }
+      if (target === 'history') {
+        await onImportHistory(harToHistoryItems(entries));
+        setMessage({ text: `Imported ${entries.length} requests into history` });
+      } else {
+        const name = file.name.replace(/\.har$/i, '');
+        onImportCollection(harToCollection(entries, name));
+        setMessage({ text: `Created collection "${name}" with ${entries.length} requests` });
+      }
+    } catch (error) {
+      console.error('Failed to import HAR:', error);
+      setMessage({ error: true, text: error.message });
+    }
+  };
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-xl space-y-2">
+      <div className="flex flex-wrap items-center gap-2 md:gap-3 text-xs md:text-sm">
+        <span className="font-bold text-gray-700">Import HAR into</span>
+        <select
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          className="px-3 py-1.5 border-2 border-gray-300 rounded-lg bg-white focus:ring-2 focus:ring-purple-500"
+        >
+          <option value="history">History</option>
+          <option value="collection">New collection</option>
+        </select>
+        <label className="flex items-center gap-1 text-gray-700">
+          <input type="checkbox" checked={apiOnly} onChange={(e) => setApiOnly(e.target.checked)} />
+          Only fetch/XHR requests
+        </label>
+        <button
+          onClick={() => fileInput.current?.click()}
+          className="px-3 py-1.5 bg-blue-600 text-white rounded-lg text-xs font-semibold hover:bg-blue-700 flex items-center gap-1"
+        >
+          <Upload size={14} />
+          Choose File
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".har,.json,application/json"
+          onChange={importFile}
+          className="hidden"
+        />
+        <button onClick={onClose} className="ml-auto p-1 hover:bg-gray-200 rounded">
+          <X size={14} />
+        </button>
+      </div>
+      {message && (
+        <div className={`flex items-center gap-2 text-xs ${message.error ? 'text-red-700' : 'text-green-700'}`}>
+          <AlertCircle size={14} className="flex-shrink-0" />
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default HarImport;
@@ -0,0 +1,177 @@
+import React, { useState, useMemo } from 'react';
+import { X, ArrowRight } from 'lucide-react';
+import { compareHistoryItems, toSideBySide } from '../utils/diff';
+import { OUTCOME_LABELS } from '../utils/execute';
+
+const CHANGE_STYLES = {
+  added: { sign: '+', className: 'text-green-700 bg-green-50' },
+  removed: { sign: '−', className: 'text-red-700 bg-red-50' },
+  changed: { sign: '~', className: 'text-amber-700 bg-amber-50' },
+};
+
+const LINE_STYLES = {
+  same: '',
+  added: 'bg-green-50 text-green-800',
+  removed: 'bg-red-50 text-red-800',
+};
+
+const preview = (value) => {
+  const text = value === undefined ? '' : JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 120)}…` : text;
+};
+
+const statusLabel = (item) => OUTCOME_LABELS[item.outcome] || item.statusCode;
+
+function Section({ title, note, children }) {
+  return (
+    <div className="mt-4">
+      <h3 className="text-sm font-bold text-gray-700 mb-2">
+        {title}
+        {note && <span className="ml-2 text-xs font-normal text-gray-500">{note}</span>}
+      </h3>
+      {children}
+    </div>
+  );
+}
+
+function LineCell({ line, side }) {
+  if (!line) return <td colSpan={2} className="bg-gray-50" />;
+  return (
+    <>
+      <td className="px-1 text-right text-gray-400 select-none align-top">{line[side]}</td>
+      <td className={`px-2 whitespace-pre-wrap break-all align-top ${LINE_STYLES[line.type]}`}>{line.text}</td>
+    </>
+  );
+}
+
+// Side by side comparison of two history entries, older on the left
+function HistoryDiff({ before, after, onClose }) {
+  const [ignoreVolatile, setIgnoreVolatile] = useState(true);
+  const [view, setView] = useState('structure');
+  const diff = useMemo(() => compareHistoryItems(before, after, { ignoreVolatile }), [before, after, ignoreVolatile]);
+  const rows = useMemo(() => toSideBySide(diff.lines), [diff]);
+  const activeView = diff.json ? view : 'lines';
+  const changedLines = diff.lines.filter(line => line.type !== 'same').length;
+
+  return (
+    <div className="mb-4 p-3 md:p-4 bg-white border-2 border-purple-200 rounded-xl text-xs md:text-sm">
+      <div className="flex items-start justify-between gap-3 mb-3">
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 flex-1 min-w-0">
+          {[before, after].map(item => (
+            <div key={item.id} className="min-w-0">
+              <div className="flex items-center gap-2">
+                <span className="font-bold text-purple-600 bg-purple-100 px-2 py-0.5 rounded text-xs">{item.method}</span>
+                <span className="font-mono text-gray-700 truncate" title={item.resolved?.url || item.url}>{item.url}</span>
+              </div>
+              <span className="text-xs text-gray-500">{new Date(item.timestamp).toLocaleString()}</span>
+            </div>
+          ))}
+        </div>
+        <button onClick={onClose} className="p-1.5 hover:bg-gray-100 rounded-lg transition-colors" title="Close compare">
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <span className={`flex items-center gap-1 px-2 py-1 rounded font-bold ${diff.status.changed ? 'text-amber-700 bg-amber-50' : 'text-gray-600 bg-gray-100'}`}>
+          Status {statusLabel(before)} <ArrowRight size={12} /> {statusLabel(after)}
+        </span>
+        <span className="flex items-center gap-1 px-2 py-1 rounded font-semibold text-gray-600 bg-gray-100">
+          {diff.duration.before}ms <ArrowRight size={12} /> {diff.duration.after}ms
+          <span className={diff.duration.delta > 0 ? 'text-red-600' : 'text-green-600'}>
+            ({diff.duration.delta > 0 ? '+' : ''}{diff.duration.delta}ms)
+          </span>
+        </span>
+        <label className="flex items-center gap-1.5 ml-auto text-gray-600 font-semibold" title="Timestamps, dates, IDs, UUIDs and per-request headers">
+          <input type="checkbox" checked={ignoreVolatile} onChange={(e) => setIgnoreVolatile(e.target.checked)} />
+          Ignore volatile fields
+        </label>
+      </div>
+
+      <Section
+        title="Headers"
+        note={[
+          `${diff.headers.unchanged} unchanged`,
+          diff.headers.ignored > 0 && `${diff.headers.ignored} volatile ignored`,
+        ].filter(Boolean).join(', ')}
+      >
+        {diff.headers.changes.length === 0 ? (
+          <p className="text-xs text-gray-500">No header differences.</p>
+        ) : (
+          <table className="w-full text-xs font-mono">
+            <tbody>
+              {diff.headers.changes.map(change => (
+                <tr key={change.name} className="border-b border-gray-100 align-top">
+                  <td className={`px-1 font-bold ${CHANGE_STYLES[change.type].className}`}>{CHANGE_STYLES[change.type].sign}</td>
+                  <td className="py-1 px-2 font-semibold text-gray-700 whitespace-nowrap">{change.name}</td>
+                  <td className="py-1 px-2 text-red-700 break-all">{change.before}</td>
+                  <td className="py-1 px-2 text-green-700 break-all">{change.after}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Section>
+
+      <Section
+        title="Body"
+        note={activeView === 'structure'
+          ? `${diff.json.changes.length} change${diff.json.changes.length === 1 ? '' : 's'}${diff.json.ignored > 0 ? `, ${diff.json.ignored} volatile ignored` : ''}`
+          : `${changedLines} changed line${changedLines === 1 ? '' : 's'}`}
+      >
+        {diff.json && (
+          <div className="flex gap-1 mb-2">
+            {[['structure', 'JSON'], ['lines', 'Lines']].map(([id, label]) => (
+              <button
+                key={id}
+                onClick={() => setView(id)}
+                className={`px-3 py-1 rounded-lg text-xs font-bold transition-colors ${activeView === id ? 'bg-purple-600 text-white' : 'text-gray-700 hover:bg-gray-100'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        )}
+        <div className="border-2 border-gray-200 rounded-xl overflow-auto max-h-96">
+          {activeView === 'structure' ? (
+            diff.json.changes.length === 0 ? (
+              <p className="p-3 text-xs text-gray-500">The JSON bodies are equal.</p>
+            ) : (
+              <table className="w-full text-xs font-mono">
+                <tbody>
+                  {diff.json.changes.map((change, index) => (
+                    <tr key={`${change.path}-${index}`} className="border-b border-gray-100 align-top">
+                      <td className={`px-2 py-1 font-bold ${CHANGE_STYLES[change.type].className}`}>{CHANGE_STYLES[change.type].sign}</td>
+                      <td className="px-2 py-1 font-semibold text-gray-700 break-all">{change.path}</td>
+                      <td className="px-2 py-1 text-red-700 break-all">{preview(change.before)}</td>
+                      <td className="px-2 py-1 text-green-700 break-all">{preview(change.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )
+          ) : (
+            <table className="w-full text-xs font-mono table-fixed">
+              <colgroup>
+                <col className="w-10" />
+                <col />
+                <col className="w-10" />
+                <col />
+              </colgroup>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={index}>
+                    <LineCell line={row.left} side="before" />
+                    <LineCell line={row.right} side="after" />
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </Section>
+    </div>
+  );
+}
+
+export default HistoryDiff;
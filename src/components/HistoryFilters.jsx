@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Search, X } from 'lucide-react';
+import { DEFAULT_HISTORY_FILTER, HISTORY_METHODS, STATUS_CLASSES, isFilterActive } from '../utils/historyFilter';
+
+const SEARCH_DELAY_MS = 250;
+
+const chipClass = (active) => `px-2 py-1 rounded-lg text-xs font-bold transition-colors ${
+  active ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+}`;
+
+const inputClass = 'px-2 py-1 border-2 border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 bg-white';
+
+const toggle = (list, value) => (list.includes(value) ? list.filter(item => item !== value) : [...list, value]);
+
+// Search bar and filter chips for the history panel
+function HistoryFilters({ filter, onChange, hosts, matchCount }) {
+  // The search box updates the filter once typing pauses
+  const [query, setQuery] = useState(filter.query);
+  useEffect(() => {
+    if (query === filter.query) return;
+    const timer = setTimeout(() => onChange({ ...filter, query }), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [query, filter, onChange]);
+
+  const clear = () => {
+    setQuery('');
+    onChange(DEFAULT_HISTORY_FILTER);
+  };
+
+  return (
+    <div className="mb-4 space-y-2">
+      <div className="relative">
+        <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search URLs and response bodies"
+          className="w-full pl-9 pr-3 py-2 border-2 border-gray-300 rounded-xl text-xs md:text-sm focus:ring-2 focus:ring-purple-500 bg-white"
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-1.5">
+        {HISTORY_METHODS.map(method => (
+          <button
+            key={method}
+            onClick={() => onChange({ ...filter, methods: toggle(filter.methods, method) })}
+            className={chipClass(filter.methods.includes(method))}
+          >
+            {method}
+          </button>
+        ))}
+        <span className="w-px h-5 bg-gray-300 mx-1" />
+        {STATUS_CLASSES.map(statusClass => (
+          <button
+            key={statusClass}
+            onClick={() => onChange({ ...filter, statusClasses: toggle(filter.statusClasses, statusClass) })}
+            className={chipClass(filter.statusClasses.includes(statusClass))}
+            title={statusClass === 'network' ? 'Network errors, timeouts and cancelled requests' : undefined}
+          >
+            {statusClass === 'network' ? 'Network' : statusClass}
+          </button>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+        <label className="flex items-center gap-1">
+          From
+          <input type="date" value={filter.from} max={filter.to || undefined} onChange={(e) => onChange({ ...filter, from: e.target.value })} className={inputClass} />
+        </label>
+        <label className="flex items-center gap-1">
+          To
+          <input type="date" value={filter.to} min={filter.from || undefined} onChange={(e) => onChange({ ...filter, to: e.target.value })} className={inputClass} />
+        </label>
+        <select value={filter.host} onChange={(e) => onChange({ ...filter, host: e.target.value })} className={`${inputClass} max-w-[14rem]`}>
+          <option value="">All hosts</option>
+          {/* Keep the selected host listed even if its entries were deleted */}
+          {[...new Set([...hosts, filter.host].filter(Boolean))].map(host => <option key={host} value={host}>{host}</option>)}
+        </select>
+        {isFilterActive(filter) && (
+          <>
+            <span className="font-semibold">{matchCount} match{matchCount === 1 ? '' : 'es'}</span>
+            <button onClick={clear} className="flex items-center gap-1 text-red-600 hover:underline">
+              <X size={12} />
+              Clear filters
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default HistoryFilters;
@@ -0,0 +1,61 @@
+import React from 'react';
+import { formatBytes } from '../utils/responseInfo';
+import { normalizeRetention } from '../utils/retention';
+import { COMPRESS_MIN_BYTES } from '../utils/compression';
+
+const inputClass = 'w-24 px-2 py-1 border-2 border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 bg-white';
+
+// Storage usage and the retention policy for history
+function HistoryStorage({ usage, entries, retention, onRetentionChange, onApply }) {
+  const policy = normalizeRetention(retention);
+  const share = usage?.quota ? usage.used / usage.quota : null;
+  const update = (key, value) => onRetentionChange({ ...policy, [key]: Math.max(0, Math.floor(Number(value) || 0)) });
+
+  const numberField = (label, key, hint) => (
+    <label className="block">
+      <span className="block font-semibold text-gray-600 mb-1">{label}</span>
+      <input type="number" min="0" value={policy[key]} onChange={(e) => update(key, e.target.value)} className={inputClass} />
+      <span className="block text-gray-500 mt-0.5">{hint}</span>
+    </label>
+  );
+
+  return (
+    <div className="mb-4 p-3 bg-gray-50 border border-gray-200 rounded-xl text-xs space-y-3">
+      <div>
+        <div className="flex flex-wrap justify-between gap-2 text-gray-600 mb-1">
+          <span className="font-semibold">{entries} entr{entries === 1 ? 'y' : 'ies'}</span>
+          {usage && (
+            <span>
+              {formatBytes(usage.used)} used{usage.quota ? ` of ${formatBytes(usage.quota)} (${Math.round(share * 100)}%)` : ''}
+            </span>
+          )}
+        </div>
+        {share != null && (
+          <div className="h-2 bg-gray-200 rounded">
+            <div
+              className={`h-2 rounded ${share > 0.9 ? 'bg-red-500' : share > 0.75 ? 'bg-amber-500' : 'bg-purple-500'}`}
+              style={{ width: `${Math.min(100, Math.max(1, share * 100))}%` }}
+            />
+          </div>
+        )}
+      </div>
+      <div className="flex flex-wrap items-start gap-4">
+        {numberField('Keep last entries', 'maxEntries', '0 keeps all')}
+        {numberField('Keep days', 'maxDays', '0 keeps forever')}
+        {numberField('Max response (KB)', 'maxResponseKB', '0 stores full bodies')}
+        <button
+          onClick={onApply}
+          className="mt-5 px-3 py-1.5 bg-gray-700 text-white rounded-lg font-semibold hover:bg-gray-800 transition-colors"
+        >
+          Apply now
+        </button>
+      </div>
+      <p className="text-gray-500">
+        Pinned entries are always kept with their full response. Responses over {formatBytes(COMPRESS_MIN_BYTES)} are
+        stored compressed. When storage is nearly full, the oldest unpinned entries are removed.
+      </p>
+    </div>
+  );
+}
+
+export default HistoryStorage;
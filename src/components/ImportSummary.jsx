@@ -0,0 +1,34 @@
+import React from 'react';
+import { AlertCircle, X } from 'lucide-react';
+
+function ImportSummary({ summary, onDismiss }) {
+  return (
+    <div className={`mb-4 p-2 md:p-3 border rounded-xl text-xs md:text-sm ${
+      summary.error ? 'bg-red-50 border-red-200 text-red-700' : 'bg-blue-50 border-blue-200 text-blue-900'
+    }`}>
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-bold flex items-center gap-2">
+          <AlertCircle size={16} className="flex-shrink-0" />
+          {summary.error
+            ? `Import failed: ${summary.error}`
+            : `Imported "${summary.name}": ${summary.requests} requests, ${summary.folders} folders, ${summary.variables} variables`}
+        </span>
+        <button onClick={onDismiss} className="p-1 hover:bg-white/60 rounded">
+          <X size={14} />
+        </button>
+      </div>
+      {summary.environmentName && (
+        <p className="mt-1 pl-6">Collection variables were added as the environment "{summary.environmentName}".</p>
+      )}
+      {summary.skipped?.length > 0 && (
+        <ul className="mt-1 list-disc pl-10 space-y-0.5 text-amber-800">
+          {summary.skipped.map((message, index) => (
+            <li key={index}>{message}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default ImportSummary;
@@ -0,0 +1,87 @@
+import React from 'react';
+import { Plus, X } from 'lucide-react';
+import { createRow } from '../utils/keyValue';
+
+function KeyValueEditor({ rows, onChange, keyPlaceholder = 'Key', valuePlaceholder = 'Value', suggestions, listId, allowFiles = false }) {
+  const updateRow = (id, changes) => {
+    onChange(rows.map(row => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (id) => {
+    onChange(rows.filter(row => row.id !== id));
+  };
+
+  return (
+    <div className="space-y-1.5">
+      {suggestions && (
+        <datalist id={listId}>
+          {suggestions.map(name => <option key={name} value={name} />)}
+        </datalist>
+      )}
+      {rows.map(row => (
+        <div key={row.id} className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={row.enabled}
+            onChange={(e) => updateRow(row.id, { enabled: e.target.checked })}
+            title={row.enabled ? 'Disable' : 'Enable'}
+          />
+          <input
+            type="text"
+            value={row.key}
+            onChange={(e) => updateRow(row.id, { key: e.target.value })}
+            placeholder={keyPlaceholder}
+            list={suggestions ? listId : undefined}
+            className={`w-2/5 px-2 py-1.5 border-2 border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-purple-500 bg-gray-50 ${row.enabled ? '' : 'opacity-50'}`}
+          />
+          {allowFiles && (
+            <select
+              value={row.type || 'text'}
+              onChange={(e) => updateRow(row.id, { type: e.target.value, value: '', file: null })}
+              className="px-1 py-1.5 border-2 border-gray-300 rounded-lg text-xs bg-white"
+            >
+              <option value="text">Text</option>
+              <option value="file">File</option>
+            </select>
+          )}
+          {allowFiles && row.type === 'file' ? (
+            <label className={`flex-1 min-w-0 px-2 py-1.5 border-2 border-dashed border-gray-300 rounded-lg text-xs bg-gray-50 cursor-pointer truncate ${row.enabled ? '' : 'opacity-50'}`}>
+              {row.file
+                ? `${row.file.name} (${row.file.size} bytes)${row.file instanceof Blob ? '' : ' - choose again to send'}`
+                : 'Choose file...'}
+              <input
+                type="file"
+                onChange={(e) => updateRow(row.id, { file: e.target.files[0] || null })}
+                className="hidden"
+              />
+            </label>
+          ) : (
+            <input
+              type="text"
+              value={row.value}
+              onChange={(e) => updateRow(row.id, { value: e.target.value })}
+              placeholder={valuePlaceholder}
+              className={`flex-1 min-w-0 px-2 py-1.5 border-2 border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-purple-500 bg-gray-50 ${row.enabled ? '' : 'opacity-50'}`}
+            />
+          )}
+          <button
+            onClick={() => removeRow(row.id)}
+            className="p-1 text-gray-500 hover:bg-gray-200 rounded transition-colors"
+            title="Remove"
+          >
+            <X size={14} />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() => onChange([...rows, createRow()])}
+        className="px-2 py-1 bg-white border-2 border-gray-300 text-gray-700 rounded-lg text-xs font-semibold hover:bg-gray-100 flex items-center gap-1"
+      >
+        <Plus size={12} />
+        Add
+      </button>
+    </div>
+  );
+}
+
+export default KeyValueEditor;
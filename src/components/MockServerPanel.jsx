@@ -0,0 +1,255 @@
+import React, { useState, useRef } from 'react';
+import { Server, Plus, Trash2, X, Copy, Upload, Download, ChevronDown, ChevronRight, AlertCircle } from 'lucide-react';
+import KeyValueEditor from './KeyValueEditor';
+import { toRows, serializeRows, COMMON_HEADERS } from '../utils/keyValue';
+import { MOCK_METHODS, MOCK_TEMPLATE_FIELDS, createMockRoute, parseMockFile, exportMocks, compileMockPattern } from '../utils/mocks';
+import { downloadFile, readFileAsText } from '../utils/download';
+import { fromBase64 } from '../utils/responseBody';
+import { formatBytes } from '../utils/responseInfo';
+
+const inputClass = 'px-3 py-1.5 border-2 border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 bg-white';
+
+const patternError = (path) => {
+  try {
+    compileMockPattern(path);
+    return '';
+  } catch (error) {
+    return error.message;
+  }
+};
+
+// Keyed by route id, so header rows keep their ids while being edited
+function RouteEditor({ route, onChange }) {
+  const [headerRows, setHeaderRows] = useState(() => toRows(route.headers));
+  const error = patternError(route.path);
+
+  return (
+    <div className="p-3 border-t border-gray-200 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+        <label className="md:col-span-2">
+          <span className="block font-semibold text-gray-600 mb-1">Name</span>
+          <input
+            type="text"
+            value={route.name}
+            onChange={(e) => onChange({ name: e.target.value })}
+            placeholder={`${route.method} ${route.path}`}
+            className={`${inputClass} w-full`}
+          />
+        </label>
+        <label>
+          <span className="block font-semibold text-gray-600 mb-1">Status</span>
+          <input
+            type="number"
+            min="200"
+            max="599"
+            value={route.status}
+            onChange={(e) => onChange({ status: e.target.value === '' ? '' : Number(e.target.value) })}
+            className={`${inputClass} w-full`}
+          />
+        </label>
+        <label>
+          <span className="block font-semibold text-gray-600 mb-1">Delay (ms)</span>
+          <input
+            type="number"
+            min="0"
+            value={route.delay}
+            onChange={(e) => onChange({ delay: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+            className={`${inputClass} w-full`}
+          />
+        </label>
+      </div>
+      <div>
+        <span className="block font-semibold text-gray-600 mb-1">Response headers</span>
+        <KeyValueEditor
+          rows={headerRows}
+          onChange={(rows) => {
+            setHeaderRows(rows);
+            onChange({ headers: serializeRows(rows) });
+          }}
+          keyPlaceholder="Header"
+          suggestions={COMMON_HEADERS}
+          listId={`mock-headers-${route.id}`}
+        />
+      </div>
+      <div>
+        <span className="block font-semibold text-gray-600 mb-1">Response body</span>
+        {typeof route.bodyBase64 === 'string' ? (
+          <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-2 border-gray-200 rounded-xl bg-gray-50 text-gray-600">
+            Binary body from history, {formatBytes(fromBase64(route.bodyBase64).length)}, sent as it is.
+            <button
+              onClick={() => onChange({ bodyBase64: undefined })}
+              className="px-2 py-1 bg-white border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-100"
+            >
+              Use a text body instead
+            </button>
+          </div>
+        ) : (
+          <>
+            <textarea
+              value={route.body}
+              onChange={(e) => onChange({ body: e.target.value })}
+              className="w-full h-32 px-3 py-2 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
+              placeholder={'{\n  "id": "{{params.id}}"\n}'}
+            />
+            <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1 text-gray-500">
+              {MOCK_TEMPLATE_FIELDS.map(([field, description]) => (
+                <span key={field} title={description}>
+                  <code className="text-purple-600">{`{{${field}}}`}</code>
+                </span>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+      {error && (
+        <div className="flex items-center gap-2 text-red-700">
+          <AlertCircle size={14} className="flex-shrink-0" />
+          Invalid path: {error}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Mock routes: requests from the builder that match an enabled route are
+// answered by it while mocking is on
+function MockServerPanel({ mocks, onChange, expandedId, onExpand, onClose }) {
+  const [error, setError] = useState('');
+  const fileInput = useRef(null);
+  const { enabled, routes } = mocks;
+
+  const setRoutes = (next) => onChange({ ...mocks, routes: next });
+
+  const updateRoute = (id, changes) => {
+    setRoutes(routes.map(route => (route.id === id ? { ...route, ...changes } : route)));
+  };
+
+  const addRoute = () => {
+    const route = createMockRoute();
+    setRoutes([...routes, route]);
+    onExpand(route.id);
+  };
+
+  const duplicateRoute = (route) => {
+    const { id: _id, ...fields } = route;
+    const copy = createMockRoute({ ...fields, name: route.name ? `${route.name} copy` : '' });
+    const index = routes.indexOf(route);
+    setRoutes([...routes.slice(0, index + 1), copy, ...routes.slice(index + 1)]);
+    onExpand(copy.id);
+  };
+
+  const deleteRoute = (route) => {
+    if (!window.confirm(`Delete mock route "${route.name || `${route.method} ${route.path}`}"?`)) return;
+    setRoutes(routes.filter(r => r.id !== route.id));
+  };
+
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      setRoutes([...routes, ...parseMockFile(await readFileAsText(file))]);
+      setError('');
+    } catch (err) {
+      console.error('Failed to import mocks:', err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-3 md:p-4 bg-gray-50 border border-gray-200 rounded-xl text-xs">
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        <Server size={16} className="text-purple-600" />
+        <h3 className="font-bold text-gray-800 text-sm mr-auto">Mock Server</h3>
+        <label className="flex items-center gap-1.5 font-semibold text-gray-700">
+          <input type="checkbox" checked={enabled} onChange={(e) => onChange({ ...mocks, enabled: e.target.checked })} />
+          Answer matching requests with mocks
+        </label>
+        <button
+          onClick={addRoute}
+          className="px-2 md:px-3 py-1.5 bg-purple-600 text-white rounded-lg font-semibold hover:bg-purple-700 flex items-center gap-1"
+        >
+          <Plus size={14} />
+          New Route
+        </button>
+        <button
+          onClick={() => fileInput.current.click()}
+          className="px-2 md:px-3 py-1.5 bg-white border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-100 flex items-center gap-1"
+        >
+          <Upload size={14} />
+          Import
+        </button>
+        <input ref={fileInput} type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+        <button
+          onClick={() => downloadFile('mock-routes.json', exportMocks(routes), 'application/json')}
+          disabled={routes.length === 0}
+          className="px-2 md:px-3 py-1.5 bg-white border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-100 flex items-center gap-1 disabled:opacity-40"
+        >
+          <Download size={14} />
+          Export
+        </button>
+        <button onClick={onClose} className="p-1.5 text-gray-500 hover:bg-gray-200 rounded-lg" title="Close">
+          <X size={16} />
+        </button>
+      </div>
+      <p className="text-gray-500 mb-3">
+        In the path, <code>:name</code> matches one segment and <code>*</code> the rest. Paths starting with http:// or https:// only match that host. The first matching route answers.
+      </p>
+      {error && (
+        <div className="flex items-center gap-2 mb-3 text-red-700">
+          <AlertCircle size={14} className="flex-shrink-0" />
+          {error}
+        </div>
+      )}
+      {routes.length === 0 ? (
+        <p className="text-center text-gray-500 py-6">No mock routes yet. Add one, or use Mock on a history entry.</p>
+      ) : (
+        <div className="space-y-2">
+          {routes.map(route => {
+            const expanded = route.id === expandedId;
+            return (
+              <div key={route.id} className={`bg-white border-2 rounded-xl ${expanded ? 'border-purple-300' : 'border-gray-200'}`}>
+                <div className="flex flex-wrap items-center gap-2 p-2">
+                  <input
+                    type="checkbox"
+                    checked={route.enabled}
+                    onChange={(e) => updateRoute(route.id, { enabled: e.target.checked })}
+                    title={route.enabled ? 'Disable' : 'Enable'}
+                  />
+                  <button onClick={() => onExpand(expanded ? null : route.id)} className="p-0.5 text-gray-500 hover:bg-gray-100 rounded">
+                    {expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                  </button>
+                  <select
+                    value={route.method}
+                    onChange={(e) => updateRoute(route.id, { method: e.target.value })}
+                    className="px-2 py-1 border-2 border-gray-300 rounded-lg font-bold text-purple-600 bg-white focus:ring-2 focus:ring-purple-500"
+                  >
+                    {MOCK_METHODS.map(method => <option key={method}>{method}</option>)}
+                  </select>
+                  <input
+                    type="text"
+                    value={route.path}
+                    onChange={(e) => updateRoute(route.id, { path: e.target.value })}
+                    placeholder="/users/:id"
+                    className={`${inputClass} flex-1 min-w-[10rem] font-mono ${route.enabled ? '' : 'text-gray-400'}`}
+                  />
+                  <span className="font-semibold text-gray-600">{route.status}</span>
+                  {route.delay > 0 && <span className="text-gray-500">{route.delay}ms</span>}
+                  <button onClick={() => duplicateRoute(route)} className="p-1.5 text-gray-500 hover:bg-gray-100 rounded-lg" title="Duplicate route">
+                    <Copy size={14} />
+                  </button>
+                  <button onClick={() => deleteRoute(route)} className="p-1.5 text-red-600 hover:bg-red-50 rounded-lg" title="Delete route">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+                {expanded && <RouteEditor key={route.id} route={route} onChange={(changes) => updateRoute(route.id, changes)} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MockServerPanel;
@@ -0,0 +1,96 @@
+import React, { useState, useRef } from 'react';
+import { FileCode, Upload, AlertCircle } from 'lucide-react';
+import { parseSpecText, generateCollectionFromSpec } from '../utils/openapi';
+import { readFileAsText } from '../utils/download';
+import ImportSummary from './ImportSummary';
+
+function OpenApiImport({ onImport }) {
+  const [open, setOpen] = useState(false);
+  const [specText, setSpecText] = useState('');
+  const [error, setError] = useState('');
+  const [summary, setSummary] = useState(null);
+  const fileInput = useRef(null);
+
+  const generate = (text) => {
+    try {
+      const { collection, summary: result } = generateCollectionFromSpec(parseSpecText(text));
+      const environmentName = onImport(collection);
+      setSummary({ name: collection.name, environmentName, ...result });
+      setError('');
+      setSpecText('');
+      setOpen(false);
+    } catch (err) {
+      console.error('Failed to import OpenAPI document:', err);
+      setError(err.message);
+    }
+  };
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      generate(await readFileAsText(file));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <button
+        onClick={() => setOpen(!open)}
+        className="px-2 md:px-3 py-1.5 bg-gray-800 text-white rounded-lg text-xs font-semibold hover:bg-gray-900 flex items-center gap-1"
+      >
+        <FileCode size={14} />
+        Start from OpenAPI / Swagger
+      </button>
+      {open && (
+        <div className="mt-3 p-3 bg-white border border-blue-200 rounded-xl space-y-2">
+          <textarea
+            value={specText}
+            onChange={(e) => setSpecText(e.target.value)}
+            className="w-full h-40 px-3 py-2 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
+            placeholder={'Paste an OpenAPI 3.x or Swagger 2.0 document (JSON or YAML)\n\nopenapi: 3.0.0\ninfo:\n  title: My API\nservers:\n  - url: https://api.example.com\npaths: ...'}
+          />
+          {error && (
+            <div className="flex items-center gap-2 text-xs text-red-700">
+              <AlertCircle size={14} className="flex-shrink-0" />
+              {error}
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => generate(specText)}
+              disabled={!specText.trim()}
+              className="px-3 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-semibold hover:bg-purple-700 disabled:bg-gray-400"
+            >
+              Generate Collection
+            </button>
+            <button
+              onClick={() => fileInput.current?.click()}
+              className="px-3 py-1.5 bg-white border-2 border-gray-300 text-gray-700 rounded-lg text-xs font-semibold hover:bg-gray-100 flex items-center gap-1"
+            >
+              <Upload size={14} />
+              Load File
+            </button>
+            <input
+              ref={fileInput}
+              type="file"
+              accept=".json,.yaml,.yml,application/json,application/yaml"
+              onChange={loadFile}
+              className="hidden"
+            />
+          </div>
+        </div>
+      )}
+      {summary && (
+        <div className="mt-3">
+          <ImportSummary summary={summary} onDismiss={() => setSummary(null)} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OpenApiImport;
@@ -0,0 +1,63 @@
+import React from 'react';
+import RetryEditor from './RetryEditor';
+
+const inputClass = 'w-32 px-2 py-1.5 border-2 border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-purple-500 bg-gray-50';
+
+function Field({ label, hint, children }) {
+  return (
+    <label className="block">
+      <span className="block text-xs font-semibold text-gray-600 mb-1">{label}</span>
+      {children}
+      {hint && <span className="block text-xs text-gray-500 mt-1">{hint}</span>}
+    </label>
+  );
+}
+
+// Options for this request, plus the defaults every request falls back to
+function RequestSettings({ timeout, onTimeoutChange, retry, onRetryChange, proxy, onProxyChange, environmentProxy, settings, onSettingsChange }) {
+  return (
+    <div className="space-y-3">
+      <Field label="Timeout for this request (ms)" hint="Leave blank to use the default. 0 waits as long as the browser does.">
+        <input
+          type="number"
+          min="0"
+          step="1000"
+          value={timeout}
+          onChange={(e) => onTimeoutChange(e.target.value)}
+          placeholder={String(settings.timeout)}
+          className={inputClass}
+        />
+      </Field>
+      <RetryEditor retry={retry} onChange={onRetryChange} />
+      <div>
+        <label className="flex items-center gap-1.5 text-xs font-semibold text-gray-600">
+          <input
+            type="checkbox"
+            checked={proxy || environmentProxy}
+            disabled={environmentProxy}
+            onChange={(e) => onProxyChange(e.target.checked)}
+          />
+          Send through the local proxy{environmentProxy ? ' (on for this environment)' : ''}
+        </label>
+        <span className="block text-xs text-gray-500 mt-1">
+          The dev server makes the request, so CORS doesn't apply and headers browsers block, like Cookie, Origin and
+          Host, are sent. Needs npm run dev or vite preview.
+        </span>
+      </div>
+      <div className="border-t border-gray-200 pt-3">
+        <Field label="Default timeout for all requests (ms)">
+          <input
+            type="number"
+            min="0"
+            step="1000"
+            value={settings.timeout}
+            onChange={(e) => onSettingsChange({ ...settings, timeout: Math.max(0, Number(e.target.value) || 0) })}
+            className={inputClass}
+          />
+        </Field>
+      </div>
+    </div>
+  );
+}
+
+export default RequestSettings;
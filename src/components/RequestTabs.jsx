@@ -0,0 +1,53 @@
+import React from 'react';
+import { Plus, X, Loader } from 'lucide-react';
+
+// Tab bar for open requests. tabs are { id, method, title, url, dirty, loading }.
+function RequestTabs({ tabs, activeId, onSelect, onClose, onNew }) {
+  return (
+    <div className="flex items-end gap-1 mb-4 border-b-2 border-gray-200 overflow-x-auto">
+      {tabs.map(tab => {
+        const active = tab.id === activeId;
+        return (
+          <div
+            key={tab.id}
+            className={`group flex items-center gap-1.5 pl-3 pr-1.5 py-1.5 rounded-t-lg text-xs cursor-pointer border-2 border-b-0 -mb-0.5 max-w-[14rem] flex-shrink-0 ${
+              active ? 'bg-white border-gray-200 text-gray-800' : 'bg-gray-50 border-transparent text-gray-500 hover:bg-gray-100'
+            }`}
+            onClick={() => onSelect(tab.id)}
+            onAuxClick={(e) => {
+              if (e.button === 1) onClose(tab.id);
+            }}
+            title={tab.url || 'New request'}
+          >
+            <span className="font-bold text-purple-600">{tab.method}</span>
+            <span className="truncate font-medium">{tab.title}</span>
+            {tab.loading ? (
+              <Loader size={12} className="animate-spin text-purple-600 flex-shrink-0" />
+            ) : tab.dirty ? (
+              <span className="w-2 h-2 rounded-full bg-amber-500 flex-shrink-0" title="Unsent changes" />
+            ) : null}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onClose(tab.id);
+              }}
+              className={`p-0.5 rounded hover:bg-gray-200 flex-shrink-0 ${active ? '' : 'opacity-0 group-hover:opacity-100'}`}
+              title="Close tab"
+            >
+              <X size={12} />
+            </button>
+          </div>
+        );
+      })}
+      <button
+        onClick={onNew}
+        className="p-1.5 mb-0.5 rounded-lg text-gray-500 hover:bg-gray-100 hover:text-purple-600 flex-shrink-0"
+        title="New tab"
+      >
+        <Plus size={16} />
+      </button>
+    </div>
+  );
+}
+
+export default RequestTabs;
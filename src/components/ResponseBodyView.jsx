@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+import { Download } from 'lucide-react';
+import { hexRows, HEX_VIEW_LIMIT, BINARY_HISTORY_LIMIT } from '../utils/responseBody';
+import { formatBytes } from '../utils/responseInfo';
+import { downloadFile } from '../utils/download';
+
+const frameClass = 'bg-gradient-to-br from-gray-900 to-gray-800 rounded-xl p-3 md:p-4 overflow-auto max-h-64 md:max-h-96 border-2 border-gray-700';
+
+function HexView({ bytes, size }) {
+  const rows = hexRows(bytes);
+  return (
+    <div className={frameClass}>
+      <pre className="text-green-400 text-xs font-mono leading-relaxed">
+        {rows.map(row => `${row.offset}  ${row.hex.padEnd(47)}  ${row.ascii}`).join('\n')}
+      </pre>
+      {size > Math.min(bytes.length, HEX_VIEW_LIMIT) && (
+        <p className="mt-2 text-xs text-gray-400">
+          Showing the first {formatBytes(Math.min(bytes.length, HEX_VIEW_LIMIT))} of {formatBytes(size)}
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Renders a response body by kind: text, HTML preview or source, image, PDF or hex
+function ResponseBodyView({ body, text, loading }) {
+  const [htmlView, setHtmlView] = useState('preview');
+  const [objectUrl, setObjectUrl] = useState(null);
+  const needsUrl = body && !body.truncated && (body.kind === 'image' || body.kind === 'pdf');
+
+  // Blob URLs for inline images and PDFs, released when the body changes
+  useEffect(() => {
+    if (!needsUrl) return undefined;
+    const href = URL.createObjectURL(body.blob);
+    setObjectUrl(href);
+    return () => {
+      URL.revokeObjectURL(href);
+      setObjectUrl(null);
+    };
+  }, [body, needsUrl]);
+
+  if (loading || !body) {
+    return (
+      <div className={frameClass}>
+        <pre className="text-green-400 text-xs font-mono leading-relaxed whitespace-pre-wrap break-words">
+          {loading ? 'Sending real HTTP request...\n\nPlease wait...' : text}
+        </pre>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2 text-xs">
+        <div className="flex items-center gap-1">
+          <span className="font-mono text-gray-500">{body.contentType || 'no Content-Type'}</span>
+          {body.kind === 'html' && ['preview', 'source'].map(view => (
+            <button
+              key={view}
+              onClick={() => setHtmlView(view)}
+              className={`ml-1 px-2 py-1 rounded font-semibold ${htmlView === view ? 'bg-gray-200 text-gray-800' : 'text-gray-500 hover:bg-gray-100'}`}
+            >
+              {view === 'preview' ? 'Preview' : 'Source'}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={() => downloadFile(body.filename, body.blob)}
+          className="px-2 py-1 bg-white border-2 border-gray-300 text-gray-700 rounded-lg font-semibold hover:bg-gray-100 flex items-center gap-1"
+          title={`Save as ${body.filename}`}
+        >
+          <Download size={12} />
+          {body.truncated ? `Save first ${formatBytes(BINARY_HISTORY_LIMIT)}` : 'Save response to file'}
+        </button>
+      </div>
+      {body.kind === 'html' && htmlView === 'preview' && (
+        // An empty sandbox blocks scripts, forms, popups and same-origin access
+        <iframe
+          title="HTML preview"
+          sandbox=""
+          srcDoc={text}
+          className="w-full h-64 md:h-96 border-2 border-gray-300 rounded-xl bg-white"
+        />
+      )}
+      {(body.kind === 'json' || body.kind === 'text' || (body.kind === 'html' && htmlView === 'source')) && (
+        <div className={frameClass}>
+          <pre className="text-green-400 text-xs font-mono leading-relaxed whitespace-pre-wrap break-words">{text}</pre>
+        </div>
+      )}
+      {body.kind === 'image' && objectUrl && (
+        <div className="flex justify-center p-3 border-2 border-gray-200 rounded-xl bg-[repeating-conic-gradient(#f3f4f6_0_25%,#fff_0_50%)] bg-[length:16px_16px] max-h-64 md:max-h-96 overflow-auto">
+          <img src={objectUrl} alt={body.filename} className="max-w-full object-contain" />
+        </div>
+      )}
+      {body.kind === 'pdf' && objectUrl && (
+        <iframe title="PDF preview" src={objectUrl} className="w-full h-64 md:h-96 border-2 border-gray-300 rounded-xl" />
+      )}
+      {body.kind === 'binary' && (
+        <>
+          <HexView bytes={body.bytes} size={body.size} />
+          {body.truncated && (
+            <p className="mt-1 text-xs text-gray-500">History keeps only the first {formatBytes(BINARY_HISTORY_LIMIT)} of binary responses.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ResponseBodyView;
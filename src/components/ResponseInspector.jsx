@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { headerEntries } from '../utils/keyValue';
+import { TIMING_PHASES, formatBytes } from '../utils/responseInfo';
+import { OUTCOME_LABELS } from '../utils/execute';
+import ResponseBodyView from './ResponseBodyView';
+
+const TABS = ['body', 'headers', 'cookies', 'timing', 'attempts'];
+
+function HeadersTable({ headers }) {
+  if (headers.length === 0) {
+    return <p className="text-xs text-gray-500">No headers were exposed to the page.</p>;
+  }
+  return (
+    <table className="w-full text-xs font-mono">
+      <tbody>
+        {headers.map(([key, value], index) => (
+          <tr key={`${key}-${index}`} className="border-b border-gray-100 align-top">
+            <td className="py-1.5 pr-3 font-semibold text-gray-700 whitespace-nowrap">{key}</td>
+            <td className="py-1.5 text-gray-600 break-all">{value}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function CookiesTable({ cookies }) {
+  return (
+    <div className="space-y-2">
+      {cookies.length > 0 && (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-1 pr-2">Name</th>
+              <th className="py-1 pr-2">Value</th>
+              <th className="py-1 pr-2">Attributes</th>
+              <th className="py-1">Source</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cookies.map((cookie, index) => (
+              <tr key={`${cookie.name}-${index}`} className="border-b border-gray-100 align-top font-mono">
+                <td className="py-1.5 pr-2 font-semibold text-gray-700">{cookie.name}</td>
+                <td className="py-1.5 pr-2 text-gray-600 break-all">{cookie.value}</td>
+                <td className="py-1.5 pr-2 text-gray-500">
+                  {[
+                    cookie.domain && `Domain=${cookie.domain}`,
+                    cookie.path && `Path=${cookie.path}`,
+                    cookie.expires && `Expires=${cookie.expires}`,
+                    cookie.maxAge && `Max-Age=${cookie.maxAge}`,
+                    cookie.sameSite && `SameSite=${cookie.sameSite}`,
+                    cookie.secure && 'Secure',
+                    cookie.httpOnly && 'HttpOnly',
+                  ].filter(Boolean).join('; ')}
+                </td>
+                <td className="py-1.5 text-gray-500">{cookie.source === 'document' ? 'document.cookie' : 'Set-Cookie'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p className="text-xs text-gray-500">
+        {cookies.length === 0 && 'No cookies are visible. '}
+        Browsers hide Set-Cookie response headers from scripts, so cookies set by other origins can only be seen in the browser's devtools.
+      </p>
+    </div>
+  );
+}
+
+function TimingWaterfall({ timing, size }) {
+  if (!timing) return <p className="text-xs text-gray-500">No timing was recorded for this response.</p>;
+  const phases = TIMING_PHASES.filter(phase => timing.phases?.[phase.id]);
+  const span = Math.max(1, ...phases.map(phase => timing.phases[phase.id].start + timing.phases[phase.id].duration));
+
+  return (
+    <div className="space-y-3">
+      <div className="space-y-1.5">
+        {phases.map(phase => {
+          const { start, duration } = timing.phases[phase.id];
+          return (
+            <div key={phase.id} className="flex items-center gap-2 text-xs">
+              <span className="w-20 font-semibold text-gray-700">{phase.label}</span>
+              <div className="flex-1 h-3 bg-gray-100 rounded relative">
+                <div
+                  className={`absolute h-3 rounded ${phase.color}`}
+                  style={{ left: `${(start / span) * 100}%`, width: `${Math.max(0.5, (duration / span) * 100)}%` }}
+                />
+              </div>
+              <span className="w-16 text-right font-mono text-gray-600">{duration} ms</span>
+            </div>
+          );
+        })}
+      </div>
+      <div className="flex flex-wrap gap-x-4 gap-y-1 text-xs text-gray-600">
+        <span>Total: <span className="font-mono font-semibold">{timing.total} ms</span></span>
+        {size && (
+          <>
+            <span>Body: <span className="font-mono font-semibold">{formatBytes(size.body)}</span></span>
+            {size.encoded != null && <span>Encoded: <span className="font-mono font-semibold">{formatBytes(size.encoded)}</span></span>}
+            {size.transfer != null && <span>Transferred: <span className="font-mono font-semibold">{formatBytes(size.transfer)}</span></span>}
+            <span>Headers: <span className="font-mono font-semibold">~{formatBytes(size.headers)}</span></span>
+          </>
+        )}
+      </div>
+      {timing.source === 'client' && (
+        <p className="text-xs text-gray-500">
+          DNS, connect and TLS phases need the server to send a Timing-Allow-Origin header; only the wait and download split measured by the client is shown.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Every attempt of a retried request, with the wait before the next one
+function AttemptsList({ attempts }) {
+  return (
+    <table className="w-full text-xs">
+      <thead>
+        <tr className="text-left text-gray-500 border-b border-gray-200">
+          <th className="py-1 pr-2">#</th>
+          <th className="py-1 pr-2">Result</th>
+          <th className="py-1 pr-2">Duration</th>
+          <th className="py-1 pr-2">Started</th>
+          <th className="py-1">Then</th>
+        </tr>
+      </thead>
+      <tbody>
+        {attempts.map(attempt => (
+          <tr key={attempt.attempt} className="border-b border-gray-100 align-top font-mono">
+            <td className="py-1.5 pr-2 font-semibold text-gray-700">{attempt.attempt}</td>
+            <td className="py-1.5 pr-2 text-gray-600 break-all">
+              {attempt.status != null
+                ? `${attempt.status} ${attempt.statusText || ''}`
+                : `${OUTCOME_LABELS[attempt.outcome] || 'Error'}: ${attempt.error}`}
+            </td>
+            <td className="py-1.5 pr-2 text-gray-600">{attempt.duration} ms</td>
+            <td className="py-1.5 pr-2 text-gray-500">{new Date(attempt.startedAt).toLocaleTimeString()}</td>
+            <td className="py-1.5 text-gray-500">{attempt.wait != null ? `retried after ${attempt.wait} ms` : 'final'}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+function ResponseInspector({ response, body, loading, meta, attempts = [] }) {
+  const [tab, setTab] = useState('body');
+  const headers = meta ? headerEntries(meta.responseHeaders) : [];
+  const cookies = meta?.cookies || [];
+  const labels = {
+    body: 'Body',
+    headers: `Headers (${headers.length})`,
+    cookies: `Cookies (${cookies.length})`,
+    timing: 'Timing',
+    attempts: `Attempts (${attempts.length})`,
+  };
+  // Attempts are listed even when the last one failed without a response
+  const available = (id) => id === 'body' || (id === 'attempts' ? attempts.length > 1 : Boolean(meta));
+  const activeTab = available(tab) ? tab : 'body';
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <div className="flex gap-1">
+          {TABS.filter(id => id !== 'attempts' || attempts.length > 1).map(id => (
+            <button
+              key={id}
+              onClick={() => setTab(id)}
+              disabled={!available(id)}
+              className={`px-3 py-1 rounded-lg text-xs md:text-sm font-bold transition-colors disabled:opacity-40 ${
+                activeTab === id ? 'bg-purple-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {labels[id]}
+            </button>
+          ))}
+        </div>
+        {meta && !loading && (
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+            {meta.responseSize && <span className="bg-gray-100 px-2 py-1 rounded font-semibold">{formatBytes(meta.responseSize.body)}</span>}
+            {meta.mock && (
+              <span className="bg-amber-50 text-amber-700 px-2 py-1 rounded font-semibold truncate max-w-xs" title="Answered locally by the mock server">
+                Mock: {meta.mock}
+              </span>
+            )}
+            {meta.redirected && (
+              <span className="bg-blue-50 text-blue-700 px-2 py-1 rounded font-semibold truncate max-w-xs" title={meta.finalUrl}>
+                Redirected to {meta.finalUrl}
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+      {activeTab === 'body' && <ResponseBodyView body={body} text={response} loading={loading} />}
+      {activeTab !== 'body' && (
+        <div className="border-2 border-gray-200 rounded-xl p-3 md:p-4 overflow-auto max-h-64 md:max-h-96 bg-white">
+          {loading && <p className="text-xs text-gray-500">Waiting for the response...</p>}
+          {!loading && activeTab === 'headers' && <HeadersTable headers={headers} />}
+          {!loading && activeTab === 'cookies' && <CookiesTable cookies={cookies} />}
+          {!loading && activeTab === 'timing' && <TimingWaterfall timing={meta.timing} size={meta.responseSize} />}
+          {!loading && activeTab === 'attempts' && <AttemptsList attempts={attempts} />}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ResponseInspector;
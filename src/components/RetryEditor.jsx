@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { normalizeRetry, parseStatusCodes } from '../utils/retry';
+
+const inputClass = 'w-24 px-2 py-1.5 border-2 border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-purple-500 bg-gray-50 disabled:opacity-50';
+
+// Retry policy fields: which failures to retry, how often and how long to wait
+function RetryEditor({ retry, onChange, disabled = false }) {
+  const policy = normalizeRetry(retry);
+  // Status codes are edited as text and parsed on blur so commas can be typed;
+  // the text is reset when a different policy is loaded
+  const joined = policy.statusCodes.join(', ');
+  const [codes, setCodes] = useState(joined);
+  const [loaded, setLoaded] = useState(joined);
+  if (loaded !== joined) {
+    setLoaded(joined);
+    setCodes(joined);
+  }
+  const update = (changes) => onChange({ ...policy, ...changes });
+  const off = disabled || !policy.enabled;
+
+  const numberField = (label, key, { min, step }) => (
+    <label className="block">
+      <span className="block text-xs font-semibold text-gray-600 mb-1">{label}</span>
+      <input
+        type="number"
+        min={min}
+        step={step}
+        value={policy[key]}
+        onChange={(e) => update({ [key]: Math.max(min, Number(e.target.value) || min) })}
+        disabled={off}
+        className={inputClass}
+      />
+    </label>
+  );
+
+  return (
+    <div className="space-y-2 text-xs">
+      <label className="flex items-center gap-1.5 font-semibold text-gray-600">
+        <input type="checkbox" checked={policy.enabled} onChange={(e) => update({ enabled: e.target.checked })} disabled={disabled} />
+        Retry failed requests
+      </label>
+      <div className="flex flex-wrap items-end gap-3">
+        {numberField('Max attempts', 'maxAttempts', { min: 1, step: 1 })}
+        {numberField('Base delay (ms)', 'baseDelay', { min: 0, step: 100 })}
+        {numberField('Max delay (ms)', 'maxDelay', { min: 0, step: 1000 })}
+        <label className="block">
+          <span className="block text-xs font-semibold text-gray-600 mb-1">Status codes</span>
+          <input
+            type="text"
+            value={codes}
+            onChange={(e) => setCodes(e.target.value)}
+            onBlur={() => {
+              const statusCodes = parseStatusCodes(codes);
+              setCodes(statusCodes.join(', '));
+              update({ statusCodes });
+            }}
+            disabled={off}
+            className={`${inputClass} w-40`}
+          />
+        </label>
+        <label className="flex items-center gap-1.5 py-2 font-semibold text-gray-600">
+          <input type="checkbox" checked={policy.networkErrors} onChange={(e) => update({ networkErrors: e.target.checked })} disabled={off} />
+          Network errors and timeouts
+        </label>
+      </div>
+      <p className="text-gray-500">
+        Waits double after each attempt, with jitter, up to the max delay. A Retry-After header is
+        used instead when present; if it asks for longer than the max delay, the request gives up.
+      </p>
+    </div>
+  );
+}
+
+export default RetryEditor;
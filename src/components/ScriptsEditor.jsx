@@ -0,0 +1,57 @@
+import React, { useState } from 'react';
+import { SCRIPT_SNIPPETS, SCRIPT_TIMEOUT_MS } from '../utils/scripts';
+
+const PHASES = [
+  { id: 'preRequest', label: 'Pre-request', placeholder: "pm.environment.set('timestamp', Date.now());" },
+  { id: 'test', label: 'Tests', placeholder: "pm.test('Status is 200', () => {\n  pm.response.to.have.status(200);\n});" },
+];
+
+function ScriptsEditor({ scripts, onChange }) {
+  const [phase, setPhase] = useState('preRequest');
+  const current = PHASES.find(item => item.id === phase);
+
+  const update = (code) => onChange({ ...scripts, [phase]: code });
+  const insertSnippet = (code) => update(scripts[phase].trim() ? `${scripts[phase].trimEnd()}\n\n${code}` : code);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-1 text-xs">
+        {PHASES.map(item => (
+          <button
+            key={item.id}
+            onClick={() => setPhase(item.id)}
+            className={`px-2 py-1 rounded font-semibold ${phase === item.id ? 'bg-gray-200 text-gray-800' : 'text-gray-500 hover:bg-gray-100'}`}
+          >
+            {item.label}{scripts[item.id].trim() ? ' ●' : ''}
+          </button>
+        ))}
+      </div>
+      <textarea
+        value={scripts[phase]}
+        onChange={(e) => update(e.target.value)}
+        spellCheck={false}
+        className="w-full h-32 md:h-40 px-3 md:px-4 py-2 md:py-3 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
+        placeholder={current.placeholder}
+      />
+      <div className="flex flex-wrap gap-1">
+        {SCRIPT_SNIPPETS[phase].map(snippet => (
+          <button
+            key={snippet.label}
+            onClick={() => insertSnippet(snippet.code)}
+            className="px-2 py-1 bg-white border border-gray-300 text-gray-600 rounded text-xs font-semibold hover:bg-gray-100"
+          >
+            {snippet.label}
+          </button>
+        ))}
+      </div>
+      <p className="text-xs text-gray-500">
+        {phase === 'preRequest'
+          ? 'Runs before {{variables}} are resolved. Use pm.environment, pm.request.headers, pm.request.url and pm.crypto to set variables, headers and signatures.'
+          : 'Runs after the response arrives. Use pm.test, pm.expect and pm.response (status, headers, json(), responseTime).'}
+        {` Scripts run in a Web Worker without network or page access and stop after ${SCRIPT_TIMEOUT_MS / 1000}s.`}
+      </p>
+    </div>
+  );
+}
+
+export default ScriptsEditor;
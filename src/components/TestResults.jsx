@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { CheckCircle2, XCircle, ChevronDown, ChevronRight } from 'lucide-react';
+import { summarizeTests } from '../utils/scripts';
+
+const PHASE_LABELS = { preRequest: 'Pre-request', test: 'Tests' };
+
+// Pass/fail badge for a send's script results, expanding to each test, logs and errors
+function TestResults({ results }) {
+  const [open, setOpen] = useState(false);
+  const phases = ['preRequest', 'test'].filter(phase => results?.[phase]);
+  if (phases.length === 0) return null;
+
+  const { total, passed, failed } = summarizeTests(results);
+  const errored = phases.some(phase => results[phase].error);
+  const badgeColor = failed > 0 || errored ? 'text-red-600 bg-red-50' : 'text-green-600 bg-green-50';
+  const Chevron = open ? ChevronDown : ChevronRight;
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        className={`px-3 md:px-4 py-1.5 md:py-2 rounded-lg text-xs md:text-sm font-bold flex items-center gap-1 ${badgeColor}`}
+      >
+        <Chevron size={14} />
+        {total > 0 ? `Tests ${passed}/${total} passed` : 'No tests'}
+        {errored && ' • script error'}
+      </button>
+      {open && (
+        <div className="absolute right-0 z-10 mt-2 w-72 sm:w-96 max-h-80 overflow-auto border-2 border-gray-200 rounded-xl p-3 space-y-3 bg-white shadow-lg text-xs">
+          {phases.map(phase => {
+            const result = results[phase];
+            return (
+              <div key={phase} className="space-y-1">
+                <div className="font-bold text-gray-700">{PHASE_LABELS[phase]}</div>
+                {result.error && <p className="font-mono text-red-600 break-words">{result.error}</p>}
+                {result.tests.map((test, index) => (
+                  <div key={`${test.name}-${index}`} className="flex items-start gap-2">
+                    {test.passed
+                      ? <CheckCircle2 size={14} className="text-green-600 flex-shrink-0 mt-0.5" />
+                      : <XCircle size={14} className="text-red-600 flex-shrink-0 mt-0.5" />}
+                    <div className="min-w-0">
+                      <span className="font-semibold text-gray-700">{test.name}</span>
+                      {test.error && <div className="font-mono text-red-600 break-words">{test.error}</div>}
+                    </div>
+                  </div>
+                ))}
+                {result.logs.length > 0 && (
+                  <pre className="bg-gray-50 rounded-lg p-2 font-mono text-gray-600 whitespace-pre-wrap break-words">
+                    {result.logs.map(entry => (entry.level === 'log' ? entry.message : `[${entry.level}] ${entry.message}`)).join('\n')}
+                  </pre>
+                )}
+                {!result.error && result.tests.length === 0 && result.logs.length === 0 && (
+                  <p className="text-gray-500">Ran without tests or output.</p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TestResults;
@@ -0,0 +1,305 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Plug, Unplug, Send, ArrowUpRight, ArrowDownLeft, Radio, BookmarkPlus, Eraser, X, AlertCircle, Loader } from 'lucide-react';
+import { resolveTemplate } from '../utils/environments';
+import {
+  RECONNECT_DEFAULTS, isWebSocketUrl, parseProtocols, createMessageTemplate, loadWebSocketSettings, saveWebSocketSettings,
+  prepareMessage, formatMessage, openWebSocketSession, sessionHistoryEntry, sessionEntriesOf,
+} from '../utils/websocket';
+
+const STATUS_LABELS = {
+  connecting: 'Connecting',
+  open: 'Connected',
+  reconnecting: 'Reconnecting',
+  closed: 'Disconnected',
+};
+
+const STATUS_COLORS = {
+  connecting: 'text-amber-700 bg-amber-50',
+  open: 'text-green-700 bg-green-50',
+  reconnecting: 'text-amber-700 bg-amber-50',
+  closed: 'text-gray-600 bg-gray-100',
+};
+
+const inputClass = 'px-2 py-1 border-2 border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500 bg-white';
+
+const formatTime = (iso) => {
+  const date = new Date(iso);
+  return `${date.toLocaleTimeString([], { hour12: false })}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+};
+
+function LogEntry({ entry }) {
+  if (entry.direction === 'event') {
+    return (
+      <div className={`flex gap-2 px-2 py-1 text-xs ${entry.kind === 'error' ? 'text-red-600' : 'text-gray-500'}`}>
+        <span className="font-mono flex-shrink-0">{formatTime(entry.time)}</span>
+        <Radio size={14} className="flex-shrink-0 mt-0.5" />
+        <span className="italic">{entry.data}</span>
+      </div>
+    );
+  }
+  const sent = entry.direction === 'sent';
+  const { text } = entry.binary ? { text: entry.data } : formatMessage(entry.data);
+  return (
+    <div className={`flex gap-2 px-2 py-1.5 text-xs rounded-lg ${sent ? 'bg-purple-50' : 'bg-white'}`}>
+      <span className="font-mono text-gray-500 flex-shrink-0">{formatTime(entry.time)}</span>
+      {sent
+        ? <ArrowUpRight size={14} className="text-purple-600 flex-shrink-0 mt-0.5" />
+        : <ArrowDownLeft size={14} className="text-green-600 flex-shrink-0 mt-0.5" />}
+      <pre className={`flex-1 min-w-0 whitespace-pre-wrap break-all font-mono ${entry.binary ? 'italic text-gray-500' : 'text-gray-800'}`}>{text}</pre>
+    </div>
+  );
+}
+
+// WebSocket mode of the request builder. The message draft and its format
+// are the tab's body and body type. Each session, from connecting until the
+// connection closes for good, is passed to onSessionEnd as a history entry.
+// transcript is the message log of the tab's last session, shown until a new
+// one starts.
+function WebSocketPanel({ url, variables, protocols, onProtocolsChange, message, onMessageChange, format, onFormatChange, transcript, onSessionEnd }) {
+  const [settings, setSettings] = useState(loadWebSocketSettings);
+  const [status, setStatus] = useState('closed');
+  const [liveEntries, setLiveEntries] = useState(null);
+  const [error, setError] = useState('');
+  const session = useRef(null);
+  const log = useRef(null);
+  const entries = liveEntries ?? sessionEntriesOf(transcript);
+  const { templates, reconnect } = settings;
+
+  useEffect(() => {
+    saveWebSocketSettings(settings);
+  }, [settings]);
+
+  useEffect(() => {
+    log.current.scrollTop = log.current.scrollHeight;
+  }, [entries.length]);
+
+  // Leaving the tab ends its session
+  useEffect(() => () => session.current?.close(), []);
+
+  const connect = () => {
+    const resolvedUrl = resolveTemplate(url.trim(), variables);
+    if (!isWebSocketUrl(resolvedUrl)) {
+      setError('WebSocket URLs start with ws:// or wss://');
+      return;
+    }
+    setError('');
+    const logged = [];
+    const startedAt = Date.now();
+    setLiveEntries([]);
+    session.current = openWebSocketSession({
+      url: resolvedUrl,
+      protocols: parseProtocols(resolveTemplate(protocols, variables)),
+      reconnect,
+      onEntry: (entry) => {
+        logged.push(entry);
+        setLiveEntries(prev => [...(prev || []), entry]);
+      },
+      onStatus: (next) => {
+        setStatus(next);
+        if (next !== 'closed') return;
+        session.current = null;
+        onSessionEnd(sessionHistoryEntry({ url, protocols, resolvedUrl, entries: logged, startedAt, endedAt: Date.now() }));
+      },
+    });
+  };
+
+  const send = () => {
+    try {
+      session.current.send(prepareMessage(resolveTemplate(message, variables), format));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveTemplate = () => {
+    const name = window.prompt('Template name', `Message ${templates.length + 1}`);
+    if (!name || !name.trim()) return;
+    setSettings({ ...settings, templates: [...templates, createMessageTemplate(name.trim(), message, format)] });
+  };
+
+  const deleteTemplate = (template) => {
+    if (!window.confirm(`Delete template "${template.name}"?`)) return;
+    setSettings({ ...settings, templates: templates.filter(t => t.id !== template.id) });
+  };
+
+  const updateReconnect = (changes) => setSettings({ ...settings, reconnect: { ...reconnect, ...changes } });
+
+  const active = status !== 'closed';
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+      <div className="space-y-3">
+        <div className="flex flex-wrap items-center gap-2">
+          {active ? (
+            <button
+              onClick={() => session.current?.close()}
+              className="px-3 md:px-4 py-2 bg-gradient-to-r from-red-600 to-red-700 text-white rounded-xl font-bold hover:from-red-700 hover:to-red-800 flex items-center gap-2 text-xs md:text-sm"
+            >
+              <Unplug size={16} />
+              Disconnect
+            </button>
+          ) : (
+            <button
+              onClick={connect}
+              className="px-3 md:px-4 py-2 bg-gradient-to-r from-purple-600 to-pink-600 text-white rounded-xl font-bold hover:from-purple-700 hover:to-pink-700 flex items-center gap-2 text-xs md:text-sm"
+            >
+              <Plug size={16} />
+              Connect
+            </button>
+          )}
+          <span className={`px-2 py-1 rounded-lg text-xs font-bold flex items-center gap-1 ${STATUS_COLORS[status]}`}>
+            {(status === 'connecting' || status === 'reconnecting') && <Loader size={12} className="animate-spin" />}
+            {STATUS_LABELS[status]}
+          </span>
+        </div>
+        <label className="block text-xs">
+          <span className="block font-semibold text-gray-600 mb-1">Subprotocols</span>
+          <input
+            type="text"
+            value={protocols}
+            onChange={(e) => onProtocolsChange(e.target.value)}
+            disabled={active}
+            placeholder="graphql-transport-ws, v2.json"
+            className={`${inputClass} w-full font-mono disabled:bg-gray-100`}
+          />
+        </label>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-gray-600">
+          <label className="flex items-center gap-1.5 font-semibold">
+            <input type="checkbox" checked={reconnect.enabled} onChange={(e) => updateReconnect({ enabled: e.target.checked })} />
+            Reconnect when the connection drops
+          </label>
+          {reconnect.enabled && (
+            <>
+              <label className="flex items-center gap-1">
+                after
+                <input
+                  type="number"
+                  min="0"
+                  value={reconnect.delay}
+                  onChange={(e) => updateReconnect({ delay: Math.max(0, Math.floor(Number(e.target.value) || 0)) })}
+                  className={`${inputClass} w-20`}
+                />
+                ms, doubling,
+              </label>
+              <label className="flex items-center gap-1">
+                up to
+                <input
+                  type="number"
+                  min="1"
+                  value={reconnect.maxAttempts}
+                  onChange={(e) => updateReconnect({ maxAttempts: Math.max(1, Math.floor(Number(e.target.value) || RECONNECT_DEFAULTS.maxAttempts)) })}
+                  className={`${inputClass} w-16`}
+                />
+                times
+              </label>
+            </>
+          )}
+        </div>
+        <div>
+          <div className="flex items-center justify-between gap-2 mb-2">
+            <div className="flex gap-1">
+              {['text', 'json'].map(option => (
+                <button
+                  key={option}
+                  onClick={() => onFormatChange(option)}
+                  className={`px-3 py-1 rounded-lg text-xs md:text-sm font-bold transition-colors ${
+                    format === option ? 'bg-purple-600 text-white' : 'text-gray-700 hover:bg-gray-100'
+                  }`}
+                >
+                  {option === 'json' ? 'JSON' : 'Text'}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={saveTemplate}
+              disabled={!message}
+              className="px-2 py-1 text-xs font-semibold text-gray-600 hover:bg-gray-100 rounded-lg flex items-center gap-1 disabled:opacity-40"
+              title="Save this message as a template"
+            >
+              <BookmarkPlus size={14} />
+              Save as template
+            </button>
+          </div>
+          <textarea
+            value={message}
+            onChange={(e) => onMessageChange(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && status === 'open') {
+                e.preventDefault();
+                send();
+              }
+            }}
+            className="w-full h-32 md:h-40 px-3 md:px-4 py-2 md:py-3 border-2 border-gray-300 rounded-xl font-mono text-xs focus:ring-2 focus:ring-purple-500 focus:border-transparent bg-gray-50"
+            placeholder={format === 'json' ? '{"type": "subscribe", "channel": "{{channel}}"}' : 'Message'}
+          />
+          <div className="flex items-center justify-between gap-2 mt-2">
+            <span className="text-xs text-gray-500">Ctrl+Enter to send</span>
+            <button
+              onClick={send}
+              disabled={status !== 'open' || !message}
+              className="px-3 md:px-4 py-1.5 bg-purple-600 text-white rounded-lg text-xs font-bold hover:bg-purple-700 flex items-center gap-1 disabled:opacity-40"
+            >
+              <Send size={14} />
+              Send
+            </button>
+          </div>
+        </div>
+        {templates.length > 0 && (
+          <div className="flex flex-wrap gap-1.5">
+            {templates.map(template => (
+              <span key={template.id} className="flex items-center bg-gray-100 rounded-lg text-xs">
+                <button
+                  onClick={() => {
+                    onMessageChange(template.body);
+                    onFormatChange(template.format);
+                  }}
+                  className="pl-2 pr-1 py-1 font-semibold text-gray-700 hover:text-purple-600"
+                  title={template.body}
+                >
+                  {template.name}
+                </button>
+                <button onClick={() => deleteTemplate(template)} className="p-1 text-gray-400 hover:text-red-600" title="Delete template">
+                  <X size={12} />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        {error && (
+          <div className="flex items-center gap-2 text-xs text-red-700">
+            <AlertCircle size={14} className="flex-shrink-0" />
+            {error}
+          </div>
+        )}
+      </div>
+      <div>
+        <div className="flex items-center justify-between gap-2 mb-2">
+          <h3 className="font-bold text-gray-800 text-xs md:text-sm">
+            Messages
+            <span className="ml-2 font-normal text-gray-500">
+              {entries.filter(entry => entry.direction === 'sent').length} sent, {entries.filter(entry => entry.direction === 'received').length} received
+            </span>
+          </h3>
+          <button
+            onClick={() => setLiveEntries([])}
+            disabled={entries.length === 0}
+            className="p-1.5 text-gray-500 hover:bg-gray-100 rounded-lg disabled:opacity-40"
+            title="Clear the log"
+          >
+            <Eraser size={14} />
+          </button>
+        </div>
+        <div ref={log} className="border-2 border-gray-200 rounded-xl p-1 h-72 md:h-96 overflow-auto bg-gray-50 space-y-0.5">
+          {entries.length === 0 ? (
+            <p className="text-xs text-gray-500 p-2">Connect to see messages here.</p>
+          ) : (
+            entries.map(entry => <LogEntry key={entry.id} entry={entry} />)
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default WebSocketPanel;
@@ -0,0 +1,139 @@
+import { filterTimeRange } from './historyFilter';
+import { WEBSOCKET_METHOD } from './websocket';
+
+// Latency and error analytics over history entry summaries (see
+// historyStore's summaries()): percentiles, status class rates, per host and
+// per endpoint breakdowns and a timeline.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Nearest-rank percentile of ascending values
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+// Path segments that are IDs rather than part of the route
+const ID_SEGMENTS = [
+  [/^\d+$/, ':id'],
+  [/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, ':uuid'],
+  [/^[0-9a-f]{16,}$/i, ':hash'],
+  // Mixed letters and digits, like ord_8f3K2 or A1B2C3D4
+  [/^(?=.*\d)(?=.*[a-z])[\w-]{8,}$/i, ':id'],
+];
+
+// Route-like path with IDs replaced, so /posts/1 and /posts/2 are one endpoint
+export const normalizePath = (pathname) => {
+  const path = pathname
+    .split('/')
+    .map(segment => {
+      if (!segment) return segment;
+      const match = ID_SEGMENTS.find(([pattern]) => pattern.test(decodeURIComponent(segment)));
+      return match ? match[1] : segment;
+    })
+    .join('/');
+  return path || '/';
+};
+
+export const endpointOf = (summary) => {
+  try {
+    const url = new URL(summary.url);
+    return { host: url.host, path: normalizePath(url.pathname) };
+  } catch {
+    return { host: summary.host || '', path: summary.url };
+  }
+};
+
+// 2xx and 3xx count as success; 4xx, 5xx and requests without a response
+// (network errors, timeouts, cancellations) as errors
+const isError = (summary) => summary.statusClass !== '2xx' && summary.statusClass !== '3xx';
+
+export const summarize = (summaries) => {
+  // Latency only counts requests that got a response
+  const durations = summaries
+    .filter(summary => summary.statusClass !== 'network' && Number.isFinite(summary.duration))
+    .map(summary => summary.duration)
+    .sort((a, b) => a - b);
+  const byClass = { '2xx': 0, '3xx': 0, '4xx': 0, '5xx': 0, network: 0 };
+  summaries.forEach(summary => {
+    byClass[summary.statusClass] = (byClass[summary.statusClass] || 0) + 1;
+  });
+  const errors = summaries.filter(isError).length;
+  return {
+    count: summaries.length,
+    p50: percentile(durations, 50),
+    p90: percentile(durations, 90),
+    p99: percentile(durations, 99),
+    average: durations.length ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length) : null,
+    byClass,
+    errorRate: summaries.length ? errors / summaries.length : 0,
+  };
+};
+
+const groupBy = (summaries, keyOf) => {
+  const groups = new Map();
+  summaries.forEach(summary => {
+    const key = keyOf(summary);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(summary);
+  });
+  return groups;
+};
+
+// Hour buckets for up to two days, then days, then weeks
+export const bucketSize = (spanMs) => {
+  if (spanMs <= 2 * DAY_MS) return HOUR_MS;
+  if (spanMs <= 90 * DAY_MS) return DAY_MS;
+  return 7 * DAY_MS;
+};
+
+// Buckets start on local hour or day boundaries
+const bucketStart = (time, size) => {
+  const date = new Date(time);
+  if (size === HOUR_MS) date.setMinutes(0, 0, 0);
+  else date.setHours(0, 0, 0, 0);
+  if (size === 7 * DAY_MS) date.setDate(date.getDate() - date.getDay());
+  return date.getTime();
+};
+
+export const timeline = (summaries) => {
+  if (summaries.length === 0) return { size: HOUR_MS, buckets: [] };
+  const times = summaries.map(summary => new Date(summary.timestamp).getTime());
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const size = bucketSize(last - first);
+  const groups = groupBy(summaries, summary => bucketStart(new Date(summary.timestamp).getTime(), size));
+  // Every bucket in the span, so gaps show as gaps. Stepping half a bucket
+  // past the next start and flooring copes with 23 and 25 hour days.
+  const buckets = [];
+  for (let start = bucketStart(first, size); start <= last; start = bucketStart(start + size * 1.5, size)) {
+    const { count, p50, p90, errorRate } = summarize(groups.get(start) || []);
+    buckets.push({ start, count, p50, p90, errorRate });
+  }
+  return { size, buckets };
+};
+
+// Everything the dashboard shows, for summaries within the date range
+// ({ from, to } as in the history filter). WebSocket sessions are left out;
+// their duration is how long the connection stayed open.
+export const analyzeHistory = (summaries, range = {}) => {
+  const { from, to } = filterTimeRange({ from: range.from || '', to: range.to || '' });
+  const inRange = summaries.filter(summary => {
+    if (summary.method === WEBSOCKET_METHOD) return false;
+    const time = new Date(summary.timestamp).getTime();
+    return (from == null || time >= from) && (to == null || time < to);
+  });
+  const byCount = (a, b) => b.count - a.count;
+  const hosts = [...groupBy(inRange, summary => endpointOf(summary).host)]
+    .map(([host, group]) => ({ host, ...summarize(group) }))
+    .sort(byCount);
+  const endpoints = [...groupBy(inRange, summary => {
+    const { host, path } = endpointOf(summary);
+    return `${summary.method} ${host}${path}`;
+  })]
+    .map(([key, group]) => ({ key, method: group[0].method, ...endpointOf(group[0]), ...summarize(group) }))
+    .sort(byCount);
+  return { overall: summarize(inRange), hosts, endpoints, timeline: timeline(inRange) };
+};
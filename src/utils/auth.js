@@ -0,0 +1,136 @@
+import { resolveTemplate } from './environments';
+
+// Request authorization, kept apart from the header rows and applied when the
+// request is prepared, so credentials never end up in the saved headers
+
+export const AUTH_TYPES = [
+  { id: 'none', label: 'No Auth' },
+  { id: 'bearer', label: 'Bearer Token' },
+  { id: 'basic', label: 'Basic Auth' },
+  { id: 'apikey', label: 'API Key' },
+  { id: 'oauth2', label: 'OAuth 2.0' },
+];
+
+export const OAUTH_GRANTS = [
+  { id: 'client_credentials', label: 'Client Credentials' },
+  { id: 'authorization_code', label: 'Authorization Code + PKCE' },
+];
+
+// Shown in history and exports instead of credential values
+export const REDACTED = '[redacted]';
+
+export const createAuth = (type = 'none') => ({
+  type,
+  bearer: { token: '' },
+  basic: { username: '', password: '' },
+  apikey: { key: 'X-API-Key', value: '', in: 'header' },
+  oauth2: {
+    grantType: 'client_credentials',
+    tokenUrl: '',
+    authUrl: '',
+    clientId: '',
+    clientSecret: '',
+    scope: '',
+    redirectUri: '',
+    clientAuth: 'body',
+  },
+});
+
+// Fill in any settings missing from auth saved in collections or imported
+export const normalizeAuth = (auth) => {
+  const defaults = createAuth(auth?.type || 'none');
+  if (!auth) return defaults;
+  return {
+    type: defaults.type,
+    bearer: { ...defaults.bearer, ...auth.bearer },
+    basic: { ...defaults.basic, ...auth.basic },
+    apikey: { ...defaults.apikey, ...auth.apikey },
+    oauth2: { ...defaults.oauth2, ...auth.oauth2 },
+  };
+};
+
+// Settings that hold a credential: [auth type, setting, label]
+const SECRET_FIELDS = [
+  ['bearer', 'token', 'Bearer token'],
+  ['basic', 'password', 'Basic Auth password'],
+  ['apikey', 'value', 'API key'],
+  ['oauth2', 'clientSecret', 'OAuth 2.0 client secret'],
+];
+
+// A value made only of {{variables}} holds no credential itself
+const isVariableReference = (value) => /^(\s*\{\{[^{}]+\}\}\s*)+$/.test(value);
+
+// auth with its credential values cleared, for storage that must not keep
+// them, and the 'type.setting' paths of the ones it cleared
+export const stripSecrets = (auth) => {
+  const stripped = normalizeAuth(auth);
+  const removed = [];
+  SECRET_FIELDS.forEach(([type, key]) => {
+    const value = stripped[type][key];
+    if (!value || isVariableReference(value)) return;
+    stripped[type] = { ...stripped[type], [key]: '' };
+    removed.push(`${type}.${key}`);
+  });
+  return { auth: stripped, removed };
+};
+
+// Paths of the credentials an auth type needs, in the form stripSecrets reports
+export const secretPaths = (type) => SECRET_FIELDS
+  .filter(([fieldType]) => fieldType === type)
+  .map(([fieldType, key]) => `${fieldType}.${key}`);
+
+// Labels of the credentials among paths (from stripSecrets) that the selected
+// auth type needs and that are still empty
+export const missingSecrets = (auth, paths = []) => SECRET_FIELDS
+  .filter(([type, key]) => type === auth.type && paths.includes(`${type}.${key}`) && !auth[type][key])
+  .map(([, , label]) => label);
+
+// The settings of the selected auth type only
+const activeSettings = (auth) => (auth && auth.type !== 'none' ? auth[auth.type] || {} : {});
+
+// Template strings of the selected auth type, for the undefined-variable check
+export const authTemplates = (auth) => Object.values(activeSettings(auth))
+  .filter(value => typeof value === 'string');
+
+// Resolve {{variables}} in the selected auth type's settings
+export const resolveAuth = (auth, variables, missing = new Set()) => {
+  const normalized = normalizeAuth(auth);
+  if (normalized.type === 'none') return normalized;
+  const settings = normalized[normalized.type];
+  return {
+    ...normalized,
+    [normalized.type]: Object.fromEntries(Object.entries(settings)
+      .map(([key, value]) => [key, resolveTemplate(value, variables, missing)])),
+  };
+};
+
+export const encodeBasicCredentials = (username, password = '') => {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return btoa(String.fromCharCode(...bytes));
+};
+
+// Headers and query params a resolved auth config adds to the request.
+// OAuth 2.0 needs the access token, which the caller fetches first.
+export const authParams = (auth, accessToken) => {
+  const params = { headers: [], query: [] };
+  if (auth.type === 'bearer' && auth.bearer.token) {
+    params.headers.push(['Authorization', `Bearer ${auth.bearer.token}`]);
+  } else if (auth.type === 'basic' && (auth.basic.username || auth.basic.password)) {
+    params.headers.push(['Authorization', `Basic ${encodeBasicCredentials(auth.basic.username, auth.basic.password)}`]);
+  } else if (auth.type === 'apikey' && auth.apikey.key) {
+    params[auth.apikey.in === 'query' ? 'query' : 'headers'].push([auth.apikey.key, auth.apikey.value]);
+  } else if (auth.type === 'oauth2' && accessToken) {
+    params.headers.push(['Authorization', `Bearer ${accessToken}`]);
+  }
+  return params;
+};
+
+// Append query params to a URL, keeping any #hash at the end
+export const appendQueryParams = (url, pairs) => {
+  if (pairs.length === 0) return url;
+  const hashIndex = url.indexOf('#');
+  const base = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const query = pairs.map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`).join('&');
+  return `${base}${base.includes('?') ? '&' : '?'}${query}${hash}`;
+};
@@ -0,0 +1,229 @@
+import { headerEntries } from './keyValue';
+
+// Generate code snippets from a prepared request ({ url, fetchOptions })
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, '\'\\\'\'')}'`;
+
+const parseJsonBody = (body) => {
+  if (typeof body !== 'string' || !body.trim()) return undefined;
+  try {
+    return JSON.parse(body);
+  } catch {
+    return undefined;
+  }
+};
+
+const indentLines = (text, indent) => text.split('\n').join(`\n${indent}`);
+
+// Fold repeated header names into one comma-separated value for clients that take an object
+const mergeHeaders = (pairs) => pairs.reduce((acc, [key, value]) => {
+  const existing = Object.keys(acc).find(name => name.toLowerCase() === key.toLowerCase());
+  if (existing) {
+    acc[existing] = `${acc[existing]}${key.toLowerCase() === 'cookie' ? '; ' : ', '}${value}`;
+  } else {
+    acc[key] = value;
+  }
+  return acc;
+}, {});
+
+// fetch accepts [name, value] pairs, which keeps repeated headers as they were entered
+const fetchHeaders = (pairs) => {
+  const merged = mergeHeaders(pairs);
+  return Object.keys(merged).length === pairs.length ? merged : pairs;
+};
+
+// Render a JSON value as a Python literal
+const toPython = (value, indent = '') => {
+  const next = `${indent}    `;
+  if (value === null) return 'None';
+  if (value === true) return 'True';
+  if (value === false) return 'False';
+  if (typeof value === 'number') return String(value);
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${next}${toPython(item, next)}`).join(',\n')}\n${indent}]`;
+  }
+  const entries = Object.entries(value);
+  if (entries.length === 0) return '{}';
+  return `{\n${entries.map(([key, item]) => `${next}${JSON.stringify(key)}: ${toPython(item, next)}`).join(',\n')}\n${indent}}`;
+};
+
+const fileName = (field) => field.file?.name || 'file';
+
+// JS statements that build a FormData for multipart bodies
+const formDataLines = (fields) => [
+  'const formData = new FormData();',
+  ...fields.map(field => (field.type === 'file'
+    ? `formData.append(${JSON.stringify(field.key)}, fileInput.files[0]); // ${fileName(field)}`
+    : `formData.append(${JSON.stringify(field.key)}, ${JSON.stringify(field.value)});`)),
+  '',
+];
+
+const generateCurl = ({ method, url, headers, body, bodyType, fields, file }) => {
+  const lines = [`curl -X ${method} ${shellQuote(url)}`];
+  headers.forEach(([key, value]) => {
+    lines.push(`  -H ${shellQuote(`${key}: ${value}`)}`);
+  });
+  if (bodyType === 'multipart') {
+    fields.forEach(field => {
+      lines.push(`  -F ${shellQuote(field.type === 'file' ? `${field.key}=@${fileName(field)}` : `${field.key}=${field.value}`)}`);
+    });
+  } else if (bodyType === 'binary') {
+    lines.push(`  --data-binary ${shellQuote(`@${file?.name || 'file'}`)}`);
+  } else if (body) {
+    lines.push(`  --data-raw ${shellQuote(body)}`);
+  }
+  return lines.join(' \\\n');
+};
+
+const generateFetch = ({ method, url, headers, body, bodyType, fields, file }) => {
+  const json = parseJsonBody(body);
+  const options = [`  method: ${JSON.stringify(method)}`];
+  if (headers.length > 0) {
+    options.push(`  headers: ${indentLines(JSON.stringify(fetchHeaders(headers), null, 2), '  ')}`);
+  }
+  if (bodyType === 'multipart') {
+    options.push('  body: formData');
+  } else if (bodyType === 'binary') {
+    options.push(`  body: fileInput.files[0] // ${file?.name || 'file'}`);
+  } else if (body) {
+    options.push(bodyType === 'json' && json !== undefined
+      ? `  body: JSON.stringify(${indentLines(JSON.stringify(json, null, 2), '  ')})`
+      : `  body: ${JSON.stringify(body)}`);
+  }
+  return [
+    ...(bodyType === 'multipart' ? formDataLines(fields) : []),
+    `const response = await fetch(${JSON.stringify(url)}, {`,
+    `${options.join(',\n')}`,
+    '});',
+    '',
+    'const data = await response.text();',
+    'console.log(response.status, data);',
+  ].join('\n');
+};
+
+const generateAxios = ({ method, url, headers, body, bodyType, fields, file }) => {
+  const json = parseJsonBody(body);
+  const config = [
+    `  method: ${JSON.stringify(method.toLowerCase())}`,
+    `  url: ${JSON.stringify(url)}`,
+  ];
+  if (headers.length > 0) {
+    config.push(`  headers: ${indentLines(JSON.stringify(mergeHeaders(headers), null, 2), '  ')}`);
+  }
+  if (bodyType === 'multipart') {
+    config.push('  data: formData');
+  } else if (bodyType === 'binary') {
+    config.push(`  data: fileInput.files[0] // ${file?.name || 'file'}`);
+  } else if (body) {
+    config.push(`  data: ${bodyType === 'json' && json !== undefined ? indentLines(JSON.stringify(json, null, 2), '  ') : JSON.stringify(body)}`);
+  }
+  return [
+    'import axios from \'axios\';',
+    '',
+    ...(bodyType === 'multipart' ? formDataLines(fields) : []),
+    'const response = await axios({',
+    `${config.join(',\n')}`,
+    '});',
+    '',
+    'console.log(response.status, response.data);',
+  ].join('\n');
+};
+
+const generateNodeHttp = ({ method, url, headers, body, bodyType, file }) => {
+  const parsed = new URL(url);
+  const module = parsed.protocol === 'http:' ? 'http' : 'https';
+  const requestHeaders = mergeHeaders(headers);
+  if (body && bodyType !== 'multipart' && bodyType !== 'binary') {
+    requestHeaders['Content-Length'] = new TextEncoder().encode(body).length;
+  }
+  const options = [
+    `  method: ${JSON.stringify(method)}`,
+    `  hostname: ${JSON.stringify(parsed.hostname)}`,
+    ...(parsed.port ? [`  port: ${parsed.port}`] : []),
+    `  path: ${JSON.stringify(`${parsed.pathname}${parsed.search}`)}`,
+    `  headers: ${indentLines(JSON.stringify(requestHeaders, null, 2), '  ')}`,
+  ];
+  let write = body ? [`req.write(${JSON.stringify(body)});`, 'req.end();'] : ['req.end();'];
+  if (bodyType === 'binary') {
+    write = [`fs.createReadStream(${JSON.stringify(file?.name || 'file')}).pipe(req);`];
+  } else if (bodyType === 'multipart') {
+    write = ['// multipart/form-data: build the body with the form-data package and pipe it into req', 'req.end();'];
+  }
+  return [
+    ...(bodyType === 'binary' ? ['const fs = require(\'fs\');'] : []),
+    `const ${module} = require('${module}');`,
+    '',
+    'const options = {',
+    `${options.join(',\n')}`,
+    '};',
+    '',
+    `const req = ${module}.request(options, (res) => {`,
+    '  let data = \'\';',
+    '  res.on(\'data\', (chunk) => { data += chunk; });',
+    '  res.on(\'end\', () => console.log(res.statusCode, data));',
+    '});',
+    '',
+    'req.on(\'error\', (error) => console.error(error));',
+    ...write,
+  ].join('\n');
+};
+
+const generatePython = ({ method, url, headers, body, bodyType, fields, file }) => {
+  const json = parseJsonBody(body);
+  const lines = ['import requests', '', `url = ${JSON.stringify(url)}`];
+  const args = [JSON.stringify(method), 'url'];
+  if (headers.length > 0) {
+    lines.push(`headers = ${toPython(mergeHeaders(headers))}`);
+    args.push('headers=headers');
+  }
+  if (bodyType === 'multipart') {
+    const textFields = fields.filter(field => field.type !== 'file');
+    const fileFields = fields.filter(field => field.type === 'file');
+    if (textFields.length > 0) {
+      lines.push(`data = ${toPython(Object.fromEntries(textFields.map(field => [field.key, field.value])))}`);
+      args.push('data=data');
+    }
+    if (fileFields.length > 0) {
+      lines.push(`files = {\n${fileFields.map(field => `    ${JSON.stringify(field.key)}: open(${JSON.stringify(fileName(field))}, "rb")`).join(',\n')}\n}`);
+      args.push('files=files');
+    }
+  } else if (bodyType === 'binary') {
+    lines.push(`payload = open(${JSON.stringify(file?.name || 'file')}, "rb")`);
+    args.push('data=payload');
+  } else if (body) {
+    if (bodyType === 'json' && json !== undefined) {
+      lines.push(`payload = ${toPython(json)}`);
+      args.push('json=payload');
+    } else {
+      lines.push(`payload = ${JSON.stringify(body)}`);
+      args.push('data=payload');
+    }
+  }
+  lines.push('', `response = requests.request(${args.join(', ')})`, '', 'print(response.status_code)', 'print(response.text)');
+  return lines.join('\n');
+};
+
+export const SNIPPET_LANGUAGES = [
+  { id: 'curl', label: 'cURL', generate: generateCurl },
+  { id: 'fetch', label: 'JavaScript fetch', generate: generateFetch },
+  { id: 'axios', label: 'axios', generate: generateAxios },
+  { id: 'node', label: 'Node http', generate: generateNodeHttp },
+  { id: 'python', label: 'Python requests', generate: generatePython },
+];
+
+export const generateSnippet = (languageId, { url, fetchOptions, bodyType, resolved }) => {
+  const language = SNIPPET_LANGUAGES.find(lang => lang.id === languageId);
+  if (!language) throw new Error(`Unknown language: ${languageId}`);
+  const hasBody = fetchOptions.body !== undefined;
+  return language.generate({
+    method: fetchOptions.method,
+    url,
+    headers: headerEntries(fetchOptions.headers),
+    body: typeof fetchOptions.body === 'string' ? fetchOptions.body : '',
+    bodyType: hasBody ? bodyType : 'none',
+    fields: (resolved?.formFields || []).filter(field => field.enabled !== false && field.key),
+    file: fetchOptions.body instanceof Blob ? fetchOptions.body : null,
+  });
+};
@@ -0,0 +1,130 @@
+import { serializeRows, toRows } from './keyValue';
+import { inferBodyType, serializeFields } from './requestBody';
+import { normalizeAuth } from './auth';
+import { hasScripts, normalizeScripts } from './scripts';
+
+// Saved request collections, stored under their own `collection:` keys
+// so clearing the `request:` history never touches them
+const COLLECTION_PREFIX = 'collection:';
+
+export const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const createCollection = (name) => ({
+  id: createId(),
+  name,
+  items: [],
+  createdAt: new Date().toISOString(),
+});
+
+export const createFolder = (name) => ({
+  id: createId(),
+  type: 'folder',
+  name,
+  items: [],
+});
+
+export const createRequestItem = (name, request) => ({
+  id: createId(),
+  type: 'request',
+  name,
+  method: request.method,
+  url: request.url,
+  headers: serializeRows(toRows(request.headers)),
+  body: request.body || '',
+  bodyType: inferBodyType(request),
+  bodyContentType: request.bodyContentType || '',
+  formFields: serializeFields(request.formFields),
+  binaryFile: request.binaryFile || null,
+  ...(request.auth && request.auth.type !== 'none' ? { auth: normalizeAuth(request.auth) } : {}),
+  ...(hasScripts(request.scripts) ? { scripts: normalizeScripts(request.scripts) } : {}),
+  ...(request.timeout != null && request.timeout !== '' ? { timeout: Number(request.timeout) } : {}),
+  ...(request.retry?.enabled ? { retry: request.retry } : {}),
+  ...(request.proxy ? { proxy: true } : {}),
+  ...(request.protocols ? { protocols: request.protocols } : {}),
+});
+
+// Load every collection from localStorage, oldest first
+export const loadCollections = () => {
+  const collections = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(COLLECTION_PREFIX)) {
+      try {
+        const collection = JSON.parse(localStorage.getItem(key));
+        if (collection) collections.push(collection);
+      } catch (error) {
+        console.error(`Failed to parse ${key}:`, error);
+      }
+    }
+  }
+  return collections.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+};
+
+export const saveCollection = (collection) => {
+  localStorage.setItem(`${COLLECTION_PREFIX}${collection.id}`, JSON.stringify(collection));
+};
+
+export const deleteCollection = (id) => {
+  localStorage.removeItem(`${COLLECTION_PREFIX}${id}`);
+};
+
+// Give a node and all of its descendants fresh ids
+const cloneNode = (node) => ({
+  ...node,
+  id: createId(),
+  ...(node.items ? { items: node.items.map(cloneNode) } : {}),
+});
+
+// Apply fn to the node with the given id anywhere in the tree
+export const updateNode = (items, id, fn) => items.map(node => {
+  if (node.id === id) return fn(node);
+  if (node.items) return { ...node, items: updateNode(node.items, id, fn) };
+  return node;
+});
+
+export const removeNode = (items, id) => items
+  .filter(node => node.id !== id)
+  .map(node => (node.items ? { ...node, items: removeNode(node.items, id) } : node));
+
+// Append a node to a folder, or to the top level when parentId is null
+export const insertNode = (items, parentId, newNode) => {
+  if (!parentId) return [...items, newNode];
+  return updateNode(items, parentId, folder => ({ ...folder, items: [...folder.items, newNode] }));
+};
+
+// Insert a copy of a node directly after the original
+export const duplicateNode = (items, id) => {
+  const index = items.findIndex(node => node.id === id);
+  if (index !== -1) {
+    const copy = cloneNode(items[index]);
+    copy.name = `${items[index].name} Copy`;
+    return [...items.slice(0, index + 1), copy, ...items.slice(index + 1)];
+  }
+  return items.map(node => (node.items ? { ...node, items: duplicateNode(node.items, id) } : node));
+};
+
+// Move a node one step up (-1) or down (1) among its siblings
+export const moveNode = (items, id, direction) => {
+  const index = items.findIndex(node => node.id === id);
+  if (index !== -1) {
+    const target = index + direction;
+    if (target < 0 || target >= items.length) return items;
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    return reordered;
+  }
+  return items.map(node => (node.items ? { ...node, items: moveNode(node.items, id, direction) } : node));
+};
+
+// Flatten folders into { id, label } options for a "save to" picker
+export const listFolders = (items, prefix = '') => items
+  .filter(node => node.type === 'folder')
+  .flatMap(folder => {
+    const label = `${prefix}${folder.name}`;
+    return [{ id: folder.id, label }, ...listFolders(folder.items, `${label} / `)];
+  });
+
+// Flatten every saved request in tree order
+export const listRequests = (items) => items.flatMap(node =>
+  node.type === 'folder' ? listRequests(node.items) : [node]
+);
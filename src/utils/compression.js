@@ -0,0 +1,51 @@
+import { toBase64, fromBase64 } from './responseBody';
+
+// Gzip for response bodies kept in history. Compressed bodies are stored as
+// base64 in responseGzip instead of response, so they fit any string store.
+
+// Smaller bodies aren't worth the CPU or the base64 overhead
+export const COMPRESS_MIN_BYTES = 4 * 1024;
+
+// Size of text as UTF-8, the unit history sizes and limits are measured in
+export const byteLength = (text) => new TextEncoder().encode(text).length;
+
+// text cut to at most limit bytes, with its full size in bytes
+export const truncateToBytes = (text, limit) => {
+  const bytes = new TextEncoder().encode(text);
+  if (bytes.length <= limit) return { text, bytes: bytes.length };
+  // A character cut in half decodes as one replacement character
+  return { text: new TextDecoder().decode(bytes.subarray(0, limit)).replace(/\uFFFD$/, ''), bytes: bytes.length };
+};
+
+export const canCompress = () => typeof CompressionStream !== 'undefined';
+
+const pipeThrough = async (bytes, stream) => new Uint8Array(
+  await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer()
+);
+
+export const gzipText = async (text) => toBase64(await pipeThrough(new TextEncoder().encode(text), new CompressionStream('gzip')));
+
+export const gunzipText = async (base64) => new TextDecoder().decode(await pipeThrough(fromBase64(base64), new DecompressionStream('gzip')));
+
+// Compress an entry's response body if that makes it smaller
+export const compressResponse = async (item) => {
+  if (!canCompress() || typeof item.response !== 'string') return item;
+  const size = byteLength(item.response);
+  if (size < COMPRESS_MIN_BYTES) return item;
+  const compressed = await gzipText(item.response);
+  if (compressed.length >= size) return item;
+  const { response: _response, ...rest } = item;
+  return { ...rest, responseGzip: compressed };
+};
+
+// The entry as the app uses it, with its response body decompressed
+export const expandResponse = async (record) => {
+  if (!record?.responseGzip) return record;
+  const { responseGzip, ...rest } = record;
+  try {
+    return { ...rest, response: await gunzipText(responseGzip) };
+  } catch (error) {
+    console.error('Failed to decompress a history response:', error);
+    return { ...rest, response: '' };
+  }
+};
@@ -0,0 +1,291 @@
+import { findHeaderValue } from './keyValue';
+import { parseFormBody, toFieldRows } from './requestBody';
+import { createAuth } from './auth';
+
+// Parse a curl command line into the builder's method, url, headers and body
+// (JSON, raw, urlencoded form or multipart form)
+
+const isLosslessForm = (text) => (
+  text.split('&').every(part => part.includes('=')) && new URLSearchParams(text).toString() === text
+);
+
+// Flags that don't change the request a browser would send
+const IGNORED_FLAGS = new Set([
+  '-s', '--silent', '-S', '--show-error', '-v', '--verbose', '-i', '--include',
+  '-L', '--location', '--compressed', '-#', '--progress-bar', '-f', '--fail',
+]);
+
+// Flags we can't honour from a browser but that take a value we must skip
+const UNSUPPORTED_VALUE_FLAGS = new Set([
+  '-o', '--output', '-x', '--proxy', '--connect-timeout',
+  '--cacert', '--cert', '-E', '--key', '-w', '--write-out', '-T', '--upload-file',
+  '--retry', '-c', '--cookie-jar', '--resolve', '-r', '--range',
+]);
+
+const DATA_FLAGS = new Set(['-d', '--data', '--data-raw', '--data-binary', '--data-ascii', '--data-urlencode']);
+
+const FORM_FLAGS = new Set(['-F', '--form', '--form-string']);
+
+// Flags whose value is the next token (or attached, e.g. -XPOST / --data=x)
+const VALUE_FLAGS = new Set([
+  '-X', '--request', '-H', '--header', '-u', '--user', '-A', '--user-agent',
+  '-e', '--referer', '-b', '--cookie', '--url', '-m', '--max-time', ...DATA_FLAGS, ...FORM_FLAGS, ...UNSUPPORTED_VALUE_FLAGS,
+]);
+
+const BOOLEAN_FLAGS = new Set([...IGNORED_FLAGS, '-G', '--get', '-I', '--head', '-k', '--insecure']);
+
+// Split a shell command into words, honouring quotes, escapes and line continuations
+export const tokenize = (command) => {
+  const tokens = [];
+  let current = '';
+  let inToken = false;
+  let i = 0;
+  const input = command.replace(/\\\r?\n/g, ' ').replace(/\^\r?\n/g, ' ');
+
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      if (inToken) {
+        tokens.push(current);
+        current = '';
+        inToken = false;
+      }
+      i++;
+    } else if (char === '\'') {
+      const end = input.indexOf('\'', i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      current += input.slice(i + 1, end);
+      inToken = true;
+      i = end + 1;
+    } else if (char === '$' && input[i + 1] === '\'') {
+      // ANSI-C quoting: $'line\nbreak'
+      let j = i + 2;
+      while (j < input.length && input[j] !== '\'') {
+        if (input[j] === '\\' && j + 1 < input.length) {
+          const escaped = input[j + 1];
+          current += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped;
+          j += 2;
+        } else {
+          current += input[j++];
+        }
+      }
+      if (j >= input.length) throw new Error('Unterminated $\' quote');
+      inToken = true;
+      i = j + 1;
+    } else if (char === '"') {
+      let j = i + 1;
+      while (j < input.length && input[j] !== '"') {
+        if (input[j] === '\\' && '"\\$`'.includes(input[j + 1])) {
+          current += input[j + 1];
+          j += 2;
+        } else {
+          current += input[j++];
+        }
+      }
+      if (j >= input.length) throw new Error('Unterminated double quote');
+      inToken = true;
+      i = j + 1;
+    } else if (char === '\\' && i + 1 < input.length) {
+      current += input[i + 1];
+      inToken = true;
+      i += 2;
+    } else {
+      current += char;
+      inToken = true;
+      i++;
+    }
+  }
+  if (inToken) tokens.push(current);
+  return tokens;
+};
+
+// Expand "-sSL" into "-s -S -L" and "-XPOST" / "--data=x" into flag + value
+const expandFlags = (tokens) => tokens.flatMap(token => {
+  if (token.startsWith('--') && token.includes('=')) {
+    const index = token.indexOf('=');
+    const flag = token.slice(0, index);
+    if (VALUE_FLAGS.has(flag)) return [flag, token.slice(index + 1)];
+    return [token];
+  }
+  if (/^-[a-zA-Z#]./.test(token) && !token.startsWith('--')) {
+    const flag = token.slice(0, 2);
+    if (VALUE_FLAGS.has(flag)) return [flag, token.slice(2)];
+    const letters = token.slice(1).split('').map(letter => `-${letter}`);
+    if (letters.every(letter => BOOLEAN_FLAGS.has(letter) || VALUE_FLAGS.has(letter))) return letters;
+  }
+  return [token];
+});
+
+export const parseCurl = (command) => {
+  const tokens = expandFlags(tokenize(command.trim()));
+  if (tokens[0] !== 'curl') {
+    throw new Error('Command must start with "curl"');
+  }
+
+  let method = null;
+  let url = '';
+  let useGet = false;
+  let auth = null;
+  let timeout = null;
+  const headers = [];
+  const dataParts = [];
+  const formParts = [];
+  const warnings = [];
+
+  const setHeader = (line) => {
+    const index = line.indexOf(':');
+    if (index === -1) {
+      warnings.push(`Ignored malformed header "${line}"`);
+      return;
+    }
+    headers.push({ key: line.slice(0, index).trim(), value: line.slice(index + 1).trim(), enabled: true });
+  };
+
+  for (let i = 1; i < tokens.length; i++) {
+    const token = tokens[i];
+    const takesValue = VALUE_FLAGS.has(token);
+    const value = takesValue ? tokens[++i] : undefined;
+    if (takesValue && value === undefined) {
+      warnings.push(`Flag ${token} is missing its value`);
+      break;
+    }
+
+    if (token === '-X' || token === '--request') {
+      method = value.toUpperCase();
+    } else if (token === '-H' || token === '--header') {
+      setHeader(value);
+    } else if (DATA_FLAGS.has(token)) {
+      if (value.startsWith('@') && token !== '--data-raw') {
+        warnings.push(`${token} ${value}: reading the body from a file is not supported; paste the file contents into the body`);
+      } else if (token === '--data-urlencode') {
+        const index = value.indexOf('=');
+        dataParts.push(index === -1
+          ? encodeURIComponent(value)
+          : `${value.slice(0, index)}=${encodeURIComponent(value.slice(index + 1))}`);
+      } else {
+        dataParts.push(value);
+      }
+    } else if (FORM_FLAGS.has(token)) {
+      const index = value.indexOf('=');
+      if (index === -1) {
+        warnings.push(`Ignored malformed form field "${value}"`);
+        continue;
+      }
+      const key = value.slice(0, index);
+      const fieldValue = value.slice(index + 1);
+      if (token !== '--form-string' && fieldValue.startsWith('@')) {
+        // name=@path;type=... uploads a file, which has to be picked in the browser
+        const fileName = fieldValue.slice(1).split(';')[0].split('/').pop();
+        formParts.push({ key, value: '', type: 'file', file: null });
+        warnings.push(`Form field "${key}" uploads ${fileName}; choose the file in the body editor before sending`);
+      } else if (token !== '--form-string' && fieldValue.startsWith('<')) {
+        formParts.push({ key, value: '' });
+        warnings.push(`Form field "${key}" reads its value from ${fieldValue.slice(1)}; paste the contents into the field`);
+      } else {
+        formParts.push({ key, value: fieldValue });
+      }
+    } else if (token === '-u' || token === '--user') {
+      const index = value.indexOf(':');
+      auth = createAuth('basic');
+      auth.basic = index === -1
+        ? { username: value, password: '' }
+        : { username: value.slice(0, index), password: value.slice(index + 1) };
+    } else if (token === '-A' || token === '--user-agent') {
+      setHeader(`User-Agent: ${value}`);
+      warnings.push('Browsers do not allow overriding User-Agent; the header may be dropped');
+    } else if (token === '-e' || token === '--referer') {
+      setHeader(`Referer: ${value}`);
+    } else if (token === '-b' || token === '--cookie') {
+      if (value.includes('=')) {
+        setHeader(`Cookie: ${value}`);
+        warnings.push('Browsers do not allow setting the Cookie header; it will likely be dropped');
+      } else {
+        warnings.push(`${token} ${value}: reading cookies from a file is not supported`);
+      }
+    } else if (token === '--url') {
+      url = value;
+    } else if (token === '-m' || token === '--max-time') {
+      const seconds = Number(value);
+      if (Number.isFinite(seconds) && seconds >= 0) timeout = Math.round(seconds * 1000);
+      else warnings.push(`${token} ${value}: not a number of seconds`);
+    } else if (token === '-G' || token === '--get') {
+      useGet = true;
+    } else if (token === '-I' || token === '--head') {
+      method = 'HEAD';
+    } else if (token === '-k' || token === '--insecure') {
+      warnings.push(`${token}: browsers cannot skip TLS certificate verification`);
+    } else if (UNSUPPORTED_VALUE_FLAGS.has(token)) {
+      warnings.push(`Unsupported flag ${token} ${value} was ignored`);
+    } else if (IGNORED_FLAGS.has(token)) {
+      continue;
+    } else if (token.startsWith('-')) {
+      warnings.push(`Unsupported flag ${token} was ignored`);
+    } else if (!url) {
+      url = token;
+    } else {
+      warnings.push(`Unexpected argument "${token}" was ignored`);
+    }
+  }
+
+  if (!url) {
+    throw new Error('No URL found in curl command');
+  }
+  if (!/^[a-z][a-z\d+.-]*:\/\//i.test(url)) {
+    url = `http://${url}`;
+  }
+
+  let body = dataParts.join('&');
+  if (useGet && body) {
+    url += `${url.includes('?') ? '&' : '?'}${body}`;
+    body = '';
+  }
+  if (!method) {
+    method = body || formParts.length > 0 ? 'POST' : 'GET';
+  }
+  const contentType = findHeaderValue(headers, 'Content-Type');
+  let bodyType = body ? 'raw' : 'none';
+  let bodyContentType = contentType || 'text/plain';
+  let formFields = [];
+  if (formParts.length > 0) {
+    if (body) warnings.push('curl cannot combine -d and -F; the -d data was dropped');
+    bodyType = 'multipart';
+    body = '';
+    formFields = toFieldRows(formParts);
+    if (contentType?.toLowerCase().startsWith('multipart/form-data')) {
+      // The browser has to generate the boundary itself
+      warnings.push('Removed the Content-Type header so the browser can set the multipart boundary');
+      headers.splice(headers.findIndex(header => header.key.toLowerCase() === 'content-type'), 1);
+    }
+  } else if (body && (!contentType || contentType.toLowerCase().startsWith('application/x-www-form-urlencoded'))) {
+    // curl sends -d data as a urlencoded form unless told otherwise. Only data
+    // that form rows encode back to byte for byte becomes rows; anything else
+    // (JSON, or values encoded differently) is sent exactly as given.
+    if (isLosslessForm(body)) {
+      bodyType = 'urlencoded';
+      formFields = parseFormBody(body);
+    } else {
+      bodyContentType = 'application/x-www-form-urlencoded';
+      if (!contentType) headers.push({ key: 'Content-Type', value: bodyContentType, enabled: true });
+    }
+  } else if (body && /[/+]json\b/i.test(contentType)) {
+    try {
+      JSON.parse(body);
+      bodyType = 'json';
+    } catch {
+      warnings.push('The body is labelled as JSON but does not parse; it was kept as raw text');
+    }
+  }
+
+  return {
+    method,
+    url,
+    headers,
+    body,
+    bodyType,
+    bodyContentType,
+    formFields,
+    auth,
+    timeout,
+    warnings,
+  };
+};
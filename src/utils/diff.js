@@ -0,0 +1,295 @@
+import { headerEntries } from './keyValue';
+
+// Compare two history entries: status, duration, headers, a structural diff
+// of JSON bodies and a line diff of any text body. With ignoreVolatile,
+// differences in fields that change on every call (timestamps, IDs, dates,
+// request ids) are left out and counted instead.
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Key words that mark a field as volatile: userId, created_at, requestTimestamp...
+const VOLATILE_WORDS = new Set([
+  'id', 'ids', 'uuid', 'guid', 'nonce', 'etag', 'timestamp', 'ts', 'date', 'time',
+  'created', 'updated', 'modified', 'expires', 'expiry', 'trace', 'span',
+]);
+
+const keyWords = (key) => String(key)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+export const isVolatileKey = (key) => keyWords(key).some(word => VOLATILE_WORDS.has(word));
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Values that look like timestamps or generated ids whatever their key
+export const isVolatileValue = (value) => typeof value === 'string' && (ISO_DATE.test(value) || UUID.test(value));
+
+// Headers that differ between any two calls to the same endpoint
+const VOLATILE_HEADERS = new Set([
+  'date', 'age', 'etag', 'expires', 'last-modified', 'set-cookie', 'server-timing', 'report-to', 'nel',
+  'x-request-id', 'x-correlation-id', 'request-id', 'x-amzn-requestid', 'x-amzn-trace-id', 'x-amz-cf-id',
+  'cf-ray', 'traceparent', 'tracestate', 'x-runtime', 'x-response-time',
+]);
+
+// JSON with sorted keys, so equal values always serialize the same way.
+// With ignoreVolatile, volatile fields are dropped first.
+const canonical = (value, ignoreVolatile) => JSON.stringify(value, (key, inner) => {
+  if (!isObject(inner)) return inner;
+  return Object.fromEntries(Object.keys(inner)
+    .filter(name => !(ignoreVolatile && isVolatileKey(name)))
+    .sort()
+    .map(name => [name, inner[name]]));
+});
+
+const childPath = (path, key) => (/^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`);
+
+// Longest common subsequence of two lists of strings, as [i, j] index pairs.
+// Returns null when the lists are too large for the table.
+const MAX_LCS_CELLS = 2_000_000;
+
+const lcsPairs = (before, after) => {
+  const n = before.length;
+  const m = after.length;
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) return null;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = before[i] === after[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+// Fields that identify array items, tried in order
+const IDENTITY_KEYS = ['id', '_id', 'uuid', 'key', 'name'];
+
+const identityKey = (before, after) => IDENTITY_KEYS.find(key => [before, after].every(items => {
+  if (!items.every(item => isObject(item) && item[key] != null && typeof item[key] !== 'object')) return false;
+  return new Set(items.map(item => String(item[key]))).size === items.length;
+}));
+
+const createDiffer = (ignoreVolatile) => {
+  const changes = [];
+  let ignored = 0;
+
+  const push = (change) => {
+    const volatileValues = change.type === 'changed' && isVolatileValue(change.before) && isVolatileValue(change.after);
+    if (ignoreVolatile && volatileValues) ignored++;
+    else changes.push(change);
+  };
+
+  const diffArrays = (before, after, path) => {
+    // Items with an id (or key, name...) are matched by it, wherever they moved
+    const key = before.length > 0 && after.length > 0 ? identityKey(before, after) : undefined;
+    if (key) {
+      const previous = new Map(before.map(item => [String(item[key]), item]));
+      const matched = new Set();
+      after.forEach(item => {
+        const id = String(item[key]);
+        const itemPath = `${path}[${key}=${JSON.stringify(item[key])}]`;
+        if (previous.has(id)) {
+          matched.add(id);
+          diffValues(previous.get(id), item, itemPath);
+        } else {
+          push({ path: itemPath, type: 'added', after: item });
+        }
+      });
+      before.forEach(item => {
+        if (!matched.has(String(item[key]))) push({ path: `${path}[${key}=${JSON.stringify(item[key])}]`, type: 'removed', before: item });
+      });
+      return;
+    }
+
+    // Otherwise equal items are lined up so an insertion doesn't show as
+    // every later item changing; the gaps between them are paired in order
+    const pairs = lcsPairs(
+      before.map(item => canonical(item, ignoreVolatile)),
+      after.map(item => canonical(item, ignoreVolatile)),
+    ) || [];
+    let i = 0;
+    let j = 0;
+    for (const [nextI, nextJ] of [...pairs, [before.length, after.length]]) {
+      while (i < nextI && j < nextJ) {
+        diffValues(before[i], after[j], `${path}[${j}]`);
+        i++;
+        j++;
+      }
+      for (; i < nextI; i++) push({ path: `${path}[${i}]`, type: 'removed', before: before[i] });
+      for (; j < nextJ; j++) push({ path: `${path}[${j}]`, type: 'added', after: after[j] });
+      if (i < before.length && j < after.length) diffValues(before[i], after[j], `${path}[${j}]`);
+      i++;
+      j++;
+    }
+  };
+
+  const diffValues = (before, after, path) => {
+    if (Array.isArray(before) && Array.isArray(after)) {
+      diffArrays(before, after, path);
+    } else if (isObject(before) && isObject(after)) {
+      const keys = [...Object.keys(before), ...Object.keys(after).filter(key => !(key in before))];
+      keys.forEach(key => {
+        if (ignoreVolatile && isVolatileKey(key)) {
+          if (canonical(before[key]) !== canonical(after[key])) ignored++;
+          return;
+        }
+        const keyPath = childPath(path, key);
+        if (!(key in after)) push({ path: keyPath, type: 'removed', before: before[key] });
+        else if (!(key in before)) push({ path: keyPath, type: 'added', after: after[key] });
+        else diffValues(before[key], after[key], keyPath);
+      });
+    } else if (canonical(before) !== canonical(after)) {
+      push({ path, type: 'changed', before, after });
+    }
+  };
+
+  return { diffValues, result: () => ({ changes, ignored }) };
+};
+
+// Structural diff of two parsed JSON values: a list of
+// { path, type: 'added' | 'removed' | 'changed', before, after }
+export const diffJson = (before, after, { ignoreVolatile = false } = {}) => {
+  const differ = createDiffer(ignoreVolatile);
+  differ.diffValues(before, after, '$');
+  return differ.result();
+};
+
+// Mask volatile values in a line of text so lines differing only by them match
+const maskVolatile = (line) => line
+  .replace(/"([^"\\]+)"(\s*:\s*)("(?:[^"\\]|\\.)*"|-?\d[\d.eE+-]*)/g, (match, key, colon) => (
+    isVolatileKey(key) ? `"${key}"${colon}"…"` : match
+  ))
+  .replace(/\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '…')
+  .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '…');
+
+// Line diff of two texts: a list of { type: 'same' | 'removed' | 'added',
+// text, before, after } where before/after are 1-based line numbers
+export const diffLines = (beforeText, afterText, { ignoreVolatile = false } = {}) => {
+  const before = (beforeText || '').split('\n');
+  const after = (afterText || '').split('\n');
+  const compare = (lines) => (ignoreVolatile ? lines.map(maskVolatile) : lines);
+  const left = compare(before);
+  const right = compare(after);
+
+  // Only the middle between a shared prefix and suffix needs the LCS table
+  let start = 0;
+  while (start < left.length && start < right.length && left[start] === right[start]) start++;
+  let end = 0;
+  while (
+    end < left.length - start && end < right.length - start
+    && left[left.length - 1 - end] === right[right.length - 1 - end]
+  ) end++;
+  const middle = lcsPairs(left.slice(start, left.length - end), right.slice(start, right.length - end));
+  // Too large to align: show the middle as removed then added
+  const pairs = [
+    ...Array.from({ length: start }, (_, index) => [index, index]),
+    ...(middle || []).map(([i, j]) => [i + start, j + start]),
+    ...Array.from({ length: end }, (_, index) => [left.length - end + index, right.length - end + index]),
+  ];
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  for (const [nextI, nextJ] of [...pairs, [before.length, after.length]]) {
+    for (; i < nextI; i++) lines.push({ type: 'removed', text: before[i], before: i + 1 });
+    for (; j < nextJ; j++) lines.push({ type: 'added', text: after[j], after: j + 1 });
+    if (i < before.length && j < after.length) {
+      // Lines matched only after masking keep both texts
+      const textAfter = after[j] !== before[i] ? { textAfter: after[j] } : {};
+      lines.push({ type: 'same', text: before[i], ...textAfter, before: i + 1, after: j + 1 });
+    }
+    i++;
+    j++;
+  }
+  return lines;
+};
+
+// Pair up removed and added runs so a line diff can be shown in two columns
+export const toSideBySide = (lines) => {
+  const rows = [];
+  let removed = [];
+  let added = [];
+  const flush = () => {
+    for (let index = 0; index < Math.max(removed.length, added.length); index++) {
+      rows.push({ left: removed[index] || null, right: added[index] || null });
+    }
+    removed = [];
+    added = [];
+  };
+  lines.forEach(line => {
+    if (line.type === 'removed') removed.push(line);
+    else if (line.type === 'added') added.push(line);
+    else {
+      flush();
+      rows.push({ left: line, right: line.textAfter === undefined ? line : { ...line, text: line.textAfter } });
+    }
+  });
+  flush();
+  return rows;
+};
+
+// Header names compare case-insensitively; repeated headers are joined
+const headerMap = (headers) => {
+  const map = new Map();
+  headerEntries(headers).forEach(([key, value]) => {
+    const name = key.toLowerCase();
+    map.set(name, map.has(name) ? `${map.get(name)}, ${value}` : value);
+  });
+  return map;
+};
+
+export const diffHeaders = (before, after, { ignoreVolatile = false } = {}) => {
+  const left = headerMap(before);
+  const right = headerMap(after);
+  const names = [...left.keys(), ...[...right.keys()].filter(name => !left.has(name))];
+  let ignored = 0;
+  let unchanged = 0;
+  const changes = [];
+  names.forEach(name => {
+    const type = !right.has(name) ? 'removed' : !left.has(name) ? 'added' : left.get(name) !== right.get(name) ? 'changed' : 'same';
+    if (type === 'same') unchanged++;
+    else if (ignoreVolatile && VOLATILE_HEADERS.has(name)) ignored++;
+    else changes.push({ name, type, before: left.get(name), after: right.get(name) });
+  });
+  return { changes, ignored, unchanged };
+};
+
+const parseJson = (text) => {
+  try {
+    return { value: JSON.parse(text) };
+  } catch {
+    return null;
+  }
+};
+
+// Everything the compare view shows for two history entries, older first
+export const compareHistoryItems = (before, after, options = {}) => {
+  const beforeJson = parseJson(before.response || '');
+  const afterJson = parseJson(after.response || '');
+  return {
+    status: { before: before.statusCode, after: after.statusCode, changed: before.statusCode !== after.statusCode },
+    duration: { before: before.duration, after: after.duration, delta: (after.duration ?? 0) - (before.duration ?? 0) },
+    headers: diffHeaders(before.responseHeaders, after.responseHeaders, options),
+    json: beforeJson && afterJson ? diffJson(beforeJson.value, afterJson.value, options) : null,
+    lines: diffLines(before.response, after.response, options),
+  };
+};
@@ -0,0 +1,24 @@
+// Trigger a browser download for generated content
+export const downloadFile = (filename, content, type = 'application/json') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const href = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = href;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(href), 0);
+};
+
+// Read a File picked from an <input type="file"> as text
+export const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+// Make a string safe to use as a filename
+export const toFilename = (name, extension) =>
+  `${(name || 'export').replace(/[^\w.-]+/g, '_')}.${extension}`;
@@ -0,0 +1,100 @@
+import { headerEntries } from './keyValue';
+
+// Named environments: sets of key/value variables resolved into {{placeholders}}
+const STORAGE_KEY = 'environments';
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+export const createEnvironment = (name) => ({
+  id: Date.now(),
+  name,
+  variables: [{ key: 'baseUrl', value: '' }],
+});
+
+// Load environments and the active id from localStorage
+export const loadEnvironments = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) {
+      const parsed = JSON.parse(stored);
+      return {
+        environments: Array.isArray(parsed.environments) ? parsed.environments : [],
+        activeId: parsed.activeId ?? null,
+      };
+    }
+  } catch (error) {
+    console.error('Failed to load environments:', error);
+  }
+  return { environments: [], activeId: null };
+};
+
+export const saveEnvironments = (environments, activeId) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ environments, activeId }));
+  } catch (error) {
+    console.error('Failed to save environments:', error);
+  }
+};
+
+// Flatten an environment's variable rows into a lookup object
+export const getVariableMap = (environment) => {
+  if (!environment) return {};
+  return environment.variables.reduce((acc, { key, value }) => {
+    if (key && key.trim()) acc[key.trim()] = value ?? '';
+    return acc;
+  }, {});
+};
+
+// Names of all {{variables}} referenced in a string
+export const findVariables = (text) => {
+  if (typeof text !== 'string') return [];
+  return [...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+};
+
+// Replace {{variables}} in a string, collecting any that are undefined
+export const resolveTemplate = (text, variables, missing = new Set()) => {
+  if (typeof text !== 'string') return text;
+  return text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      return String(variables[name]);
+    }
+    missing.add(name);
+    return placeholder;
+  });
+};
+
+// Resolve the URL, every enabled header name/value and the raw body of a request.
+// Headers come back as [key, value] pairs so repeated names survive.
+export const resolveRequest = ({ url, headers, body }, variables) => {
+  const missing = new Set();
+  const resolvedHeaders = headerEntries(headers).map(([key, value]) => [
+    resolveTemplate(key, variables, missing),
+    resolveTemplate(value, variables, missing),
+  ]);
+  return {
+    url: resolveTemplate(url, variables, missing),
+    headers: resolvedHeaders,
+    body: resolveTemplate(body, variables, missing),
+    missing: [...missing],
+  };
+};
+
+// Variables referenced by the raw builder fields but not defined in the environment
+export const findMissingVariables = (fields, variables) => {
+  const names = fields.flatMap(findVariables);
+  return [...new Set(names)].filter(name => !Object.prototype.hasOwnProperty.call(variables, name));
+};
+
+// Apply variable changes made by a script: a string sets the variable,
+// null removes it. Unknown names are appended as new rows.
+export const applyVariableChanges = (environment, changes) => {
+  const names = Object.keys(changes);
+  if (names.length === 0) return environment;
+  const variables = environment.variables
+    .filter(({ key }) => changes[key?.trim()] !== null)
+    .map(row => (typeof changes[row.key?.trim()] === 'string' ? { ...row, value: changes[row.key.trim()] } : row));
+  const existing = new Set(variables.map(({ key }) => key?.trim()));
+  names
+    .filter(name => changes[name] !== null && !existing.has(name))
+    .forEach(name => variables.push({ key: name, value: changes[name] }));
+  return { ...environment, variables };
+};
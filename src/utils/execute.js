@@ -0,0 +1,197 @@
+import { prepareRequest } from './request';
+import { parseHeaderJson, serializeRows, toRows } from './keyValue';
+import { resolveAuth } from './auth';
+import { getAccessToken } from './oauth';
+import { startTimingCapture, readBody, inspectResponse } from './responseInfo';
+import { createResponseBody } from './responseBody';
+import { normalizeScripts, runScript } from './scripts';
+import { retryDelay, waitForRetry } from './retry';
+import { proxyFetch } from './proxy';
+import { matchMockRoute, mockFetch } from './mocks';
+
+// Apply script variable changes (null removes) to a variable map
+export const withVariableChanges = (variables, changes) => {
+  const next = { ...variables };
+  Object.entries(changes).forEach(([name, value]) => {
+    if (value === null) delete next[name];
+    else next[name] = value;
+  });
+  return next;
+};
+
+// Outcomes of requests that never got a response, besides plain errors
+export const OUTCOME_LABELS = { cancelled: 'Cancelled', timeout: 'Timed out' };
+
+export const errorOutcome = (error) => {
+  if (error.name === 'AbortError') return 'cancelled';
+  if (error.name === 'TimeoutError') return 'timeout';
+  return 'error';
+};
+
+// Fetch and read the body, aborting when the caller's signal fires or the
+// timeout (ms, 0 for none) passes. The rejection is an AbortError or a
+// TimeoutError so errorOutcome can tell them apart. A request matching one
+// of mocks is answered by it; otherwise with proxy set the request goes
+// through the local proxy.
+const fetchWithTimeout = async (url, options, { signal, timeout, proxy = false, mocks = null }) => {
+  const controller = new AbortController();
+  const cancel = () => controller.abort(new DOMException('Request was cancelled', 'AbortError'));
+  if (signal?.aborted) cancel();
+  else signal?.addEventListener('abort', cancel, { once: true });
+  const timer = timeout > 0
+    ? setTimeout(() => controller.abort(new DOMException(`Request timed out after ${timeout} ms`, 'TimeoutError')), timeout)
+    : null;
+  try {
+    const mock = matchMockRoute(mocks, options.method, url);
+    const send = mock ? (target, init) => mockFetch(mock, target, init) : proxy ? proxyFetch : fetch;
+    const response = await send(url, { ...options, signal: controller.signal });
+    const headersAt = performance.now();
+    const body = await readBody(response);
+    return { response, headersAt, ...body };
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
+  }
+};
+
+// Send one request the way the Send button does: pre-request script, variable
+// resolution, OAuth token, fetch (retried per request.retry), response
+// inspection and test script. Shared by sendRequest and the collection runner.
+// Script variable changes are handed to onVariableChanges so the caller can
+// save them to an environment; without it they only apply to this send.
+// signal cancels the request and timeout (ms) limits each attempt.
+// request.proxy sends it through the local proxy (see proxy.js), and mock
+// routes (see mocks.js) answer matching requests instead of the network.
+// Every attempt is listed in attempts, with its status or error, timing and
+// the wait before the next one. Errors carry the script results and attempts
+// gathered so far as error.scriptResults and error.attempts.
+export const executeRequest = async (request, variables, { onVariableChanges, signal, timeout = 0, mocks = null } = {}) => {
+  const scripts = normalizeScripts(request.scripts);
+  // The editor's headers, before any script edits; this is what history keeps
+  const headerRows = typeof request.headers === 'string' ? parseHeaderJson(request.headers) : toRows(request.headers);
+  let requestVariables = variables;
+  let variableChanges = {};
+  let scriptResults = null;
+  const attempts = [];
+
+  const runPhase = async (phase, scriptRequest, response) => {
+    const result = await runScript({ phase, code: scripts[phase], request: scriptRequest, response, variables: requestVariables });
+    if (Object.keys(result.variableChanges).length > 0) {
+      if (onVariableChanges) {
+        onVariableChanges(result.variableChanges);
+      } else {
+        result.logs.push({ level: 'warn', message: 'No environment is selected, so variable changes only apply to this request' });
+      }
+      requestVariables = withVariableChanges(requestVariables, result.variableChanges);
+      variableChanges = { ...variableChanges, ...result.variableChanges };
+    }
+    scriptResults = { preRequest: null, test: null, ...scriptResults, [phase]: result };
+    return result;
+  };
+
+  try {
+    // The pre-request script sees the unresolved request and can change
+    // variables, headers and the URL for this send
+    let sendable = request;
+    if (scripts.preRequest.trim()) {
+      const preRequest = await runPhase('preRequest', {
+        method: request.method,
+        url: request.url,
+        headers: headerRows,
+        body: request.body || '',
+      }, null);
+      if (preRequest.error) throw new Error(`Pre-request script failed: ${preRequest.error}`);
+      sendable = { ...request, url: preRequest.request.url, headers: preRequest.request.headers };
+    }
+
+    // Validate and resolve the request, then fetch an OAuth token if needed.
+    // The token request is cancelled, timed out, mocked and proxied like the
+    // request itself.
+    prepareRequest(sendable, requestVariables);
+    const sendTokenRequest = (url, options) => fetchWithTimeout(url, options, { signal, timeout, proxy: Boolean(request.proxy), mocks });
+    const accessToken = request.auth?.type === 'oauth2'
+      ? (await getAccessToken(resolveAuth(request.auth, requestVariables).oauth2, sendTokenRequest)).accessToken
+      : undefined;
+    const { url: requestUrl, fetchOptions, resolved } = prepareRequest(sendable, requestVariables, { accessToken });
+
+    let sent = null;
+    let startedAt;
+    let finishedAt;
+    for (let attempt = 1; !sent; attempt++) {
+      startedAt = startTimingCapture();
+      const record = { attempt, startedAt: new Date().toISOString() };
+      let result = null;
+      let failure = null;
+      let wait;
+      try {
+        result = await fetchWithTimeout(requestUrl, fetchOptions, { signal, timeout, proxy: Boolean(request.proxy), mocks });
+        const { status, statusText, headers } = result.response;
+        wait = retryDelay(request.retry, attempt, { status, retryAfter: headers.get('retry-after') });
+        Object.assign(record, { status, statusText });
+      } catch (error) {
+        failure = error;
+        const outcome = errorOutcome(error);
+        wait = outcome === 'cancelled' ? null : retryDelay(request.retry, attempt, { outcome });
+        Object.assign(record, { outcome, error: error.message });
+      }
+      // Duration covers the download only, not formatting the body
+      finishedAt = performance.now();
+      record.duration = Math.round(finishedAt - startedAt);
+      if (wait !== null) record.wait = wait;
+      attempts.push(record);
+      if (wait !== null) await waitForRetry(wait, signal);
+      else if (failure) throw failure;
+      else sent = result;
+    }
+    const { response, headersAt, data, text, bytes } = sent;
+    const meta = await inspectResponse(response, {
+      requestUrl,
+      bodyBytes: bytes,
+      startedAt,
+      headersAt,
+      finishedAt,
+    });
+    const body = createResponseBody({
+      bytes: data,
+      contentType: response.headers.get('content-type'),
+      contentDisposition: response.headers.get('content-disposition'),
+      url: response.url || requestUrl,
+    });
+
+    // Test scripts run against the response as received
+    if (scripts.test.trim()) {
+      await runPhase('test', {
+        method: request.method,
+        url: resolved.url,
+        headers: resolved.headers,
+        body: resolved.body,
+      }, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: meta.responseHeaders,
+        body: text,
+        responseTime: meta.timing.total,
+        responseSize: bytes,
+      });
+    }
+
+    return {
+      response,
+      text,
+      bytes,
+      body,
+      meta,
+      duration: meta.timing.total,
+      parsedHeaders: serializeRows(headerRows),
+      resolved,
+      scriptResults,
+      variableChanges,
+      attempts,
+    };
+  } catch (error) {
+    error.scriptResults = scriptResults;
+    error.variableChanges = variableChanges;
+    error.attempts = attempts;
+    throw error;
+  }
+};
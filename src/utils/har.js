@@ -0,0 +1,273 @@
+import { createCollection, createRequestItem } from './collections';
+import { headerEntries, findHeaderValue } from './keyValue';
+import { parseFormBody, serializeFields } from './requestBody';
+import { classifyBody, createResponseBody, fromBase64, isBinaryKind, summarizeBinaryBody } from './responseBody';
+import { formatBytes } from './responseInfo';
+import { OUTCOME_LABELS } from './execute';
+
+// HAR 1.2 export of history entries and import of devtools captures
+const CREATOR = { name: 'REST API Client', version: '1.0' };
+
+const toNameValue = (headers) => headerEntries(headers).map(([name, value]) => ({ name, value }));
+
+const byteLength = (text) => (text ? new TextEncoder().encode(text).length : 0);
+
+const guessMimeType = (text) => {
+  try {
+    JSON.parse(text);
+    return 'application/json';
+  } catch {
+    return 'text/plain';
+  }
+};
+
+// HAR timings from the inspector's phases; -1 marks a phase that wasn't measured
+const toHarTimings = (item) => {
+  const phases = item.timing?.phases;
+  if (!phases) return { send: 0, wait: item.duration || 0, receive: 0 };
+  const duration = (id) => (phases[id] ? phases[id].duration : -1);
+  const connect = phases.connect ? phases.connect.duration + (phases.tls?.duration || 0) : -1;
+  return {
+    blocked: -1,
+    dns: duration('dns'),
+    connect,
+    ssl: duration('tls'),
+    send: 0,
+    wait: Math.max(0, duration('ttfb')),
+    receive: Math.max(0, duration('download')),
+  };
+};
+
+// And back: lay the HAR phases out one after another
+const fromHarTimings = (timings, total) => {
+  if (!timings) return null;
+  const phases = {};
+  let offset = Math.max(0, timings.blocked || 0);
+  const addPhase = (id, duration) => {
+    if (duration == null || duration < 0) return;
+    phases[id] = { start: offset, duration };
+    offset += duration;
+  };
+  addPhase('dns', timings.dns);
+  const ssl = timings.ssl > 0 ? timings.ssl : 0;
+  // HAR counts TLS inside connect
+  addPhase('connect', timings.connect >= 0 ? timings.connect - ssl : -1);
+  addPhase('tls', ssl || -1);
+  addPhase('ttfb', (timings.send || 0) + (timings.wait || 0));
+  addPhase('download', timings.receive);
+  return { total: Math.round(total || offset), source: 'har', phases };
+};
+
+const toHarCookies = (cookies) => (cookies || [])
+  .filter(cookie => cookie.source !== 'document')
+  .map(({ name, value, path, domain, expires, httpOnly, secure }) => ({
+    name,
+    value,
+    ...(path ? { path } : {}),
+    ...(domain ? { domain } : {}),
+    ...(expires ? { expires } : {}),
+    ...(httpOnly ? { httpOnly } : {}),
+    ...(secure ? { secure } : {}),
+  }));
+
+// Convert one history item into a HAR entry, using the resolved request when available
+const toHarEntry = (item) => {
+  const url = item.resolved?.url || item.url;
+  const requestHeaders = item.resolved?.headers || item.headers || {};
+  const requestBody = item.resolved?.body ?? item.body ?? '';
+  const responseText = item.response || '';
+  const responseHeaders = item.responseHeaders || {};
+  let queryString = [];
+  try {
+    queryString = [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    queryString = [];
+  }
+
+  const request = {
+    method: item.method,
+    url,
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: toNameValue(requestHeaders),
+    queryString,
+    headersSize: -1,
+    bodySize: byteLength(requestBody),
+  };
+  if (item.bodyType === 'multipart') {
+    // FormData bodies have no text; HAR describes them as params
+    const fields = (item.resolved?.formFields || item.formFields || []).filter(field => field.enabled !== false && field.key);
+    request.postData = {
+      mimeType: 'multipart/form-data',
+      params: fields.map(field => (field.type === 'file'
+        ? { name: field.key, fileName: field.file?.name || '', contentType: field.file?.type || 'application/octet-stream' }
+        : { name: field.key, value: field.value })),
+    };
+  } else if (item.bodyType === 'binary') {
+    request.postData = { mimeType: item.binaryFile?.type || 'application/octet-stream', text: '' };
+  } else if (requestBody) {
+    request.postData = {
+      mimeType: findHeaderValue(requestHeaders, 'Content-Type') || guessMimeType(requestBody),
+      text: requestBody,
+    };
+  }
+
+  return {
+    startedDateTime: item.timestamp,
+    time: item.duration || 0,
+    request,
+    response: {
+      status: item.statusCode ?? 0,
+      statusText: item.statusText || '',
+      httpVersion: 'HTTP/1.1',
+      cookies: toHarCookies(item.cookies),
+      headers: toNameValue(responseHeaders),
+      // Binary bodies carry the (possibly truncated) sample history kept
+      content: item.responseBody
+        ? {
+          size: item.responseBody.size,
+          mimeType: item.responseBody.contentType || 'application/octet-stream',
+          text: item.responseBody.sample,
+          encoding: 'base64',
+          ...(item.responseBody.truncated ? { comment: 'Truncated: history keeps only the start of binary bodies' } : {}),
+        }
+        : {
+          size: item.responseSize?.body ?? byteLength(responseText),
+          mimeType: findHeaderValue(responseHeaders, 'Content-Type') || guessMimeType(responseText),
+          text: responseText,
+        },
+      redirectURL: '',
+      ...(OUTCOME_LABELS[item.outcome] ? { comment: OUTCOME_LABELS[item.outcome] } : {}),
+      headersSize: -1,
+      bodySize: item.responseSize?.encoded ?? byteLength(responseText),
+    },
+    cache: {},
+    timings: toHarTimings(item),
+  };
+};
+
+export const historyToHar = (items) => ({
+  log: {
+    version: '1.2',
+    creator: CREATOR,
+    entries: items.map(toHarEntry),
+  },
+});
+
+// HTTP/2 captures include pseudo headers such as ":authority" that fetch rejects
+const fromNameValue = (list) => (list || [])
+  .filter(({ name }) => name && !name.startsWith(':'))
+  .map(({ name, value }) => ({ key: name, value: value ?? '', enabled: true }));
+
+// Base64 content that isn't text becomes a binary summary like sendRequest saves
+const binaryContent = (content) => {
+  if (!content?.text || content.encoding !== 'base64') return null;
+  const kind = classifyBody(content.mimeType);
+  if (!isBinaryKind(kind)) return null;
+  try {
+    return summarizeBinaryBody(createResponseBody({ bytes: fromBase64(content.text), contentType: content.mimeType }));
+  } catch {
+    return null;
+  }
+};
+
+const decodeContent = (content) => {
+  if (!content || content.text == null) return '';
+  if (content.encoding !== 'base64') return content.text;
+  try {
+    return new TextDecoder().decode(Uint8Array.from(atob(content.text), char => char.charCodeAt(0)));
+  } catch {
+    return '[binary content not imported]';
+  }
+};
+
+// Devtools captures mark each entry with its resource type; keep only API calls when asked
+const isApiCall = (entry) => !entry._resourceType || ['xhr', 'fetch'].includes(entry._resourceType);
+
+export const parseHar = (json, { apiOnly = false } = {}) => {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data?.log || !Array.isArray(data.log.entries)) {
+    throw new Error('Not a HAR file: missing "log.entries"');
+  }
+  return data.log.entries.filter(entry => !apiOnly || isApiCall(entry));
+};
+
+// A captured multipart Content-Type carries the old boundary; the browser must set a new one
+const requestHeadersOf = (request) => fromNameValue(request.headers).filter(header => !(
+  header.key.toLowerCase() === 'content-type' && header.value.toLowerCase().startsWith('multipart/form-data')
+));
+
+// Map HAR postData onto the builder's body fields
+const bodyFromPostData = (postData) => {
+  if (!postData) return { body: '', bodyType: 'none' };
+  const mimeType = (postData.mimeType || '').toLowerCase();
+  const text = postData.text || '';
+  if (mimeType.startsWith('multipart/form-data')) {
+    return {
+      body: '',
+      bodyType: 'multipart',
+      formFields: (postData.params || []).map(param => (param.fileName
+        ? { key: param.name, value: '', type: 'file', file: null }
+        : { key: param.name, value: param.value ?? '' })),
+    };
+  }
+  if (mimeType.startsWith('application/x-www-form-urlencoded')) {
+    return {
+      body: text,
+      bodyType: 'urlencoded',
+      formFields: postData.params?.length
+        ? postData.params.map(param => ({ key: param.name, value: param.value ?? '' }))
+        : serializeFields(parseFormBody(text)),
+    };
+  }
+  if (!text) return { body: '', bodyType: 'none' };
+  if (mimeType.includes('json')) return { body: text, bodyType: 'json' };
+  return { body: text, bodyType: 'raw', bodyContentType: postData.mimeType };
+};
+
+// Turn HAR entries into history items with the same shape sendRequest saves
+export const harToHistoryItems = (entries) => entries.map(entry => {
+  const headers = requestHeadersOf(entry.request);
+  const bodyFields = bodyFromPostData(entry.request.postData);
+  const responseBody = binaryContent(entry.response?.content);
+  return {
+    method: entry.request.method,
+    url: entry.request.url,
+    headers,
+    ...bodyFields,
+    resolved: { url: entry.request.url, headers, body: bodyFields.body, formFields: bodyFields.formFields },
+    response: responseBody
+      ? `[${responseBody.contentType} response, ${formatBytes(responseBody.size)}]`
+      : decodeContent(entry.response?.content),
+    ...(responseBody ? { responseBody } : {}),
+    responseHeaders: fromNameValue(entry.response?.headers),
+    statusCode: entry.response?.status ?? 0,
+    statusText: entry.response?.statusText || '',
+    cookies: (entry.response?.cookies || []).map(cookie => ({ ...cookie, source: 'set-cookie' })),
+    finalUrl: entry.request.url,
+    responseSize: {
+      body: entry.response?.content?.size ?? null,
+      encoded: entry.response?.bodySize >= 0 ? entry.response.bodySize : null,
+      transfer: entry.response?._transferSize ?? null,
+      headers: entry.response?.headersSize >= 0 ? entry.response.headersSize : 0,
+    },
+    timing: fromHarTimings(entry.timings, entry.time),
+    duration: Math.round(entry.time || 0),
+    timestamp: entry.startedDateTime || new Date().toISOString(),
+    source: 'har',
+  };
+});
+
+// Turn HAR entries into a collection of replayable requests
+export const harToCollection = (entries, name) => ({
+  ...createCollection(name),
+  items: entries.map(entry => {
+    const { pathname } = new URL(entry.request.url);
+    return createRequestItem(`${entry.request.method} ${pathname}`, {
+      method: entry.request.method,
+      url: entry.request.url,
+      headers: requestHeadersOf(entry.request),
+      ...bodyFromPostData(entry.request.postData),
+    });
+  }),
+});
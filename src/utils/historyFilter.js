@@ -0,0 +1,73 @@
+// Search and filters for the history panel. Filters combine with AND; the
+// chips inside one filter (methods, status classes) combine with OR.
+
+export const DEFAULT_HISTORY_FILTER = {
+  query: '',
+  methods: [],
+  statusClasses: [],
+  from: '',
+  to: '',
+  host: '',
+};
+
+export const HISTORY_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'HEAD', 'OPTIONS', 'WS'];
+
+// 'network' covers requests that never got an HTTP status: network and CORS
+// errors, timeouts and cancellations
+export const STATUS_CLASSES = ['2xx', '3xx', '4xx', '5xx', 'network'];
+
+export const statusClassOf = (item) => {
+  if (item.outcome || !item.statusCode) return 'network';
+  return `${Math.floor(item.statusCode / 100)}xx`;
+};
+
+export const hostOf = (item) => {
+  try {
+    return new URL(item.resolved?.url || item.url).host;
+  } catch {
+    return '';
+  }
+};
+
+export const isFilterActive = (filter) => Boolean(
+  filter.query.trim() || filter.methods.length || filter.statusClasses.length || filter.from || filter.to || filter.host
+);
+
+// A stable key per filter, so cached history pages are kept per filter
+export const filterKey = (filter) => (isFilterActive(filter) ? JSON.stringify(filter) : 'all');
+
+// Date inputs give local days. Returns ms since the epoch, with to being
+// exclusive so the range includes the whole 'to' day; null when unset.
+const dayStart = (value) => new Date(`${value}T00:00:00`).getTime();
+
+export const filterTimeRange = (filter) => ({
+  from: filter.from ? dayStart(filter.from) : null,
+  to: filter.to ? dayStart(filter.to) + 24 * 60 * 60 * 1000 : null,
+});
+
+export const matchesHistoryFilter = (item, filter) => {
+  if (filter.methods.length && !filter.methods.includes(item.method)) return false;
+  if (filter.statusClasses.length && !filter.statusClasses.includes(statusClassOf(item))) return false;
+  if (filter.host && hostOf(item) !== filter.host) return false;
+  const time = new Date(item.timestamp).getTime();
+  const { from, to } = filterTimeRange(filter);
+  if (from != null && time < from) return false;
+  if (to != null && time >= to) return false;
+  // Every word of the query must appear in the URL or the response body
+  const words = filter.query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length) {
+    const text = [item.url, item.resolved?.url, item.response].filter(Boolean).join('\n').toLowerCase();
+    if (!words.every(word => text.includes(word))) return false;
+  }
+  return true;
+};
+
+// Hosts seen in history, most used first, for the host filter
+export const historyHosts = (items) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const host = hostOf(item);
+    if (host) counts.set(host, (counts.get(host) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([host]) => host);
+};
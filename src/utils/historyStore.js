@@ -0,0 +1,391 @@
+import { byteLength, expandResponse } from './compression';
+import { DEFAULT_HISTORY_FILTER, filterTimeRange, historyHosts, hostOf, isFilterActive, matchesHistoryFilter, statusClassOf } from './historyFilter';
+
+// History storage. Entries live in IndexedDB, indexed by timestamp, method,
+// status class and host, and are read a page at a time with cursors. Entries
+// written to localStorage by earlier versions are moved over once.
+//
+// Every store has the same async interface:
+//   list({ filter, cursor, limit }) -> { items, nextCursor }, newest first
+//   count(filter), hosts(), get(id), put(item), putMany(items), delete(id),
+//   deleteMany(ids), clear(), readAll()
+//   summaries() -> [{ id, timestamp, pinned, bytes, method, url, statusClass,
+//     duration }], newest first, without expanding bodies; for retention,
+//     eviction and analytics
+//   usage() -> { used, quota } in bytes; quota is null when unknown
+// A cursor is the { timestamp, id } of the last entry of the previous page.
+// Entries are returned with compressed response bodies expanded.
+//
+// createKeyValueHistoryStore wraps a backend with the window.storage API
+// (list/get/set/delete by key, as used by Api.jsx); over localStorage it is
+// the fallback when IndexedDB can't be opened.
+
+export const HISTORY_PREFIX = 'request:';
+
+const DB_NAME = 'api-tester';
+const DB_VERSION = 1;
+const STORE = 'history';
+
+// Index name -> the fields before [timestamp, id]. Every index ends in
+// [timestamp, id], so entries within one value are in time order and a
+// cursor resumes exactly after the last entry of a page.
+const INDEXES = {
+  timestamp: [],
+  method: ['method'],
+  status: ['statusClass'],
+  host: ['host'],
+};
+
+// Timestamps are stored as UTC ISO strings so they sort as strings; the
+// indexed host and status class are derived on write
+const toRecord = (item) => {
+  const time = new Date(item.timestamp);
+  return {
+    ...item,
+    timestamp: (Number.isNaN(time.getTime()) ? new Date() : time).toISOString(),
+    host: hostOf(item),
+    statusClass: statusClassOf(item),
+  };
+};
+
+// Newest first, by timestamp then id, the order every list uses
+const compareNewestFirst = (a, b) => (
+  a.timestamp === b.timestamp ? (a.id < b.id ? 1 : a.id > b.id ? -1 : 0) : (a.timestamp < b.timestamp ? 1 : -1)
+);
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new DOMException('Transaction was aborted', 'AbortError'));
+});
+
+// Walk a cursor request, calling step for each entry until it returns
+// false. Resolves with true if the cursor ran to the end.
+const walkCursor = (request, step) => new Promise((resolve, reject) => {
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor) resolve(true);
+    else if (step(cursor) === false) resolve(false);
+  };
+  request.onerror = () => reject(request.error);
+});
+
+// Approximate stored size of an entry
+const recordBytes = (record) => byteLength(JSON.stringify(record));
+
+// Everything retention and analytics need, without the bodies
+const summaryOf = (record) => ({
+  id: record.id,
+  timestamp: record.timestamp,
+  pinned: Boolean(record.pinned),
+  bytes: recordBytes(record),
+  method: record.method,
+  url: record.resolved?.url || record.url,
+  statusClass: statusClassOf(record),
+  duration: record.duration,
+});
+
+// Origin-wide usage from the browser, where it reports it
+const estimateUsage = async () => {
+  if (typeof navigator === 'undefined' || !navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { used: usage ?? 0, quota: quota ?? null };
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+    Object.entries(INDEXES).forEach(([name, fields]) => store.createIndex(name, [...fields, 'timestamp', 'id']));
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// The narrowest index for a filter; the rest of the filter is checked per entry
+const pickIndex = (filter) => {
+  if (filter.host) return { name: 'host', prefix: [filter.host] };
+  if (filter.statusClasses.length === 1) return { name: 'status', prefix: filter.statusClasses };
+  if (filter.methods.length === 1) return { name: 'method', prefix: filter.methods };
+  return { name: 'timestamp', prefix: [] };
+};
+
+// True when the index range alone selects exactly the filtered entries
+const coveredByIndex = (filter, name) => !filter.query.trim()
+  && filter.methods.length <= (name === 'method' ? 1 : 0)
+  && filter.statusClasses.length <= (name === 'status' ? 1 : 0);
+
+// Key range for an index prefix and the filter's dates, ending before the
+// cursor if there is one. Arrays sort after strings in IndexedDB, so [] in
+// place of a timestamp is above every timestamp. null when nothing can match.
+const queryRange = (filter, prefix, cursor) => {
+  const { from, to } = filterTimeRange(filter);
+  if (from != null && to != null && from >= to) return null;
+  const lower = from != null ? [...prefix, new Date(from).toISOString()] : prefix;
+  const upper = cursor
+    ? [...prefix, cursor.timestamp, cursor.id]
+    : [...prefix, to != null ? new Date(to).toISOString() : []];
+  return IDBKeyRange.bound(lower, upper, false, true);
+};
+
+// Entries read per transaction while scanning. Compressed bodies can only
+// be expanded (asynchronously) between transactions, which a search needs.
+const SCAN_BATCH = 50;
+
+export const createIndexedDbHistoryStore = (db) => {
+  const objectStore = (mode = 'readonly') => db.transaction(STORE, mode).objectStore(STORE);
+
+  const write = async (change) => {
+    const transaction = db.transaction(STORE, 'readwrite');
+    change(transaction.objectStore(STORE));
+    await transactionDone(transaction);
+  };
+
+  // Visit the entries matching a filter, newest first, starting after the
+  // cursor, until visit returns false
+  const scan = async (filter, cursor, visit) => {
+    const { name, prefix } = pickIndex(filter);
+    // Everything but the text search can be checked on the stored entry
+    const storedFilter = { ...filter, query: '' };
+    let position = cursor;
+    for (;;) {
+      const range = queryRange(filter, prefix, position);
+      if (!range) return;
+      const batch = [];
+      const finished = await walkCursor(objectStore().index(name).openCursor(range, 'prev'), (entry) => {
+        position = { timestamp: entry.value.timestamp, id: entry.value.id };
+        if (matchesHistoryFilter(entry.value, storedFilter)) batch.push(entry.value);
+        if (batch.length >= SCAN_BATCH) return false;
+        entry.continue();
+        return true;
+      });
+      for (const record of batch) {
+        const item = await expandResponse(record);
+        if (matchesHistoryFilter(item, filter) && visit(item) === false) return;
+      }
+      if (finished) return;
+    }
+  };
+
+  return {
+    async list({ filter = DEFAULT_HISTORY_FILTER, cursor = null, limit = 20 } = {}) {
+      // Read one entry past the page to know whether there is another
+      const items = [];
+      await scan(filter, cursor, (item) => {
+        items.push(item);
+        return items.length <= limit;
+      });
+      const page = items.slice(0, limit);
+      const last = page[page.length - 1];
+      return { items: page, nextCursor: items.length > limit ? { timestamp: last.timestamp, id: last.id } : null };
+    },
+
+    async count(filter = DEFAULT_HISTORY_FILTER) {
+      if (!isFilterActive(filter)) return requestResult(objectStore().count());
+      const { name, prefix } = pickIndex(filter);
+      const range = queryRange(filter, prefix);
+      if (!range) return 0;
+      if (coveredByIndex(filter, name)) return requestResult(objectStore().index(name).count(range));
+      let count = 0;
+      await scan(filter, null, () => {
+        count++;
+      });
+      return count;
+    },
+
+    // Distinct hosts, jumping past each host's entries instead of reading them
+    async hosts() {
+      const hosts = [];
+      await walkCursor(objectStore().index('host').openKeyCursor(), (entry) => {
+        const [host] = entry.key;
+        if (host) hosts.push(host);
+        entry.continue([host, []]);
+        return true;
+      });
+      return hosts;
+    },
+
+    get: async (id) => expandResponse(await requestResult(objectStore().get(id))),
+
+    async put(item) {
+      const record = toRecord(item);
+      await write(store => store.put(record));
+      return record;
+    },
+
+    async putMany(items) {
+      const records = items.map(toRecord);
+      await write(store => records.forEach(record => store.put(record)));
+      return records;
+    },
+
+    delete: (id) => write(store => store.delete(id)),
+
+    deleteMany: (ids) => write(store => ids.forEach(id => store.delete(id))),
+
+    clear: () => write(store => store.clear()),
+
+    async readAll() {
+      const records = await requestResult(objectStore().index('timestamp').getAll());
+      return Promise.all(records.reverse().map(expandResponse));
+    },
+
+    async summaries() {
+      const summaries = [];
+      await walkCursor(objectStore().index('timestamp').openCursor(null, 'prev'), (entry) => {
+        summaries.push(summaryOf(entry.value));
+        entry.continue();
+        return true;
+      });
+      return summaries;
+    },
+
+    usage: async () => (await estimateUsage()) || { used: 0, quota: null },
+  };
+};
+
+// The window.storage API over localStorage
+export const localStorageBackend = {
+  async list(prefix) {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(prefix)) keys.push(key);
+    }
+    return { keys };
+  },
+  async get(key) {
+    const value = localStorage.getItem(key);
+    return value === null ? null : { key, value };
+  },
+  async set(key, value) {
+    localStorage.setItem(key, value);
+  },
+  async delete(key) {
+    localStorage.removeItem(key);
+  },
+  // Browsers allow about 5 MB per origin. Counted as UTF-8 like entry sizes,
+  // so the two compare.
+  async usage() {
+    let used = 0;
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      used += byteLength(key + (localStorage.getItem(key) || ''));
+    }
+    return { used, quota: 5 * 1024 * 1024 };
+  },
+};
+
+// History on a key/value backend: one `request:<id>` key per entry. There
+// are no indexes, so every query reads all entries. The backend may also
+// have usage() -> { used, quota }.
+export const createKeyValueHistoryStore = (storage) => {
+  const keyOf = (id) => `${HISTORY_PREFIX}${id}`;
+
+  const readRecords = async () => {
+    const result = await storage.list(HISTORY_PREFIX, false);
+    const items = await Promise.all((result?.keys || []).map(async (key) => {
+      try {
+        const entry = await storage.get(key, false);
+        return entry ? JSON.parse(entry.value) : null;
+      } catch {
+        return null;
+      }
+    }));
+    return items.filter(item => item !== null).map(toRecord).sort(compareNewestFirst);
+  };
+
+  const readAll = async () => Promise.all((await readRecords()).map(expandResponse));
+
+  const matching = async (filter) => {
+    const items = await readAll();
+    return isFilterActive(filter) ? items.filter(item => matchesHistoryFilter(item, filter)) : items;
+  };
+
+  const put = async (item) => {
+    const record = toRecord(item);
+    await storage.set(keyOf(record.id), JSON.stringify(record), false);
+    return record;
+  };
+
+  return {
+    async list({ filter = DEFAULT_HISTORY_FILTER, cursor = null, limit = 20 } = {}) {
+      const items = await matching(filter);
+      const start = cursor ? items.findIndex(item => compareNewestFirst(cursor, item) < 0) : 0;
+      const page = start === -1 ? [] : items.slice(start, start + limit);
+      const last = page[page.length - 1];
+      return { items: page, nextCursor: start !== -1 && start + limit < items.length ? { timestamp: last.timestamp, id: last.id } : null };
+    },
+    count: async (filter = DEFAULT_HISTORY_FILTER) => (await matching(filter)).length,
+    hosts: async () => historyHosts(await readAll()),
+    async get(id) {
+      const entry = await storage.get(keyOf(id), false);
+      return entry ? expandResponse(JSON.parse(entry.value)) : undefined;
+    },
+    put,
+    putMany: (items) => Promise.all(items.map(put)),
+    delete: (id) => storage.delete(keyOf(id), false),
+    deleteMany: (ids) => Promise.all(ids.map(id => storage.delete(keyOf(id), false))),
+    async clear() {
+      const result = await storage.list(HISTORY_PREFIX, false);
+      await Promise.all((result?.keys || []).map(key => storage.delete(key, false)));
+    },
+    readAll,
+    summaries: async () => (await readRecords()).map(summaryOf),
+    async usage() {
+      if (storage.usage) return storage.usage();
+      const summaries = (await readRecords()).map(summaryOf);
+      return { used: summaries.reduce((sum, summary) => sum + summary.bytes, 0), quota: null };
+    },
+  };
+};
+
+// Move history written to localStorage by earlier versions into IndexedDB.
+// Keys are removed only once the entries are committed, so a failed
+// migration is simply tried again next time.
+const migrateLocalStorage = async (db) => {
+  const { keys } = await localStorageBackend.list(HISTORY_PREFIX);
+  if (keys.length === 0) return;
+  const items = keys.map(key => {
+    try {
+      const item = JSON.parse(localStorage.getItem(key));
+      return item ? { ...item, id: item.id ?? Number(key.slice(HISTORY_PREFIX.length)) } : null;
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+  await createIndexedDbHistoryStore(db).putMany(items);
+  keys.forEach(key => localStorage.removeItem(key));
+};
+
+// Open the history store: IndexedDB, falling back to localStorage where it
+// is unavailable
+export const openHistoryStore = async () => {
+  if (typeof indexedDB === 'undefined') return createKeyValueHistoryStore(localStorageBackend);
+  let db;
+  try {
+    db = await openDatabase();
+  } catch (error) {
+    console.error('IndexedDB is unavailable, keeping history in localStorage:', error);
+    return createKeyValueHistoryStore(localStorageBackend);
+  }
+  try {
+    await migrateLocalStorage(db);
+  } catch (error) {
+    console.error('Failed to move history from localStorage:', error);
+  }
+  return createIndexedDbHistoryStore(db);
+};
+
+let sharedStore = null;
+
+// The app's history store, opened on first use
+export const getHistoryStore = () => {
+  sharedStore = sharedStore || openHistoryStore();
+  return sharedStore;
+};
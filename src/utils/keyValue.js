@@ -0,0 +1,127 @@
+// Key/value rows for headers and query params. Rows keep order, allow
+// duplicate keys and can be disabled without being deleted.
+
+let nextRowId = 0;
+
+export const createRow = (key = '', value = '', enabled = true) => ({
+  id: `row-${nextRowId++}`,
+  key,
+  value,
+  enabled,
+});
+
+export const COMMON_HEADERS = [
+  'Accept', 'Accept-Encoding', 'Accept-Language', 'Authorization', 'Cache-Control',
+  'Content-Encoding', 'Content-Length', 'Content-Type', 'Cookie', 'If-Match',
+  'If-Modified-Since', 'If-None-Match', 'Origin', 'Pragma', 'Range', 'Referer',
+  'User-Agent', 'X-API-Key', 'X-Correlation-ID', 'X-Requested-With', 'X-Request-ID',
+];
+
+// Enabled [key, value] pairs from any header shape we have stored over time:
+// a plain object, an array of [key, value] pairs, or an array of rows
+export const headerEntries = (headers) => {
+  if (!headers) return [];
+  if (Array.isArray(headers)) {
+    return headers
+      .map(header => (Array.isArray(header) ? { key: header[0], value: header[1] } : header))
+      .filter(header => header.enabled !== false && header.key && String(header.key).trim())
+      .map(header => [String(header.key).trim(), header.value == null ? '' : String(header.value)]);
+  }
+  return Object.entries(headers).map(([key, value]) => [key, value == null ? '' : String(value)]);
+};
+
+// Convert any header shape into editable rows, keeping disabled rows
+export const toRows = (headers) => {
+  if (!headers) return [];
+  if (Array.isArray(headers)) {
+    return headers.map(header => (Array.isArray(header)
+      ? createRow(header[0], header[1] ?? '')
+      : createRow(header.key ?? '', header.value ?? '', header.enabled !== false)));
+  }
+  return Object.entries(headers).map(([key, value]) => createRow(key, value == null ? '' : String(value)));
+};
+
+// Strip editor-only ids before rows are saved
+export const serializeRows = (rows) => rows
+  .filter(row => row.key || row.value)
+  .map(({ key, value, enabled }) => ({ key, value, enabled }));
+
+export const findHeaderValue = (headers, name) => {
+  const match = headerEntries(headers).find(([key]) => key.toLowerCase() === name.toLowerCase());
+  return match ? match[1] : undefined;
+};
+
+const hasDuplicateKeys = (entries) => {
+  const seen = new Set();
+  return entries.some(([key]) => {
+    const lower = key.toLowerCase();
+    if (seen.has(lower)) return true;
+    seen.add(lower);
+    return false;
+  });
+};
+
+// Raw JSON view: an object normally, or [[key, value], ...] when a key repeats
+export const rowsToHeaderJson = (rows) => {
+  const entries = headerEntries(rows);
+  if (!hasDuplicateKeys(entries)) return JSON.stringify(Object.fromEntries(entries), null, 2);
+  return `[\n${entries.map(pair => `  ${JSON.stringify(pair)}`).join(',\n')}\n]`;
+};
+
+// Parse the raw JSON view back into rows
+export const parseHeaderJson = (text) => {
+  if (!text.trim()) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid JSON in headers');
+  }
+  if (Array.isArray(parsed)) {
+    if (!parsed.every(pair => Array.isArray(pair) && pair.length === 2)) {
+      throw new Error('Header arrays must contain [name, value] pairs');
+    }
+    return toRows(parsed);
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    throw new Error('Headers must be a JSON object');
+  }
+  return toRows(parsed);
+};
+
+// Split a URL into its base, raw query string and hash without decoding,
+// so {{variables}} in params survive the round trip
+const splitUrl = (url) => {
+  const hashIndex = url.indexOf('#');
+  const hash = hashIndex === -1 ? '' : url.slice(hashIndex);
+  const withoutHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+  const queryIndex = withoutHash.indexOf('?');
+  if (queryIndex === -1) return { base: withoutHash, query: null, hash };
+  return { base: withoutHash.slice(0, queryIndex), query: withoutHash.slice(queryIndex + 1), hash };
+};
+
+// Query params from a URL as rows, in order, duplicates included
+export const parseQueryRows = (url) => {
+  const { query } = splitUrl(url);
+  if (!query) return [];
+  return query.split('&').filter(Boolean).map(part => {
+    const index = part.indexOf('=');
+    return index === -1 ? createRow(part, '') : createRow(part.slice(0, index), part.slice(index + 1));
+  });
+};
+
+// Rebuild a URL's query string from the enabled param rows
+export const buildUrlWithQuery = (url, rows) => {
+  const { base, hash } = splitUrl(url);
+  const query = rows
+    .filter(row => row.enabled && row.key)
+    .map(row => (row.value === '' ? row.key : `${row.key}=${row.value}`))
+    .join('&');
+  return `${base}${query ? `?${query}` : ''}${hash}`;
+};
+
+// Re-read params after the URL was edited, keeping rows the user disabled
+export const syncQueryRows = (url, previousRows) => [
+  ...parseQueryRows(url),
+  ...previousRows.filter(row => !row.enabled),
+];
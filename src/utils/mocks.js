@@ -0,0 +1,270 @@
+import { createId } from './collections';
+import { headerEntries } from './keyValue';
+import { fromBase64 } from './responseBody';
+
+// Mock server: routes that answer matching requests locally instead of
+// going out through fetch(). Stored with an on/off switch under one
+// localStorage key.
+//
+// A route's path is a pattern: ':name' matches one path segment and '*' the
+// rest of the path. Patterns starting with http:// or https:// only match
+// that origin; others match any host. The body is a template (see
+// MOCK_TEMPLATE_FIELDS), unless the route has bodyBase64: binary bodies
+// taken from history are sent byte for byte.
+
+const STORAGE_KEY = 'mocks';
+
+export const MOCK_METHODS = ['ANY', 'GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+export const MOCK_TEMPLATE_FIELDS = [
+  ['params.name', 'Path parameter; params.* for what the * matched'],
+  ['query.name', 'Query parameter'],
+  ['headers.name', 'Request header'],
+  ['body', 'Request body; body.field for a field of a JSON or form body'],
+  ['method, path, url', 'The request'],
+  ['now, timestamp', 'Current time as ISO string or ms'],
+  ['uuid, randomInt', 'Random values'],
+];
+
+// Response headers that describe the transfer rather than the content
+const TRANSFER_HEADERS = ['content-length', 'content-encoding', 'transfer-encoding', 'connection', 'keep-alive', 'date'];
+
+export const createMockRoute = (fields = {}) => ({
+  id: createId(),
+  enabled: true,
+  name: '',
+  method: 'GET',
+  path: '/users/:id',
+  status: 200,
+  headers: [{ key: 'Content-Type', value: 'application/json', enabled: true }],
+  body: '{\n  "id": "{{params.id}}",\n  "name": "User {{params.id}}"\n}',
+  delay: 0,
+  ...fields,
+});
+
+export const loadMocks = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored) return { enabled: Boolean(stored.enabled), routes: Array.isArray(stored.routes) ? stored.routes : [] };
+  } catch (error) {
+    console.error('Failed to load mocks:', error);
+  }
+  return { enabled: false, routes: [] };
+};
+
+export const saveMocks = (mocks) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mocks));
+  } catch (error) {
+    console.error('Failed to save mocks:', error);
+  }
+};
+
+// Routes from an exported mocks file (or a bare array of routes), with new ids
+export const parseMockFile = (text) => {
+  const parsed = JSON.parse(text);
+  const routes = Array.isArray(parsed) ? parsed : parsed?.routes;
+  if (!Array.isArray(routes)) throw new Error('Not a mocks file: expected a list of routes');
+  return routes
+    .filter(route => route && typeof route.path === 'string')
+    .map(route => createMockRoute({ ...route, id: createId() }));
+};
+
+export const exportMocks = (routes) => JSON.stringify({ version: 1, routes }, null, 2);
+
+// A route answering the way a history entry's response did. History keeps
+// only the start of large binary bodies, and of text bodies over the
+// retention limit; those can't be mocked.
+export const mockRouteFromHistory = (item) => {
+  const binary = item.responseBody;
+  if (binary?.truncated || item.responseTruncated) {
+    throw new Error('History only kept the start of this response, so it cannot be mocked');
+  }
+  let path = '/';
+  try {
+    const url = new URL(item.resolved?.url || item.url);
+    path = `${url.origin}${url.pathname}`;
+  } catch {
+    path = item.url || '/';
+  }
+  const headers = headerEntries(item.responseHeaders)
+    .filter(([key]) => !TRANSFER_HEADERS.includes(key.toLowerCase()))
+    .map(([key, value]) => ({ key, value, enabled: true }));
+  if (binary?.contentType && !headers.some(({ key }) => key.toLowerCase() === 'content-type')) {
+    headers.push({ key: 'Content-Type', value: binary.contentType, enabled: true });
+  }
+  return createMockRoute({
+    name: `${item.method} ${path}`,
+    method: item.method,
+    path,
+    status: item.statusCode >= 200 && item.statusCode <= 599 ? item.statusCode : 200,
+    headers,
+    ...(binary ? { body: '', bodyBase64: binary.sample || '' } : { body: item.response || '' }),
+  });
+};
+
+const escapeRegExp = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const safeDecode = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+export const compileMockPattern = (pattern) => {
+  const absolute = pattern.trim().match(/^(https?:\/\/[^/]+)(.*)$/i);
+  const origin = absolute ? new URL(absolute[1]).origin : null;
+  const path = (absolute ? absolute[2] : pattern.trim()) || '/';
+  const names = [];
+  const source = path
+    .replace(/\/+$/, '')
+    .split(/(:\w+|\*)/)
+    .map(part => {
+      if (part === '*') {
+        names.push('*');
+        return '(.*)';
+      }
+      if (part.startsWith(':') && part.length > 1) {
+        names.push(part.slice(1));
+        return '([^/]+)';
+      }
+      return escapeRegExp(part);
+    })
+    .join('');
+  // A trailing slash is optional
+  return { origin, names, regex: new RegExp(`^${source.startsWith('/') ? '' : '/'}${source}/?$`) };
+};
+
+// The first enabled route matching the request, with its path params
+export const matchMockRoute = (routes, method, url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch {
+    return null;
+  }
+  for (const route of routes || []) {
+    if (!route.enabled || (route.method !== 'ANY' && route.method !== method)) continue;
+    let pattern;
+    try {
+      pattern = compileMockPattern(route.path);
+    } catch {
+      continue;
+    }
+    if (pattern.origin && pattern.origin !== target.origin) continue;
+    const match = target.pathname.match(pattern.regex);
+    if (match) {
+      return { route, params: Object.fromEntries(pattern.names.map((name, index) => [name, safeDecode(match[index + 1])])) };
+    }
+  }
+  return null;
+};
+
+const TEMPLATE_PATTERN = /\{\{\s*([\w.$*-]+)\s*\}\}/g;
+
+const lookup = (context, path) => {
+  const [first, ...rest] = path.split('.');
+  let value = typeof context[first] === 'function' ? context[first]() : context[first];
+  rest.forEach((key, index) => {
+    // Header names are case-insensitive
+    const name = first === 'headers' && index === 0 ? key.toLowerCase() : key;
+    value = value != null && typeof value === 'object' ? value[name] : undefined;
+  });
+  return value;
+};
+
+// Fill {{placeholders}} from the request. Unknown ones are left as they are.
+export const renderMockTemplate = (template, context) => template.replace(TEMPLATE_PATTERN, (match, path) => {
+  const value = lookup(context, path);
+  if (value === undefined) return match;
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+});
+
+const readRequestBody = async (body) => {
+  if (body == null) return '';
+  if (typeof body === 'string') return body;
+  if (body instanceof URLSearchParams) return Object.fromEntries(body);
+  if (body instanceof FormData) {
+    return Object.fromEntries([...body].map(([key, value]) => [key, typeof value === 'string' ? value : value.name]));
+  }
+  if (body instanceof Blob) return body.text();
+  return String(body);
+};
+
+export const mockTemplateContext = async ({ method, url, headers, body, params }) => {
+  const target = new URL(url);
+  const raw = await readRequestBody(body);
+  let parsedBody = raw;
+  if (typeof raw === 'string' && raw.trim()) {
+    try {
+      parsedBody = JSON.parse(raw);
+    } catch {
+      parsedBody = raw;
+    }
+  }
+  return {
+    params,
+    query: Object.fromEntries(target.searchParams),
+    headers: Object.fromEntries(headerEntries(headers).map(([key, value]) => [key.toLowerCase(), value])),
+    body: parsedBody,
+    method,
+    path: target.pathname,
+    url: target.href,
+    now: () => new Date().toISOString(),
+    timestamp: () => Date.now(),
+    uuid: () => crypto.randomUUID(),
+    randomInt: () => Math.floor(Math.random() * 1000),
+  };
+};
+
+// Rejects with the signal's reason, so timeouts stay timeouts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+  const abort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', abort, { once: true });
+});
+
+const NULL_BODY_STATUSES = [204, 205, 304];
+
+// fetch() answered by a matched route (see matchMockRoute), after its delay
+export const mockFetch = async ({ route, params }, url, { method = 'GET', headers = [], body, signal } = {}) => {
+  const context = await mockTemplateContext({ method, url, headers, body, params });
+  if (route.delay > 0) await sleep(route.delay, signal);
+  else if (signal?.aborted) throw signal.reason;
+  const binary = typeof route.bodyBase64 === 'string';
+  const text = binary ? '' : renderMockTemplate(route.body || '', context);
+  const content = binary ? fromBase64(route.bodyBase64) : text;
+  const responseHeaders = new Headers(headerEntries(route.headers));
+  if (binary && !responseHeaders.has('content-type')) {
+    responseHeaders.set('Content-Type', 'application/octet-stream');
+  } else if (!responseHeaders.has('content-type') && text) {
+    let json = true;
+    try {
+      JSON.parse(text);
+    } catch {
+      json = false;
+    }
+    responseHeaders.set('Content-Type', json ? 'application/json' : 'text/plain');
+  }
+  const status = Math.min(599, Math.max(200, Math.floor(Number(route.status)) || 200));
+  const response = new Response(NULL_BODY_STATUSES.includes(status) || method === 'HEAD' ? null : content, { status });
+  // Built with a plain Headers so any header, Set-Cookie included, shows
+  Object.defineProperties(response, {
+    headers: { value: responseHeaders },
+    url: { value: url },
+    mock: { value: route.name || `${route.method} ${route.path}` },
+  });
+  return response;
+};
@@ -0,0 +1,215 @@
+import { encodeBasicCredentials } from './auth';
+
+// OAuth 2.0 token fetching for the Auth tab: client credentials and
+// authorization code with PKCE. Tokens are cached per client in
+// sessionStorage so they survive a reload but never reach history.
+const TOKEN_STORAGE_KEY = 'oauth:tokens';
+const CALLBACK_MESSAGE = 'oauth-callback';
+// Refresh a little early so a token doesn't expire mid-request
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+const readTokens = () => {
+  try {
+    return JSON.parse(sessionStorage.getItem(TOKEN_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const writeTokens = (tokens) => {
+  try {
+    sessionStorage.setItem(TOKEN_STORAGE_KEY, JSON.stringify(tokens));
+  } catch (error) {
+    console.error('Failed to cache OAuth token:', error);
+  }
+};
+
+const cacheKey = ({ grantType, tokenUrl, clientId, scope }) => [grantType, tokenUrl, clientId, scope].join(' ');
+
+export const getCachedToken = (config) => readTokens()[cacheKey(config)] || null;
+
+export const isTokenExpired = (token) => Boolean(token.expiresAt) && Date.now() >= token.expiresAt - EXPIRY_MARGIN_MS;
+
+export const clearCachedToken = (config) => {
+  const tokens = readTokens();
+  delete tokens[cacheKey(config)];
+  writeTokens(tokens);
+};
+
+const storeToken = (config, data, previous) => {
+  const token = {
+    accessToken: data.access_token,
+    tokenType: data.token_type || 'Bearer',
+    // Servers may omit the refresh token on refresh and expect the old one to be reused
+    refreshToken: data.refresh_token || previous?.refreshToken || null,
+    scope: data.scope || config.scope || '',
+    expiresAt: data.expires_in ? Date.now() + Number(data.expires_in) * 1000 : null,
+    obtainedAt: new Date().toISOString(),
+  };
+  writeTokens({ ...readTokens(), [cacheKey(config)]: token });
+  return token;
+};
+
+// The default way to reach the token endpoint; callers can pass their own
+// send with the same (url, init) -> { response, text } shape
+const fetchText = async (url, init) => {
+  const response = await fetch(url, init);
+  return { response, text: await response.text() };
+};
+
+// POST a form-encoded token request, sending the client credentials in the
+// body or as a Basic Authorization header
+const requestToken = async (config, params, send = fetchText) => {
+  const headers = {
+    'Content-Type': 'application/x-www-form-urlencoded',
+    Accept: 'application/json',
+  };
+  const form = new URLSearchParams(params);
+  if (config.clientAuth === 'header') {
+    headers.Authorization = `Basic ${encodeBasicCredentials(config.clientId, config.clientSecret)}`;
+  } else {
+    form.set('client_id', config.clientId);
+    if (config.clientSecret) form.set('client_secret', config.clientSecret);
+  }
+
+  const { response, text } = await send(config.tokenUrl, { method: 'POST', headers, body: form.toString() });
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    // Some older servers answer with a form-encoded body
+    data = Object.fromEntries(new URLSearchParams(text));
+  }
+  if (!response.ok || data.error || !data.access_token) {
+    const reason = data.error_description || data.error || `HTTP ${response.status}`;
+    throw new Error(`Token request failed: ${reason}`);
+  }
+  return data;
+};
+
+const validateConfig = (config) => {
+  if (!config.tokenUrl) throw new Error('OAuth 2.0 token URL is required');
+  if (!config.clientId) throw new Error('OAuth 2.0 client ID is required');
+  if (config.grantType === 'authorization_code' && !config.authUrl) {
+    throw new Error('OAuth 2.0 authorization URL is required');
+  }
+};
+
+const base64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomString = (length) => base64Url(crypto.getRandomValues(new Uint8Array(length))).slice(0, length);
+
+export const createPkcePair = async () => {
+  const verifier = randomString(64);
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return { verifier, challenge: base64Url(new Uint8Array(digest)) };
+};
+
+// The client app itself is the default redirect target; see handleOAuthCallback
+export const defaultRedirectUri = () => `${window.location.origin}${window.location.pathname}`;
+
+export const buildAuthorizationUrl = (config, { state, challenge, redirectUri }) => {
+  const url = new URL(config.authUrl);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', config.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  if (config.scope) url.searchParams.set('scope', config.scope);
+  url.searchParams.set('state', state);
+  url.searchParams.set('code_challenge', challenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+};
+
+// Open the authorization page in a popup and wait for the redirect back
+const waitForAuthorizationCode = (authorizationUrl, state) => new Promise((resolve, reject) => {
+  const popup = window.open(authorizationUrl, 'oauth-authorize', 'width=520,height=680');
+  if (!popup) {
+    reject(new Error('The authorization popup was blocked'));
+    return;
+  }
+  let closedTimer = null;
+  const cleanup = () => {
+    window.removeEventListener('message', onMessage);
+    clearInterval(closedTimer);
+  };
+  const onMessage = (event) => {
+    if (event.origin !== window.location.origin || event.data?.type !== CALLBACK_MESSAGE) return;
+    const params = event.data.params || {};
+    if (params.state !== state) return;
+    cleanup();
+    if (params.error) {
+      reject(new Error(`Authorization failed: ${params.error_description || params.error}`));
+    } else {
+      resolve(params.code);
+    }
+  };
+  window.addEventListener('message', onMessage);
+  closedTimer = setInterval(() => {
+    if (popup.closed) {
+      cleanup();
+      reject(new Error('The authorization window was closed before finishing'));
+    }
+  }, 500);
+});
+
+const authorizeWithPkce = async (config, send) => {
+  const { verifier, challenge } = await createPkcePair();
+  const state = randomString(16);
+  const redirectUri = config.redirectUri || defaultRedirectUri();
+  const code = await waitForAuthorizationCode(buildAuthorizationUrl(config, { state, challenge, redirectUri }), state);
+  return requestToken(config, {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: verifier,
+  }, send);
+};
+
+// Always ask the server for a new token, ignoring the cache
+export const fetchNewToken = async (config, send) => {
+  validateConfig(config);
+  const data = config.grantType === 'authorization_code'
+    ? await authorizeWithPkce(config, send)
+    : await requestToken(config, { grant_type: 'client_credentials', ...(config.scope ? { scope: config.scope } : {}) }, send);
+  return storeToken(config, data);
+};
+
+export const refreshAccessToken = async (config, token, send) => {
+  validateConfig(config);
+  const data = await requestToken(config, {
+    grant_type: 'refresh_token',
+    refresh_token: token.refreshToken,
+    ...(config.scope ? { scope: config.scope } : {}),
+  }, send);
+  return storeToken(config, data, token);
+};
+
+// A usable token: the cached one, a refreshed one, or a newly fetched one.
+// send, if given, makes the token requests (see fetchText).
+export const getAccessToken = async (config, send) => {
+  const cached = getCachedToken(config);
+  if (cached && !isTokenExpired(cached)) return cached;
+  if (cached?.refreshToken) {
+    try {
+      return await refreshAccessToken(config, cached, send);
+    } catch (error) {
+      // A cancelled send shouldn't go on to ask for a new token
+      if (error.name === 'AbortError') throw error;
+      console.warn('Token refresh failed, requesting a new token:', error);
+    }
+  }
+  return fetchNewToken(config, send);
+};
+
+// Call before rendering the app: when this window is the authorization
+// popup, hand the redirect's code back to the opener and close
+export const handleOAuthCallback = () => {
+  const params = new URLSearchParams(window.location.search);
+  if (!window.opener || !params.has('state') || !(params.has('code') || params.has('error'))) return false;
+  window.opener.postMessage({ type: CALLBACK_MESSAGE, params: Object.fromEntries(params) }, window.location.origin);
+  window.close();
+  return true;
+};
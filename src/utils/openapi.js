@@ -0,0 +1,270 @@
+import { parse as parseYaml } from 'yaml';
+import { createCollection, createFolder, createRequestItem } from './collections';
+
+// Generate a request collection from an OpenAPI 3.x or Swagger 2.0 document
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+const MAX_SCHEMA_DEPTH = 6;
+
+// Accept JSON or YAML text
+export const parseSpecText = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error('The document is empty');
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+  return parseYaml(trimmed);
+};
+
+// Follow a local "#/components/..." or "#/definitions/..." reference
+const resolveRef = (spec, value) => {
+  if (!value || typeof value !== 'object' || typeof value.$ref !== 'string') return value;
+  if (!value.$ref.startsWith('#/')) return {};
+  return value.$ref
+    .slice(2)
+    .split('/')
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => (node ? node[part] : undefined), spec) || {};
+};
+
+// Build a sample value from a schema, preferring any example it declares
+const sampleFromSchema = (spec, rawSchema, depth = 0, seen = new Set()) => {
+  if (!rawSchema || depth > MAX_SCHEMA_DEPTH) return null;
+  if (rawSchema.$ref) {
+    if (seen.has(rawSchema.$ref)) return null;
+    seen = new Set(seen).add(rawSchema.$ref);
+  }
+  const schema = resolveRef(spec, rawSchema);
+
+  if (schema.example !== undefined) return schema.example;
+  if (schema.default !== undefined) return schema.default;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf.reduce((merged, part) => {
+      const sample = sampleFromSchema(spec, part, depth + 1, seen);
+      return sample && typeof sample === 'object' && !Array.isArray(sample) ? { ...merged, ...sample } : merged;
+    }, {});
+  }
+  const variant = schema.oneOf?.[0] || schema.anyOf?.[0];
+  if (variant) return sampleFromSchema(spec, variant, depth + 1, seen);
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  if (type === 'object' || (!type && schema.properties)) {
+    return Object.entries(schema.properties || {}).reduce((acc, [key, property]) => {
+      acc[key] = sampleFromSchema(spec, property, depth + 1, seen);
+      return acc;
+    }, {});
+  }
+  if (type === 'array') {
+    const item = sampleFromSchema(spec, schema.items, depth + 1, seen);
+    return item === null ? [] : [item];
+  }
+  if (type === 'integer' || type === 'number') return schema.minimum ?? 0;
+  if (type === 'boolean') return true;
+  if (type === 'string') {
+    const formats = {
+      'date-time': new Date(0).toISOString(),
+      date: '1970-01-01',
+      email: 'user@example.com',
+      uuid: '00000000-0000-0000-0000-000000000000',
+      uri: 'https://example.com',
+    };
+    return formats[schema.format] ?? 'string';
+  }
+  return null;
+};
+
+const parameterExample = (spec, parameter) => {
+  if (parameter.example !== undefined) return parameter.example;
+  const example = Object.values(parameter.examples || {})[0];
+  if (example) return resolveRef(spec, example).value;
+  // Swagger 2 keeps type / default on the parameter itself
+  const schema = parameter.schema || parameter;
+  const resolved = resolveRef(spec, schema);
+  if (resolved.example !== undefined) return resolved.example;
+  if (resolved.default !== undefined) return resolved.default;
+  if (Array.isArray(resolved.enum) && resolved.enum.length) return resolved.enum[0];
+  return '';
+};
+
+// Substitute server variables with their defaults: https://{region}.api.com
+const serverUrl = (server) => (server.url || '').replace(/\{([^}]+)\}/g, (match, name) => (
+  server.variables?.[name]?.default ?? match
+));
+
+const baseUrlFor = (spec, summary) => {
+  if (spec.swagger) {
+    if (!spec.host) {
+      summary.skipped.push('Document has no "host"; set baseUrl in the generated environment');
+      return '';
+    }
+    const scheme = spec.schemes?.[0] || 'https';
+    return `${scheme}://${spec.host}${spec.basePath || ''}`.replace(/\/$/, '');
+  }
+  const server = spec.servers?.[0];
+  if (!server) {
+    summary.skipped.push('Document has no "servers"; set baseUrl in the generated environment');
+    return '';
+  }
+  if (spec.servers.length > 1) {
+    summary.skipped.push(`Document lists ${spec.servers.length} servers; the first (${server.url}) was used as baseUrl`);
+  }
+  const url = serverUrl(server);
+  if (!/^https?:\/\//i.test(url)) {
+    summary.skipped.push(`Server URL "${url}" is relative; baseUrl may need a host`);
+  }
+  return url.replace(/\/$/, '');
+};
+
+// Pick a body and content type from an OpenAPI 3 requestBody or Swagger 2 body/formData parameters
+const requestBodyFor = (spec, operation, parameters) => {
+  if (spec.swagger) {
+    const bodyParam = parameters.find(param => param.in === 'body');
+    const formParams = parameters.filter(param => param.in === 'formData');
+    const consumes = operation.consumes || spec.consumes || [];
+    if (formParams.length) {
+      const contentType = consumes.find(type => type.startsWith('multipart/form-data'))
+        || (formParams.some(param => param.type === 'file') ? 'multipart/form-data' : 'application/x-www-form-urlencoded');
+      const value = Object.fromEntries(formParams.map(param => [
+        param.name,
+        param.type === 'file' ? '' : parameterExample(spec, param) ?? '',
+      ]));
+      return { contentType, value, fileKeys: formParams.filter(param => param.type === 'file').map(param => param.name) };
+    }
+    if (!bodyParam) return null;
+    const contentType = consumes[0] || 'application/json';
+    return { contentType, value: sampleFromSchema(spec, bodyParam.schema) };
+  }
+  const requestBody = resolveRef(spec, operation.requestBody);
+  if (!requestBody?.content) return null;
+  const contentTypes = Object.keys(requestBody.content);
+  const contentType = contentTypes.find(type => type.includes('json')) || contentTypes[0];
+  const media = requestBody.content[contentType] || {};
+  let value;
+  if (media.example !== undefined) {
+    value = media.example;
+  } else if (media.examples && Object.keys(media.examples).length) {
+    value = resolveRef(spec, Object.values(media.examples)[0]).value;
+  } else {
+    value = sampleFromSchema(spec, media.schema);
+  }
+  const properties = resolveRef(spec, media.schema)?.properties || {};
+  const fileKeys = Object.keys(properties)
+    .filter(key => resolveRef(spec, properties[key]).format === 'binary');
+  return { contentType, value, fileKeys };
+};
+
+const stringify = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+// Map a media type and its sample onto the builder's body types
+const bodyFromMedia = ({ contentType, value, fileKeys = [] }, label, summary) => {
+  const hasValue = value !== null && value !== undefined;
+  if (contentType.includes('json')) {
+    return { bodyType: 'json', body: hasValue ? stringify(value) : '' };
+  }
+  if (contentType.startsWith('application/x-www-form-urlencoded') || contentType.startsWith('multipart/form-data')) {
+    const multipart = contentType.startsWith('multipart/form-data');
+    const formFields = Object.entries(value && typeof value === 'object' ? value : {}).map(([key, fieldValue]) => (
+      multipart && fileKeys.includes(key)
+        ? { key, value: '', type: 'file', file: null }
+        : { key, value: typeof fieldValue === 'object' ? JSON.stringify(fieldValue) : String(fieldValue ?? '') }
+    ));
+    if (multipart && formFields.some(field => field.type === 'file')) {
+      summary.skipped.push(`${label}: file fields need a file chosen before sending`);
+    }
+    return { bodyType: multipart ? 'multipart' : 'urlencoded', formFields };
+  }
+  if (contentType === 'application/octet-stream' || /^(image|audio|video)\//.test(contentType)) {
+    summary.skipped.push(`${label}: ${contentType} body needs a file chosen before sending`);
+    return { bodyType: 'binary' };
+  }
+  return { bodyType: 'raw', bodyContentType: contentType, body: hasValue ? stringify(value) : '' };
+};
+
+export const generateCollectionFromSpec = (spec) => {
+  if (!spec || typeof spec !== 'object') throw new Error('Not an OpenAPI document');
+  const isSwagger = typeof spec.swagger === 'string' && spec.swagger.startsWith('2');
+  const isOpenApi = typeof spec.openapi === 'string' && spec.openapi.startsWith('3');
+  if (!isSwagger && !isOpenApi) {
+    throw new Error('Only OpenAPI 3.x and Swagger 2.0 documents are supported');
+  }
+  if (!spec.paths) throw new Error('Document has no "paths"');
+
+  const summary = { requests: 0, folders: 0, variables: 0, skipped: [] };
+  const variables = new Map([['baseUrl', baseUrlFor(spec, summary)]]);
+  const folders = new Map();
+  const rootItems = [];
+
+  const securitySchemes = Object.keys(spec.components?.securitySchemes || spec.securityDefinitions || {});
+  if (securitySchemes.length) {
+    summary.skipped.push(`Security schemes (${securitySchemes.join(', ')}) were not converted; set up credentials in the Auth tab`);
+  }
+
+  Object.entries(spec.paths).forEach(([path, rawPathItem]) => {
+    const pathItem = resolveRef(spec, rawPathItem);
+    const sharedParameters = (pathItem.parameters || []).map(param => resolveRef(spec, param));
+
+    HTTP_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const label = `${method.toUpperCase()} ${path}`;
+      // Operation parameters override path-level ones with the same name and location
+      const ownParameters = (operation.parameters || []).map(param => resolveRef(spec, param));
+      const parameters = [
+        ...sharedParameters.filter(shared => !ownParameters.some(own => own.name === shared.name && own.in === shared.in)),
+        ...ownParameters,
+      ];
+
+      const addVariable = (parameter) => {
+        if (!variables.has(parameter.name)) {
+          const example = parameterExample(spec, parameter);
+          variables.set(parameter.name, typeof example === 'object' ? JSON.stringify(example) : String(example ?? ''));
+        }
+        return `{{${parameter.name}}}`;
+      };
+
+      const url = `{{baseUrl}}${path.replace(/\{([^}]+)\}/g, (match, name) => `{{${name}}}`)}`;
+      parameters.filter(param => param.in === 'path').forEach(addVariable);
+      const query = parameters
+        .filter(param => param.in === 'query')
+        .map(param => `${param.name}=${addVariable(param)}`)
+        .join('&');
+
+      const headers = {};
+      parameters.filter(param => param.in === 'header').forEach(param => {
+        headers[param.name] = addVariable(param);
+      });
+      if (parameters.some(param => param.in === 'cookie')) {
+        summary.skipped.push(`${label}: cookie parameters were not converted`);
+      }
+
+      const requestBody = requestBodyFor(spec, operation, parameters);
+      const bodyFields = requestBody ? bodyFromMedia(requestBody, label, summary) : { bodyType: 'none' };
+
+      const request = createRequestItem(operation.summary || operation.operationId || label, {
+        method: method.toUpperCase(),
+        url: query ? `${url}?${query}` : url,
+        headers,
+        ...bodyFields,
+      });
+      summary.requests++;
+
+      const tag = operation.tags?.[0];
+      if (!tag) {
+        rootItems.push(request);
+        return;
+      }
+      if (!folders.has(tag)) {
+        folders.set(tag, createFolder(tag));
+        summary.folders++;
+      }
+      folders.get(tag).items.push(request);
+    });
+  });
+
+  summary.variables = variables.size;
+  const collection = {
+    ...createCollection(spec.info?.title || 'OpenAPI Collection'),
+    items: [...folders.values(), ...rootItems],
+    variables: [...variables].map(([key, value]) => ({ key, value })),
+  };
+  return { collection, summary };
+};
@@ -0,0 +1,292 @@
+import { createCollection, createFolder, createRequestItem } from './collections';
+import { toRows } from './keyValue';
+import { createAuth } from './auth';
+import { PM_MEMBERS } from './scriptRuntime';
+
+// Postman Collection v2.1 import and export
+const SCHEMA_V21 = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Postman urls are either a string or an object with raw / host / path / query parts
+const toUrl = (url) => {
+  if (!url) return '';
+  if (typeof url === 'string') return url;
+  if (url.raw) return url.raw;
+  const protocol = url.protocol ? `${url.protocol}://` : '';
+  const host = Array.isArray(url.host) ? url.host.join('.') : url.host || '';
+  const port = url.port ? `:${url.port}` : '';
+  const path = Array.isArray(url.path) ? `/${url.path.join('/')}` : url.path || '';
+  const query = (url.query || [])
+    .filter(param => !param.disabled)
+    .map(param => (param.value == null ? param.key : `${param.key}=${param.value}`))
+    .join('&');
+  return `${protocol}${host}${port}${path}${query ? `?${query}` : ''}`;
+};
+
+// Postman raw body languages and the Content-Type each implies
+const RAW_LANGUAGE_TYPES = {
+  text: 'text/plain',
+  xml: 'application/xml',
+  html: 'text/html',
+  javascript: 'application/javascript',
+};
+
+const rawLanguage = (contentType) => Object.keys(RAW_LANGUAGE_TYPES)
+  .find(language => language !== 'text' && contentType.includes(language)) || 'text';
+
+// pm members a script uses that scripts here don't have, e.g. pm.sendRequest
+const unsupportedPmMembers = (code) => [...new Set([...code.matchAll(/\bpm\.(\w+)/g)].map(match => match[1]))]
+  .filter(member => !PM_MEMBERS.includes(member));
+
+// Postman stores auth settings as [{ key, value }] lists under the auth type
+const authValue = (auth, key) => {
+  const entry = (auth[auth.type] || []).find(attribute => attribute.key === key);
+  return entry?.value == null ? '' : String(entry.value);
+};
+
+const POSTMAN_GRANTS = {
+  client_credentials: 'client_credentials',
+  authorization_code_with_pkce: 'authorization_code',
+  authorization_code: 'authorization_code',
+};
+
+// Map Postman auth onto the Auth tab settings, or null when it can't be
+const importAuth = (auth, label, summary) => {
+  const imported = createAuth(auth.type === 'noauth' ? 'none' : auth.type);
+  if (auth.type === 'noauth') return imported;
+  if (auth.type === 'bearer') {
+    imported.bearer = { token: authValue(auth, 'token') };
+  } else if (auth.type === 'basic') {
+    imported.basic = { username: authValue(auth, 'username'), password: authValue(auth, 'password') };
+  } else if (auth.type === 'apikey') {
+    imported.apikey = {
+      key: authValue(auth, 'key') || 'X-API-Key',
+      value: authValue(auth, 'value'),
+      in: authValue(auth, 'in') === 'query' ? 'query' : 'header',
+    };
+  } else if (auth.type === 'oauth2' && POSTMAN_GRANTS[authValue(auth, 'grant_type') || 'authorization_code']) {
+    imported.oauth2 = {
+      ...imported.oauth2,
+      grantType: POSTMAN_GRANTS[authValue(auth, 'grant_type') || 'authorization_code'],
+      tokenUrl: authValue(auth, 'accessTokenUrl'),
+      authUrl: authValue(auth, 'authUrl'),
+      clientId: authValue(auth, 'clientId'),
+      clientSecret: authValue(auth, 'clientSecret'),
+      scope: authValue(auth, 'scope'),
+      redirectUri: authValue(auth, 'redirect_uri'),
+      clientAuth: authValue(auth, 'client_authentication') === 'header' ? 'header' : 'body',
+    };
+  } else {
+    const grant = auth.type === 'oauth2' ? ` (${authValue(auth, 'grant_type')} grant)` : '';
+    summary.skipped.push(`${label}: ${auth.type}${grant} auth is not supported and was not imported`);
+    return null;
+  }
+  return imported;
+};
+
+const mapRequest = (item, path, summary, inheritedAuth) => {
+  const request = typeof item.request === 'string' ? { url: item.request } : item.request || {};
+  const label = [...path, item.name].join(' / ');
+  const headers = (request.header || []).map(header => ({
+    key: header.key,
+    value: header.value ?? '',
+    enabled: !header.disabled,
+  }));
+
+  let body = '';
+  let bodyType = 'none';
+  let bodyContentType = '';
+  let formFields = [];
+  const mode = request.body?.mode;
+  if (mode === 'raw') {
+    body = request.body.raw || '';
+    const language = request.body.options?.raw?.language || 'text';
+    if (language === 'json') {
+      bodyType = 'json';
+    } else {
+      bodyType = 'raw';
+      bodyContentType = RAW_LANGUAGE_TYPES[language] || 'text/plain';
+    }
+  } else if (mode === 'urlencoded') {
+    bodyType = 'urlencoded';
+    formFields = (request.body.urlencoded || []).map(param => ({
+      key: param.key,
+      value: param.value ?? '',
+      enabled: !param.disabled,
+    }));
+  } else if (mode === 'formdata') {
+    bodyType = 'multipart';
+    formFields = (request.body.formdata || []).map(param => {
+      if (param.type !== 'file') {
+        return { key: param.key, value: param.value ?? '', enabled: !param.disabled };
+      }
+      summary.skipped.push(`${label}: file for form field "${param.key}" must be chosen again before sending`);
+      return { key: param.key, value: '', enabled: !param.disabled, type: 'file', file: null };
+    });
+  } else if (mode === 'file') {
+    bodyType = 'binary';
+    summary.skipped.push(`${label}: binary body file must be chosen again before sending`);
+  } else if (mode) {
+    summary.skipped.push(`${label}: ${mode} body is not supported and was dropped`);
+  }
+
+  // Requests without their own auth inherit it from the folder or collection
+  const auth = request.auth ? importAuth(request.auth, label, summary) : inheritedAuth;
+  // Request scripts run against a pm subset, so some may need adjusting
+  const scripts = {};
+  (item.event || []).forEach(event => {
+    const exec = event.script?.exec;
+    const code = Array.isArray(exec) ? exec.join('\n') : (exec || '');
+    if (event.listen !== 'prerequest' && event.listen !== 'test') {
+      summary.skipped.push(`${label}: ${event.listen} script was not imported`);
+      return;
+    }
+    const preRequest = event.listen === 'prerequest';
+    scripts[preRequest ? 'preRequest' : 'test'] = code;
+    const unsupported = unsupportedPmMembers(code);
+    if (unsupported.length > 0) {
+      const names = unsupported.map(member => `pm.${member}`).join(', ');
+      summary.skipped.push(`${label}: ${preRequest ? 'pre-request' : 'test'} script uses ${names}, which scripts here don't support`);
+    }
+  });
+  if (item.response?.length) {
+    summary.skipped.push(`${label}: ${item.response.length} saved example response(s) were not imported`);
+  }
+
+  summary.requests++;
+  return createRequestItem(item.name || 'Untitled Request', {
+    method: (request.method || 'GET').toUpperCase(),
+    url: toUrl(request.url),
+    headers,
+    body,
+    bodyType,
+    bodyContentType,
+    formFields,
+    auth,
+    scripts,
+  });
+};
+
+const mapItems = (items, path, summary, inheritedAuth) => (items || []).map(item => {
+  if (Array.isArray(item.item)) {
+    const label = [...path, item.name].join(' / ');
+    const folderAuth = item.auth ? importAuth(item.auth, `${label} (folder)`, summary) : inheritedAuth;
+    (item.event || []).forEach(event => {
+      summary.skipped.push(`${label}: folder ${event.listen} script was not imported`);
+    });
+    summary.folders++;
+    return {
+      ...createFolder(item.name || 'Untitled Folder'),
+      items: mapItems(item.item, [...path, item.name], summary, folderAuth),
+    };
+  }
+  return mapRequest(item, path, summary, inheritedAuth);
+});
+
+// Convert a Postman collection into a collection plus a summary of what couldn't be mapped
+export const importPostmanCollection = (json) => {
+  const data = typeof json === 'string' ? JSON.parse(json) : json;
+  if (!data || !data.info || !Array.isArray(data.item)) {
+    throw new Error('Not a Postman collection: missing "info" or "item"');
+  }
+  const summary = { requests: 0, folders: 0, variables: 0, skipped: [] };
+  if (data.info.schema && !data.info.schema.includes('v2.1')) {
+    summary.skipped.push(`Collection uses schema ${data.info.schema}; it was imported as v2.1 and may be incomplete`);
+  }
+
+  const variables = (data.variable || [])
+    .filter(variable => variable.key && !variable.disabled)
+    .map(variable => ({ key: variable.key, value: variable.value == null ? '' : String(variable.value) }));
+  summary.variables = variables.length;
+
+  const collectionAuth = data.auth ? importAuth(data.auth, 'Collection', summary) : null;
+  (data.event || []).forEach(event => {
+    summary.skipped.push(`Collection ${event.listen} script was not imported`);
+  });
+
+  const collection = {
+    ...createCollection(data.info.name || 'Imported Collection'),
+    items: mapItems(data.item, [], summary, collectionAuth),
+    variables,
+  };
+  return { collection, summary };
+};
+
+const toAttributes = (values) => Object.entries(values).map(([key, value]) => ({ key, value, type: 'string' }));
+
+const exportAuth = (auth) => {
+  if (auth.type === 'bearer') return { type: 'bearer', bearer: toAttributes({ token: auth.bearer.token }) };
+  if (auth.type === 'basic') return { type: 'basic', basic: toAttributes(auth.basic) };
+  if (auth.type === 'apikey') return { type: 'apikey', apikey: toAttributes(auth.apikey) };
+  if (auth.type === 'oauth2') {
+    const { oauth2 } = auth;
+    return {
+      type: 'oauth2',
+      oauth2: toAttributes({
+        grant_type: oauth2.grantType === 'authorization_code' ? 'authorization_code_with_pkce' : 'client_credentials',
+        accessTokenUrl: oauth2.tokenUrl,
+        authUrl: oauth2.authUrl,
+        clientId: oauth2.clientId,
+        clientSecret: oauth2.clientSecret,
+        scope: oauth2.scope,
+        redirect_uri: oauth2.redirectUri,
+        client_authentication: oauth2.clientAuth,
+      }),
+    };
+  }
+  return null;
+};
+
+const exportRequest = (node) => {
+  const request = {
+    method: node.method,
+    header: toRows(node.headers).map(({ key, value, enabled }) => ({
+      key,
+      value,
+      ...(enabled ? {} : { disabled: true }),
+    })),
+    url: { raw: node.url },
+  };
+  const { bodyType, bodyContentType, formFields = [] } = node;
+  const exportFields = (fields, withTypes) => fields.map(field => ({
+    key: field.key,
+    ...(field.type === 'file'
+      ? { type: 'file', src: field.file?.name || '' }
+      : { value: field.value, ...(withTypes ? { type: 'text' } : {}) }),
+    ...(field.enabled === false ? { disabled: true } : {}),
+  }));
+  if (bodyType === 'json' && node.body) {
+    request.body = { mode: 'raw', raw: node.body, options: { raw: { language: 'json' } } };
+  } else if (bodyType === 'raw' && node.body) {
+    request.body = { mode: 'raw', raw: node.body, options: { raw: { language: rawLanguage(bodyContentType || '') } } };
+  } else if (bodyType === 'urlencoded') {
+    request.body = { mode: 'urlencoded', urlencoded: exportFields(formFields, false) };
+  } else if (bodyType === 'multipart') {
+    request.body = { mode: 'formdata', formdata: exportFields(formFields, true) };
+  } else if (bodyType === 'binary') {
+    request.body = { mode: 'file', file: { src: node.binaryFile?.name || '' } };
+  }
+  const auth = node.auth && exportAuth(node.auth);
+  if (auth) request.auth = auth;
+  const event = [['prerequest', node.scripts?.preRequest], ['test', node.scripts?.test]]
+    .filter(([, code]) => code && code.trim())
+    .map(([listen, code]) => ({ listen, script: { type: 'text/javascript', exec: code.split('\n') } }));
+  return { name: node.name, ...(event.length ? { event } : {}), request };
+};
+
+const exportItems = (items) => items.map(node => (
+  node.type === 'folder'
+    ? { name: node.name, item: exportItems(node.items) }
+    : exportRequest(node)
+));
+
+// Convert a collection into Postman Collection v2.1 JSON
+export const exportPostmanCollection = (collection) => ({
+  info: {
+    name: collection.name,
+    schema: SCHEMA_V21,
+  },
+  item: exportItems(collection.items),
+  ...(collection.variables?.length
+    ? { variable: collection.variables.map(({ key, value }) => ({ key, value })) }
+    : {}),
+});
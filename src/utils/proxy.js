@@ -0,0 +1,60 @@
+// Sending requests through the local proxy (server/corsProxy.js), which the
+// Vite dev and preview servers run. The proxy makes the request server-side,
+// so CORS doesn't apply and headers browsers forbid, like Cookie, Origin and
+// Host, can be set.
+//
+// The browser can't set those headers even on a same-origin request, so the
+// target URL and the request headers travel in headers of their own. The
+// proxy answers with the target's status and body, and its full header list,
+// Set-Cookie included, in PROXY_HEADERS.responseHeaders.
+
+export const PROXY_PATH = '/__proxy';
+
+export const PROXY_HEADERS = {
+  target: 'x-proxy-target',
+  requestHeaders: 'x-proxy-headers',
+  responseHeaders: 'x-proxy-response-headers',
+  // Only set when the proxy followed redirects
+  finalUrl: 'x-proxy-final-url',
+  error: 'x-proxy-error',
+};
+
+// Header values must be Latin-1, so JSON is sent URI-encoded
+export const encodeHeaderList = (headers) => encodeURIComponent(JSON.stringify(headers));
+
+export const decodeHeaderList = (value) => {
+  try {
+    const headers = JSON.parse(decodeURIComponent(value || '[]'));
+    return Array.isArray(headers) ? headers.filter(header => Array.isArray(header) && header.length === 2).map(([key, value]) => [String(key), String(value)]) : [];
+  } catch {
+    return [];
+  }
+};
+
+// A request should use the proxy if it asks to or its environment does
+export const shouldProxy = (request, environment) => Boolean(request?.proxy || environment?.proxy);
+
+// fetch() through the proxy. Resolves with the proxy's response made to look
+// like the target's: its headers, final URL and redirected flag. A proxy that
+// couldn't reach the target rejects with a TypeError, as fetch() does.
+export const proxyFetch = async (url, { headers = [], ...options } = {}) => {
+  const response = await fetch(PROXY_PATH, {
+    ...options,
+    headers: [
+      [PROXY_HEADERS.target, url],
+      [PROXY_HEADERS.requestHeaders, encodeHeaderList(headers)],
+    ],
+  });
+  const error = response.headers.get(PROXY_HEADERS.error);
+  if (error !== null) throw new TypeError(`Proxy request failed: ${decodeURIComponent(error)}`);
+  if (!response.headers.has(PROXY_HEADERS.responseHeaders)) {
+    throw new Error('The local proxy is not available. It runs with the Vite dev server (npm run dev) and vite preview.');
+  }
+  const finalUrl = response.headers.get(PROXY_HEADERS.finalUrl);
+  Object.defineProperties(response, {
+    headers: { value: new Headers(decodeHeaderList(response.headers.get(PROXY_HEADERS.responseHeaders))) },
+    url: { value: finalUrl === null ? url : decodeURIComponent(finalUrl) },
+    redirected: { value: finalUrl !== null },
+  });
+  return response;
+};
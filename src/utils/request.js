@@ -0,0 +1,78 @@
+import { resolveRequest, resolveTemplate } from './environments';
+import { parseHeaderJson, serializeRows, toRows, findHeaderValue } from './keyValue';
+import { buildBody, defaultContentType, inferBodyType, serializeFields } from './requestBody';
+import { resolveAuth, authParams, appendQueryParams, REDACTED } from './auth';
+import { getCachedToken } from './oauth';
+
+export const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+// Validate the builder fields, resolve variables and build the fetch options.
+// Shared by sendRequest and the code generator so both see the same request.
+// Headers may be header rows or the raw JSON text from the headers editor.
+// OAuth 2.0 requests use options.accessToken, falling back to the cached token
+// (or a placeholder) so code snippets can be generated without a token request.
+export const prepareRequest = (request, variables, options = {}) => {
+  const { method, url, headers, body = '', formFields = [], binaryFile = null, bodyContentType } = request;
+  const bodyType = inferBodyType(request);
+  // Validate headers
+  const parsedHeaders = serializeRows(typeof headers === 'string' ? parseHeaderJson(headers) : toRows(headers));
+  // Resolve {{variables}} from the active environment
+  const resolved = resolveRequest({ url, headers: parsedHeaders, body }, variables);
+  const missing = new Set(resolved.missing);
+  const resolvedFields = formFields.map(field => (field.type === 'file'
+    ? { ...field, key: resolveTemplate(field.key, variables, missing) }
+    : { ...field, key: resolveTemplate(field.key, variables, missing), value: resolveTemplate(field.value, variables, missing) }
+  ));
+  const auth = resolveAuth(request.auth, variables, missing);
+  if (missing.size > 0) {
+    throw new Error(`Undefined variables: ${[...missing].join(', ')}`);
+  }
+  // Build the body for POST/PUT/PATCH
+  let builtBody = { body: undefined, text: '' };
+  if (BODY_METHODS.includes(method)) {
+    builtBody = buildBody({ bodyType, body: resolved.body, formFields: resolvedFields, binaryFile });
+  }
+  // Validate URL
+  if (!resolved.url.trim()) {
+    throw new Error('URL is required');
+  }
+  try {
+    new URL(resolved.url);
+  } catch {
+    throw new Error('Invalid URL format');
+  }
+  // Apply auth; headers set explicitly in the builder take precedence
+  const accessToken = auth.type === 'oauth2'
+    ? options.accessToken || getCachedToken(auth.oauth2)?.accessToken || '<access_token>'
+    : null;
+  const { headers: authHeaders, query: authQuery } = authParams(auth, accessToken);
+  const addedAuthHeaders = authHeaders.filter(([key]) => findHeaderValue(resolved.headers, key) === undefined);
+  // Set the Content-Type the body type implies unless a header overrides it
+  const contentType = builtBody.body !== undefined
+    ? defaultContentType({ bodyType, bodyContentType, binaryFile })
+    : null;
+  const contentTypeHeaders = contentType && findHeaderValue(resolved.headers, 'Content-Type') === undefined
+    ? [['Content-Type', contentType]]
+    : [];
+  const fetchOptions = {
+    method,
+    headers: [...resolved.headers, ...addedAuthHeaders, ...contentTypeHeaders],
+  };
+  if (builtBody.body !== undefined) {
+    fetchOptions.body = builtBody.body;
+  }
+  const redact = ([key]) => [key, REDACTED];
+  return {
+    url: appendQueryParams(resolved.url, authQuery),
+    fetchOptions,
+    parsedHeaders,
+    bodyType,
+    // What history keeps: the sent request with credential values masked
+    resolved: {
+      url: appendQueryParams(resolved.url, authQuery.map(redact)),
+      headers: [...resolved.headers, ...addedAuthHeaders.map(redact), ...contentTypeHeaders],
+      body: builtBody.text,
+      formFields: serializeFields(resolvedFields),
+    },
+  };
+};
@@ -0,0 +1,111 @@
+import { createRow } from './keyValue';
+
+// Request body types: building the fetch body, its default Content-Type and
+// a serializable description for history and collections
+
+export const BODY_TYPES = [
+  { id: 'none', label: 'None' },
+  { id: 'json', label: 'JSON' },
+  { id: 'raw', label: 'Raw' },
+  { id: 'urlencoded', label: 'x-www-form-urlencoded' },
+  { id: 'multipart', label: 'multipart/form-data' },
+  { id: 'binary', label: 'Binary' },
+];
+
+export const RAW_CONTENT_TYPES = [
+  'text/plain',
+  'application/xml',
+  'text/xml',
+  'application/soap+xml',
+  'text/html',
+  'text/csv',
+  'application/javascript',
+  'application/x-ndjson',
+];
+
+// File objects can't be stored, so history and collections keep only this
+export const fileMeta = (file) => (file ? { name: file.name, size: file.size, type: file.type || '' } : null);
+
+// Form fields without editor ids or File objects
+export const serializeFields = (fields) => (fields || [])
+  .filter(field => field.key || field.value || field.file)
+  .map(({ key, value, enabled, type, file }) => ({
+    key,
+    value: type === 'file' ? '' : value,
+    enabled: enabled !== false,
+    type: type || 'text',
+    ...(type === 'file' ? { file: file instanceof Blob ? fileMeta(file) : file || null } : {}),
+  }));
+
+// Editable rows for stored form fields
+export const toFieldRows = (fields) => (fields || []).map(field => ({
+  ...createRow(field.key ?? '', field.value ?? '', field.enabled !== false),
+  type: field.type || 'text',
+  file: field.file || null,
+}));
+
+// Form fields from an x-www-form-urlencoded string
+export const parseFormBody = (text) => toFieldRows(
+  [...new URLSearchParams(text)].map(([key, value]) => ({ key, value }))
+);
+
+// Older history entries and collections only ever had JSON bodies
+export const inferBodyType = (request) => request.bodyType || (request.body ? 'json' : 'none');
+
+// The Content-Type a body type implies, or null when the browser must choose it
+// (multipart needs the browser-generated boundary)
+export const defaultContentType = ({ bodyType, bodyContentType, binaryFile }) => {
+  if (bodyType === 'json') return 'application/json';
+  if (bodyType === 'raw') return bodyContentType || 'text/plain';
+  if (bodyType === 'urlencoded') return 'application/x-www-form-urlencoded';
+  if (bodyType === 'binary') return binaryFile?.type || 'application/octet-stream';
+  return null;
+};
+
+const enabledFields = (fields) => (fields || []).filter(field => field.enabled !== false && field.key);
+
+// Build the fetch body for a request whose text values are already resolved.
+// Returns the body to send and the text form used for history and snippets.
+export const buildBody = ({ bodyType, body, formFields, binaryFile }) => {
+  if (bodyType === 'json') {
+    if (!body.trim()) return { body: undefined, text: '' };
+    let parsed;
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      throw new Error('Invalid JSON in body');
+    }
+    const text = JSON.stringify(parsed);
+    return { body: text, text };
+  }
+  if (bodyType === 'raw') {
+    return { body: body || undefined, text: body };
+  }
+  if (bodyType === 'urlencoded') {
+    const params = new URLSearchParams();
+    enabledFields(formFields).forEach(field => params.append(field.key, field.value));
+    const text = params.toString();
+    return { body: text || undefined, text };
+  }
+  if (bodyType === 'multipart') {
+    const formData = new FormData();
+    enabledFields(formFields).forEach(field => {
+      if (field.type === 'file') {
+        if (!(field.file instanceof Blob)) {
+          throw new Error(`Select a file for form field "${field.key}"`);
+        }
+        formData.append(field.key, field.file, field.file.name);
+      } else {
+        formData.append(field.key, field.value);
+      }
+    });
+    return { body: formData, text: '' };
+  }
+  if (bodyType === 'binary') {
+    if (!(binaryFile instanceof Blob)) {
+      throw new Error('Select a file to send as the binary body');
+    }
+    return { body: binaryFile, text: '' };
+  }
+  return { body: undefined, text: '' };
+};
@@ -0,0 +1,151 @@
+// Classify response bodies by content type so images, PDFs, HTML and other
+// binary payloads are rendered properly instead of being decoded as text
+
+// History keeps binary bodies up to this size; larger ones keep only their start
+export const BINARY_HISTORY_LIMIT = 16 * 1024;
+// The hex view renders at most this many bytes
+export const HEX_VIEW_LIMIT = 4 * 1024;
+
+const TEXT_TYPES = [
+  /^text\//,
+  /[/+]json\b/,
+  /[/+]xml\b/,
+  /^application\/(javascript|ecmascript|x-www-form-urlencoded|graphql|x-ndjson|yaml|x-yaml|toml)\b/,
+];
+
+const EXTENSIONS = {
+  'application/json': 'json',
+  'application/pdf': 'pdf',
+  'application/xml': 'xml',
+  'application/zip': 'zip',
+  'application/gzip': 'gz',
+  'text/html': 'html',
+  'text/plain': 'txt',
+  'text/csv': 'csv',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg',
+};
+
+const mimeOf = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+// Without a Content-Type, treat the body as text when it is valid UTF-8 without control characters
+const looksLikeText = (bytes) => {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(bytes.subarray(0, 1024));
+    return ![...text].some(char => {
+      const code = char.charCodeAt(0);
+      return code < 9 || (code > 13 && code < 32);
+    });
+  } catch {
+    return false;
+  }
+};
+
+// One of: json, html, text, image, pdf, binary
+export const classifyBody = (contentType, bytes) => {
+  const mime = mimeOf(contentType);
+  if (mime === 'text/html' || mime === 'application/xhtml+xml') return 'html';
+  if (/[/+]json\b/.test(mime)) return 'json';
+  if (mime.startsWith('image/')) return 'image';
+  if (mime === 'application/pdf') return 'pdf';
+  if (TEXT_TYPES.some(pattern => pattern.test(mime))) return 'text';
+  if (!mime && bytes && looksLikeText(bytes)) return 'text';
+  return 'binary';
+};
+
+export const isBinaryKind = (kind) => ['image', 'pdf', 'binary'].includes(kind);
+
+// Filename from a Content-Disposition header, preferring the RFC 5987 filename*
+export const contentDispositionFilename = (header) => {
+  if (!header) return null;
+  const extended = header.match(/filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i);
+  if (extended) {
+    try {
+      return decodeURIComponent(extended[2].trim());
+    } catch {
+      return extended[2].trim();
+    }
+  }
+  const plain = header.match(/filename\s*=\s*("([^"]*)"|[^;]+)/i);
+  if (!plain) return null;
+  return (plain[2] ?? plain[1]).trim() || null;
+};
+
+// Content-Disposition first, then the last URL segment, then "response.<ext>"
+export const suggestFilename = ({ contentDisposition, url, contentType }) => {
+  const fromHeader = contentDispositionFilename(contentDisposition);
+  if (fromHeader) return fromHeader.replace(/[/\\]/g, '_');
+  const extension = EXTENSIONS[mimeOf(contentType)] || 'bin';
+  try {
+    const segment = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    if (segment.includes('.')) return segment;
+    if (segment) return `${segment}.${extension}`;
+  } catch {
+    // fall through to the generic name
+  }
+  return `response.${extension}`;
+};
+
+export const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+export const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+// Rows of 16 bytes: offset, hex pairs and printable ASCII
+export const hexRows = (bytes, limit = HEX_VIEW_LIMIT) => {
+  const rows = [];
+  const end = Math.min(bytes.length, limit);
+  for (let offset = 0; offset < end; offset += 16) {
+    const chunk = [...bytes.subarray(offset, Math.min(offset + 16, end))];
+    rows.push({
+      offset: offset.toString(16).padStart(8, '0'),
+      hex: chunk.map(byte => byte.toString(16).padStart(2, '0')).join(' '),
+      ascii: chunk.map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join(''),
+    });
+  }
+  return rows;
+};
+
+// The response body as the viewer needs it: its kind, a Blob for rendering
+// and saving, and the bytes for the hex view
+export const createResponseBody = ({ bytes, contentType, contentDisposition, url, truncated = false, totalBytes }) => ({
+  kind: classifyBody(contentType, bytes),
+  contentType: contentType || '',
+  bytes,
+  blob: new Blob([bytes], { type: mimeOf(contentType) || 'application/octet-stream' }),
+  size: totalBytes ?? bytes.length,
+  filename: suggestFilename({ contentDisposition, url, contentType }),
+  truncated,
+});
+
+// What history stores for a binary body: metadata plus at most
+// BINARY_HISTORY_LIMIT bytes, base64 encoded
+export const summarizeBinaryBody = (body) => ({
+  kind: body.kind,
+  contentType: body.contentType,
+  filename: body.filename,
+  size: body.size,
+  sample: toBase64(body.bytes.subarray(0, BINARY_HISTORY_LIMIT)),
+  truncated: body.truncated || body.bytes.length > BINARY_HISTORY_LIMIT,
+});
+
+// Rebuild the viewer body for a history entry
+export const responseBodyFromHistory = (item, contentType) => {
+  if (item.responseBody) {
+    const { sample, truncated, kind, size, filename } = item.responseBody;
+    const bytes = fromBase64(sample || '');
+    const body = createResponseBody({ bytes, contentType: item.responseBody.contentType, truncated, totalBytes: size });
+    // A truncated image or PDF can't be rendered, so fall back to the hex view
+    return { ...body, kind: truncated ? 'binary' : kind, filename: filename || body.filename };
+  }
+  if (!item.response) return null;
+  return createResponseBody({ bytes: new TextEncoder().encode(item.response), contentType, url: item.finalUrl || item.url });
+};
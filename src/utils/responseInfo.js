@@ -0,0 +1,163 @@
+// What sendRequest records about a response besides its body: headers,
+// cookies, sizes, redirect info and a timing breakdown. Everything here is
+// plain data so it can be saved in history and shown again later.
+
+export const TIMING_PHASES = [
+  { id: 'redirect', label: 'Redirect', color: 'bg-gray-400' },
+  { id: 'dns', label: 'DNS', color: 'bg-teal-500' },
+  { id: 'connect', label: 'Connect', color: 'bg-orange-400' },
+  { id: 'tls', label: 'TLS', color: 'bg-purple-500' },
+  { id: 'ttfb', label: 'TTFB', color: 'bg-green-500' },
+  { id: 'download', label: 'Download', color: 'bg-blue-500' },
+];
+
+export const formatBytes = (bytes) => {
+  if (bytes == null) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Start the clock for a request. Old resource entries are cleared first so
+// the browser's timing buffer (250 entries by default) never fills up.
+export const startTimingCapture = () => {
+  if (performance.getEntriesByType('resource').length > 200) {
+    performance.clearResourceTimings();
+  }
+  return performance.now();
+};
+
+// Read the body as bytes so the size is exact and binary bodies survive,
+// along with its text decoding
+export const readBody = async (response) => {
+  const data = new Uint8Array(await response.arrayBuffer());
+  return { data, text: new TextDecoder().decode(data), bytes: data.length };
+};
+
+// Parse one Set-Cookie line into its name, value and attributes
+export const parseSetCookie = (line) => {
+  const [pair, ...attributes] = line.split(';').map(part => part.trim());
+  const index = pair.indexOf('=');
+  const cookie = {
+    name: index === -1 ? pair : pair.slice(0, index),
+    value: index === -1 ? '' : pair.slice(index + 1),
+    source: 'set-cookie',
+  };
+  attributes.forEach(attribute => {
+    const [key, ...rest] = attribute.split('=');
+    const value = rest.join('=');
+    const name = key.toLowerCase();
+    if (name === 'domain') cookie.domain = value;
+    else if (name === 'path') cookie.path = value;
+    else if (name === 'expires') cookie.expires = value;
+    else if (name === 'max-age') cookie.maxAge = value;
+    else if (name === 'samesite') cookie.sameSite = value;
+    else if (name === 'secure') cookie.secure = true;
+    else if (name === 'httponly') cookie.httpOnly = true;
+  });
+  return cookie;
+};
+
+// Browsers hide Set-Cookie from scripts in most cases, so this is whatever
+// is exposed: Set-Cookie lines if any, plus document.cookie for same-origin URLs
+export const readCookies = (response) => {
+  const lines = typeof response.headers.getSetCookie === 'function' ? response.headers.getSetCookie() : [];
+  const cookies = lines.map(parseSetCookie);
+  let sameOrigin = false;
+  try {
+    sameOrigin = new URL(response.url).origin === window.location.origin;
+  } catch {
+    sameOrigin = false;
+  }
+  if (sameOrigin && document.cookie) {
+    document.cookie.split(';').forEach(pair => {
+      const index = pair.indexOf('=');
+      cookies.push({ name: pair.slice(0, index).trim(), value: pair.slice(index + 1).trim(), source: 'document' });
+    });
+  }
+  return cookies;
+};
+
+const findResourceEntry = (urls, since) => performance.getEntriesByType('resource')
+  .filter(entry => urls.includes(entry.name) && entry.startTime >= since - 1)
+  .pop() || null;
+
+// The resource entry is queued once the body is read, so give it a moment to appear
+const waitForResourceEntry = async (urls, since) => {
+  const entry = findResourceEntry(urls, since);
+  if (entry) return entry;
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return findResourceEntry(urls, since);
+};
+
+const phaseBetween = (entry, from, to) => (
+  from > 0 && to >= from ? { start: round(from - entry.startTime), duration: round(to - from) } : null
+);
+
+// Phases from PerformanceResourceTiming. Cross-origin servers must send
+// Timing-Allow-Origin for anything but the total to be exposed.
+const resourcePhases = (entry) => ({
+  redirect: phaseBetween(entry, entry.redirectStart, entry.redirectEnd),
+  dns: phaseBetween(entry, entry.domainLookupStart, entry.domainLookupEnd),
+  connect: phaseBetween(entry, entry.connectStart, entry.secureConnectionStart > 0 ? entry.secureConnectionStart : entry.connectEnd),
+  tls: entry.secureConnectionStart > 0 ? phaseBetween(entry, entry.secureConnectionStart, entry.connectEnd) : null,
+  ttfb: phaseBetween(entry, entry.requestStart, entry.responseStart),
+  download: phaseBetween(entry, entry.responseStart, entry.responseEnd),
+});
+
+const headersSize = (headers) => headers.reduce((sum, [key, value]) => sum + key.length + value.length + 4, 0);
+
+// Collect everything about a finished response. startedAt comes from
+// startTimingCapture, headersAt is when fetch resolved and finishedAt is when
+// the body was fully read.
+export const inspectResponse = async (response, { requestUrl, bodyBytes, startedAt, headersAt, finishedAt }) => {
+  const headers = [...response.headers.entries()];
+  const entry = await waitForResourceEntry([requestUrl, response.url], startedAt);
+  const detailed = Boolean(entry && entry.requestStart > 0);
+  const contentLength = Number(response.headers.get('content-length'));
+
+  const timing = {
+    total: Math.round(finishedAt - startedAt),
+    source: detailed ? 'resource-timing' : 'client',
+    phases: detailed
+      ? resourcePhases(entry)
+      : {
+        // Without resource timing only the client-side split is known
+        ttfb: { start: 0, duration: round(headersAt - startedAt) },
+        download: { start: round(headersAt - startedAt), duration: round(finishedAt - headersAt) },
+      },
+  };
+
+  return {
+    statusText: response.statusText,
+    responseHeaders: headers,
+    cookies: readCookies(response),
+    redirected: response.redirected,
+    finalUrl: response.url,
+    // Name of the mock route that answered, if one did
+    ...(response.mock ? { mock: response.mock } : {}),
+    responseSize: {
+      body: bodyBytes,
+      encoded: entry?.encodedBodySize || (Number.isFinite(contentLength) && contentLength > 0 ? contentLength : null),
+      transfer: entry?.transferSize || null,
+      headers: headersSize(headers),
+    },
+    timing,
+  };
+};
+
+// The inspector fields of a history entry, or null for older entries
+export const responseMetaOf = (item) => (item.responseHeaders || item.timing
+  ? {
+    statusText: item.statusText || '',
+    responseHeaders: item.responseHeaders || [],
+    cookies: item.cookies || [],
+    redirected: Boolean(item.redirected),
+    finalUrl: item.finalUrl || item.resolved?.url || item.url,
+    ...(item.mock ? { mock: item.mock } : {}),
+    responseSize: item.responseSize || null,
+    timing: item.timing || null,
+  }
+  : null);
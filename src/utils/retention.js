@@ -0,0 +1,135 @@
+import { byteLength, truncateToBytes, compressResponse } from './compression';
+
+// History retention: how many entries and days to keep, how much of each
+// response body to store, and freeing space when storage runs low. Pinned
+// entries are exempt from all of it and keep their full body. Sizes are UTF-8
+// bytes throughout.
+
+export const DEFAULT_RETENTION = {
+  // 0 means no limit
+  maxEntries: 0,
+  maxDays: 0,
+  maxResponseKB: 256,
+};
+
+// Free space once storage is this full, down to the lower mark
+const QUOTA_HIGH = 0.9;
+const QUOTA_LOW = 0.75;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_SAVE_ATTEMPTS = 4;
+
+export const normalizeRetention = (retention) => ({ ...DEFAULT_RETENTION, ...retention });
+
+export const isQuotaError = (error) => Boolean(error) && (
+  error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22
+);
+
+// Cap and compress an entry's response body for storage
+export const compactEntry = async (item, retention) => {
+  const { maxResponseKB } = normalizeRetention(retention);
+  const limit = maxResponseKB * 1024;
+  let entry = item;
+  if (!item.pinned && limit > 0 && typeof item.response === 'string') {
+    const { text, bytes } = truncateToBytes(item.response, limit);
+    if (bytes > limit) entry = { ...item, response: text, responseTruncated: bytes };
+  }
+  return compressResponse(entry);
+};
+
+// Entries (from store summaries, newest first) that retention removes
+export const planRetention = (summaries, retention, now = Date.now()) => {
+  const { maxEntries, maxDays } = normalizeRetention(retention);
+  const cutoff = maxDays > 0 ? now - maxDays * DAY_MS : null;
+  let kept = 0;
+  return summaries.filter(summary => {
+    if (summary.pinned) return false;
+    if (cutoff != null && new Date(summary.timestamp).getTime() < cutoff) return true;
+    kept++;
+    return maxEntries > 0 && kept > maxEntries;
+  }).map(summary => summary.id);
+};
+
+// The oldest unpinned entries adding up to at least bytes (at least one)
+export const planEviction = (summaries, bytes) => {
+  const ids = [];
+  let freed = 0;
+  for (const summary of [...summaries].reverse()) {
+    if (ids.length > 0 && freed >= bytes) break;
+    if (summary.pinned) continue;
+    ids.push(summary.id);
+    freed += summary.bytes;
+  }
+  return ids;
+};
+
+export const applyRetention = async (store, retention) => {
+  const ids = planRetention(await store.summaries(), retention);
+  if (ids.length > 0) await store.deleteMany(ids);
+  return ids.length;
+};
+
+const evict = async (store, bytes, summaries) => {
+  const ids = planEviction(summaries ?? await store.summaries(), bytes);
+  if (ids.length > 0) await store.deleteMany(ids);
+  return ids.length;
+};
+
+// Evict old entries if storage is nearly full. Usage can cover the whole
+// origin, so history only gives up space while it takes more than everything
+// else; past that, deleting it wouldn't free enough to matter.
+export const freeSpaceIfNeeded = async (store) => {
+  const { used, quota } = await store.usage();
+  if (!quota || used < quota * QUOTA_HIGH) return 0;
+  const summaries = await store.summaries();
+  const historyBytes = summaries.reduce((sum, summary) => sum + summary.bytes, 0);
+  const bytes = Math.min(used - quota * QUOTA_LOW, historyBytes - (used - historyBytes));
+  return bytes > 0 ? evict(store, bytes, summaries) : 0;
+};
+
+// Put an entry, evicting the oldest unpinned entries while storage is full.
+// Returns how many were evicted.
+const putWithEviction = async (store, entry) => {
+  const bytes = byteLength(JSON.stringify(entry));
+  let evicted = 0;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await store.put(entry);
+      return evicted;
+    } catch (error) {
+      if (!isQuotaError(error) || attempt === MAX_SAVE_ATTEMPTS) throw error;
+      // Free more room on each attempt
+      const freed = await evict(store, bytes * 2 ** attempt);
+      if (freed === 0) throw error;
+      evicted += freed;
+    }
+  }
+};
+
+// Save a history entry under the retention policy. If storage is full, the
+// oldest unpinned entries are evicted to make room rather than dropping the
+// new one. Returns how many entries retention removed and how many were
+// evicted for space, so the app can say so.
+export const saveHistoryEntry = async (store, item, retention) => {
+  let evicted = await putWithEviction(store, await compactEntry(item, retention));
+  const removed = await applyRetention(store, retention);
+  evicted += await freeSpaceIfNeeded(store);
+  return { removed, evicted };
+};
+
+// saveHistoryEntry for many entries, such as an import. They are written
+// together, or one at a time with eviction if they don't fit at once.
+export const saveHistoryEntries = async (store, items, retention) => {
+  const entries = await Promise.all(items.map(item => compactEntry(item, retention)));
+  let evicted = 0;
+  try {
+    await store.putMany(entries);
+  } catch (error) {
+    if (!isQuotaError(error)) throw error;
+    for (const entry of entries) evicted += await putWithEviction(store, entry);
+  }
+  const removed = await applyRetention(store, retention);
+  evicted += await freeSpaceIfNeeded(store);
+  return { removed, evicted };
+};
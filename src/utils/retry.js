@@ -0,0 +1,69 @@
+// Retry policy for flaky endpoints: which failures to retry, how many times,
+// and how long to wait in between (exponential backoff with jitter, or the
+// server's Retry-After when it sends one).
+
+export const DEFAULT_RETRY = {
+  enabled: false,
+  maxAttempts: 3,
+  statusCodes: [429, 502, 503, 504],
+  // Network errors and timeouts; cancelled requests are never retried
+  networkErrors: true,
+  baseDelay: 500,
+  maxDelay: 10000,
+};
+
+// Fill in missing fields on stored policies
+export const normalizeRetry = (retry) => ({ ...DEFAULT_RETRY, ...retry });
+
+export const parseStatusCodes = (text) => [...new Set(
+  text.split(/[\s,]+/).map(Number).filter(code => Number.isInteger(code) && code >= 100 && code <= 599)
+)];
+
+// Retry-After is either a number of seconds or an HTTP date; returns ms or null
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Exponential backoff with "equal jitter": half the delay is fixed, the other
+// half random, so retries from many clients spread out but never bunch at 0
+export const backoffDelay = (policy, attempt, random = Math.random) => {
+  const ceiling = Math.min(policy.maxDelay, policy.baseDelay * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+};
+
+// How long to wait before retrying after this attempt, or null to stop.
+// outcome is 'error' or 'timeout' for failures without a response.
+export const retryDelay = (retry, attempt, { status, outcome, retryAfter } = {}) => {
+  const policy = normalizeRetry(retry);
+  if (!policy.enabled || attempt >= policy.maxAttempts) return null;
+  if (outcome) {
+    return policy.networkErrors && (outcome === 'error' || outcome === 'timeout') ? backoffDelay(policy, attempt) : null;
+  }
+  if (!policy.statusCodes.includes(status)) return null;
+  // Respect Retry-After; if it asks for longer than the max delay, give up rather than hang
+  const requested = parseRetryAfter(retryAfter);
+  if (requested === null) return backoffDelay(policy, attempt);
+  return requested <= policy.maxDelay ? requested : null;
+};
+
+// Wait between attempts, rejecting with an AbortError if the request is cancelled
+export const waitForRetry = (ms, signal) => new Promise((resolve, reject) => {
+  const cancelled = () => new DOMException('Request was cancelled', 'AbortError');
+  if (signal?.aborted) {
+    reject(cancelled());
+    return;
+  }
+  const abort = () => {
+    clearTimeout(timer);
+    reject(cancelled());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', abort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', abort, { once: true });
+});
@@ -0,0 +1,270 @@
+import { withVariableChanges } from './execute';
+import { summarizeTests } from './scripts';
+import { WEBSOCKET_METHOD } from './websocket';
+
+// Collection runner: sends a collection's requests in order, once per
+// iteration, with each data row bound as variables, and builds a report.
+
+export const RUNNER_DEFAULTS = { iterations: 1, delay: 0, stopOnFailure: false };
+
+// Parse CSV with a header row into objects. Handles quoted fields, doubled
+// quotes and newlines inside quotes.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim()));
+  if (!header) return [];
+  const keys = header.map(key => key.trim());
+  return records.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ''])));
+};
+
+// Iteration data from a .json file (an array of objects) or a .csv file
+export const parseIterationData = (text, filename = '') => {
+  const trimmed = text.trim();
+  if (filename.toLowerCase().endsWith('.json') || trimmed.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error('Data file is not valid JSON');
+    }
+    if (!Array.isArray(data) || !data.every(row => row && typeof row === 'object' && !Array.isArray(row))) {
+      throw new Error('JSON data must be an array of objects');
+    }
+    // Variables are strings, like environment values
+    return data.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [
+      key,
+      typeof value === 'string' ? value : JSON.stringify(value),
+    ])));
+  }
+  const rows = parseCsv(text);
+  if (rows.length === 0) throw new Error('CSV data needs a header row and at least one row');
+  return rows;
+};
+
+// Requests under a collection or folder, depth first, with their folder path.
+// WebSocket requests are interactive, so runs leave them out.
+export const collectRequests = (items, path = []) => items.flatMap(node => {
+  if (node.type === 'folder') return collectRequests(node.items, [...path, node.name]);
+  return node.method === WEBSOCKET_METHOD ? [] : [{ node, path }];
+});
+
+const sleep = (ms, signal) => new Promise(resolve => {
+  if (ms <= 0 || signal?.aborted) {
+    resolve();
+    return;
+  }
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    resolve();
+  }, { once: true });
+});
+
+// A request passes when it got a response, its scripts ran and every test passed
+const toResult = ({ iteration, node, path }, outcome) => {
+  const scriptResults = outcome.scriptResults || null;
+  const tests = [scriptResults?.preRequest, scriptResults?.test].flatMap(result => result?.tests || []);
+  const scriptError = scriptResults?.test?.error || null;
+  const error = outcome.error || (scriptError ? `Test script failed: ${scriptError}` : null);
+  return {
+    iteration,
+    id: node.id,
+    name: node.name,
+    path,
+    method: node.method,
+    url: outcome.resolved?.url || node.url,
+    status: outcome.status ?? null,
+    statusText: outcome.statusText || '',
+    duration: outcome.duration ?? null,
+    size: outcome.size ?? null,
+    attempts: outcome.attempts || [],
+    tests,
+    error,
+    passed: !error && tests.every(test => test.passed),
+  };
+};
+
+// Run requests for each iteration. execute(request, variables) sends one
+// request (see executeRequest) and resolves with its outcome or rejects.
+// Variables set by scripts carry over to later requests; data rows override
+// them for their iteration. onResult is called after each request so the UI
+// can show progress. Aborting the signal stops the run; execute should
+// cancel the request in flight on the same signal.
+export const runCollection = async ({
+  name,
+  requests,
+  data = [],
+  iterations = RUNNER_DEFAULTS.iterations,
+  delay = RUNNER_DEFAULTS.delay,
+  stopOnFailure = RUNNER_DEFAULTS.stopOnFailure,
+  variables,
+  execute,
+  onResult,
+  signal,
+}) => {
+  const startedAt = new Date();
+  const results = [];
+  const iterationCount = data.length || Math.max(1, iterations);
+  let runVariables = { ...variables };
+  let stopped = null;
+
+  for (let iteration = 1; iteration <= iterationCount && !stopped; iteration++) {
+    const row = data[iteration - 1] || {};
+    for (const entry of requests) {
+      if (signal?.aborted) {
+        stopped = 'Stopped by user';
+        break;
+      }
+      if (results.length > 0) await sleep(delay, signal);
+      let outcome;
+      try {
+        const sent = await execute(entry.node, { ...runVariables, ...row });
+        runVariables = withVariableChanges(runVariables, sent.variableChanges);
+        outcome = {
+          status: sent.response.status,
+          statusText: sent.response.statusText,
+          duration: sent.duration,
+          size: sent.bytes,
+          resolved: sent.resolved,
+          scriptResults: sent.scriptResults,
+          attempts: sent.attempts,
+        };
+      } catch (error) {
+        runVariables = withVariableChanges(runVariables, error.variableChanges || {});
+        outcome = { error: error.message, scriptResults: error.scriptResults, attempts: error.attempts };
+      }
+      const result = toResult({ iteration, ...entry }, outcome);
+      results.push(result);
+      onResult?.(result, results);
+      if (signal?.aborted) {
+        stopped = 'Stopped by user';
+        break;
+      }
+      if (stopOnFailure && !result.passed) {
+        stopped = `Stopped after "${result.name}" failed`;
+        break;
+      }
+    }
+  }
+
+  return createReport({ name, results, startedAt, iterations: iterationCount, delay, stopOnFailure, stopped });
+};
+
+export const summarizeResults = (results) => {
+  const tests = summarizeTests({ test: { tests: results.flatMap(result => result.tests) } });
+  const timed = results.filter(result => result.duration != null);
+  return {
+    requests: results.length,
+    passed: results.filter(result => result.passed).length,
+    failed: results.filter(result => !result.passed).length,
+    errors: results.filter(result => result.error).length,
+    tests: tests.total,
+    testsPassed: tests.passed,
+    testsFailed: tests.failed,
+    averageDuration: timed.length ? Math.round(timed.reduce((sum, result) => sum + result.duration, 0) / timed.length) : null,
+  };
+};
+
+const createReport = ({ name, results, startedAt, iterations, delay, stopOnFailure, stopped }) => {
+  const finishedAt = new Date();
+  return {
+    name,
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    duration: finishedAt - startedAt,
+    iterations,
+    options: { delay, stopOnFailure },
+    stopped,
+    summary: summarizeResults(results),
+    results,
+  };
+};
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+
+const testCase = (name, className, time, child) => {
+  const open = `    <testcase name="${escapeXml(name)}" classname="${escapeXml(className)}" time="${time}"`;
+  return child ? `${open}>\n      ${child}\n    </testcase>` : `${open}/>`;
+};
+
+// JUnit XML: one testsuite per request run, one testcase per assertion.
+// Requests without tests get a single testcase for the request itself.
+export const reportToJUnit = (report) => {
+  const suites = report.results.map(result => {
+    const suiteName = [`Iteration ${result.iteration}`, ...result.path, result.name].join(' / ');
+    const className = [...result.path, result.name].join('.');
+    const time = seconds(result.duration);
+    const cases = result.tests.map(test => testCase(
+      test.name,
+      className,
+      time,
+      test.passed ? null : `<failure type="AssertionError" message="${escapeXml(test.error)}"/>`,
+    ));
+    if (result.error || cases.length === 0) {
+      cases.unshift(testCase(
+        `${result.method} ${result.url}`,
+        className,
+        time,
+        result.error ? `<error type="RequestError" message="${escapeXml(result.error)}"/>` : null,
+      ));
+    }
+    const failures = result.tests.filter(test => !test.passed).length;
+    return {
+      count: cases.length,
+      xml: [
+        `  <testsuite name="${escapeXml(suiteName)}" tests="${cases.length}" failures="${failures}" errors="${result.error ? 1 : 0}" time="${time}" timestamp="${report.startedAt}">`,
+        ...cases,
+        '  </testsuite>',
+      ].join('\n'),
+    };
+  });
+  const { summary } = report;
+  const total = suites.reduce((sum, suite) => sum + suite.count, 0);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(report.name || 'Collection run')}" tests="${total}" failures="${summary.testsFailed}" errors="${summary.errors}" time="${seconds(report.duration)}">`,
+    ...suites.map(suite => suite.xml),
+    '</testsuites>',
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,258 @@
+// The pm-like API that pre-request and test scripts run against. This module
+// is loaded inside the script Web Worker (see scriptWorker.js); it only sees
+// the plain data it is given and hands back plain results.
+
+class AssertionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssertionError';
+  }
+}
+
+const show = (value) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+};
+
+const deepEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => deepEqual(a[key], b[key]));
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// A small chai-style expect: expect(x).to.equal(y), .to.not.include(z), ...
+// An optional label is prefixed to failure messages.
+export const expect = (actual, label) => {
+  let negated = false;
+  const assert = (passed, message, negatedMessage) => {
+    if (passed === negated) throw new AssertionError(`${label ? `${label}: ` : ''}${negated ? negatedMessage : message}`);
+    return chain;
+  };
+  const chain = {
+    equal: (expected) => assert(actual === expected, `expected ${show(actual)} to equal ${show(expected)}`, `expected ${show(actual)} to not equal ${show(expected)}`),
+    eql: (expected) => assert(deepEqual(actual, expected), `expected ${show(actual)} to deeply equal ${show(expected)}`, `expected ${show(actual)} to not deeply equal ${show(expected)}`),
+    above: (limit) => assert(actual > limit, `expected ${show(actual)} to be above ${limit}`, `expected ${show(actual)} to be at most ${limit}`),
+    below: (limit) => assert(actual < limit, `expected ${show(actual)} to be below ${limit}`, `expected ${show(actual)} to be at least ${limit}`),
+    least: (limit) => assert(actual >= limit, `expected ${show(actual)} to be at least ${limit}`, `expected ${show(actual)} to be below ${limit}`),
+    most: (limit) => assert(actual <= limit, `expected ${show(actual)} to be at most ${limit}`, `expected ${show(actual)} to be above ${limit}`),
+    oneOf: (list) => assert(list.includes(actual), `expected ${show(actual)} to be one of ${show(list)}`, `expected ${show(actual)} to not be one of ${show(list)}`),
+    include: (item) => {
+      const passed = typeof actual === 'string' || Array.isArray(actual)
+        ? actual.includes(item)
+        : actual !== null && typeof actual === 'object' && Object.entries(item).every(([key, value]) => deepEqual(actual[key], value));
+      return assert(passed, `expected ${show(actual)} to include ${show(item)}`, `expected ${show(actual)} to not include ${show(item)}`);
+    },
+    match: (pattern) => assert(pattern.test(actual), `expected ${show(actual)} to match ${pattern}`, `expected ${show(actual)} to not match ${pattern}`),
+    property: (name, ...value) => {
+      const has = actual !== null && actual !== undefined && Object.prototype.hasOwnProperty.call(Object(actual), name);
+      if (value.length === 0) return assert(has, `expected ${show(actual)} to have property "${name}"`, `expected ${show(actual)} to not have property "${name}"`);
+      return assert(has && deepEqual(actual[name], value[0]), `expected property "${name}" to equal ${show(value[0])} but got ${show(actual?.[name])}`, `expected property "${name}" to not equal ${show(value[0])}`);
+    },
+    lengthOf: (length) => assert(actual?.length === length, `expected length ${length} but got ${actual?.length}`, `expected length to not be ${length}`),
+    a: (type) => assert(typeOf(actual) === type.toLowerCase(), `expected ${show(actual)} to be a ${type}`, `expected ${show(actual)} to not be a ${type}`),
+    get ok() { return assert(Boolean(actual), `expected ${show(actual)} to be truthy`, `expected ${show(actual)} to be falsy`); },
+    get true() { return assert(actual === true, `expected ${show(actual)} to be true`, `expected ${show(actual)} to not be true`); },
+    get false() { return assert(actual === false, `expected ${show(actual)} to be false`, `expected ${show(actual)} to not be false`); },
+    get null() { return assert(actual === null, `expected ${show(actual)} to be null`, `expected ${show(actual)} to not be null`); },
+    get undefined() { return assert(actual === undefined, `expected ${show(actual)} to be undefined`, `expected ${show(actual)} to not be undefined`); },
+    get exist() { return assert(actual !== null && actual !== undefined, `expected ${show(actual)} to exist`, `expected ${show(actual)} to not exist`); },
+    get empty() {
+      const size = typeof actual === 'object' && actual !== null && !Array.isArray(actual) ? Object.keys(actual).length : actual?.length;
+      return assert(size === 0, `expected ${show(actual)} to be empty`, `expected ${show(actual)} to not be empty`);
+    },
+    get not() {
+      negated = !negated;
+      return chain;
+    },
+  };
+  chain.an = chain.a;
+  chain.eq = chain.equal;
+  chain.includes = chain.include;
+  chain.contain = chain.include;
+  chain.length = chain.lengthOf;
+  // Language chains that only make assertions read naturally
+  ['to', 'be', 'been', 'is', 'that', 'which', 'and', 'has', 'have', 'with', 'at', 'of', 'same', 'deep'].forEach(word => {
+    Object.defineProperty(chain, word, { get: () => chain });
+  });
+  return chain;
+};
+
+// Case-insensitive access to [name, value] header pairs, editable for pre-request scripts
+const headerList = (pairs) => ({
+  get: (name) => pairs.find(([key]) => key.toLowerCase() === String(name).toLowerCase())?.[1],
+  has: (name) => pairs.some(([key]) => key.toLowerCase() === String(name).toLowerCase()),
+  toObject: () => Object.fromEntries(pairs),
+  all: () => pairs.map(([key, value]) => ({ key, value })),
+  add: (key, value) => {
+    pairs.push([String(key), String(value)]);
+  },
+  upsert: (key, value) => {
+    const index = pairs.findIndex(([name]) => name.toLowerCase() === String(key).toLowerCase());
+    if (index === -1) pairs.push([String(key), String(value)]);
+    else pairs[index] = [pairs[index][0], String(value)];
+  },
+  remove: (name) => {
+    for (let i = pairs.length - 1; i >= 0; i--) {
+      if (pairs[i][0].toLowerCase() === String(name).toLowerCase()) pairs.splice(i, 1);
+    }
+  },
+});
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const encode = (text) => new TextEncoder().encode(String(text));
+
+// Helpers for request signing, backed by WebCrypto
+const cryptoHelpers = {
+  sha256: async (message, encoding = 'hex') => {
+    const digest = await crypto.subtle.digest('SHA-256', encode(message));
+    return encoding === 'base64' ? toBase64(digest) : toHex(digest);
+  },
+  hmacSha256: async (key, message, encoding = 'hex') => {
+    const cryptoKey = await crypto.subtle.importKey('raw', encode(key), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, encode(message));
+    return encoding === 'base64' ? toBase64(signature) : toHex(signature);
+  },
+  base64: (text) => toBase64(encode(text)),
+  uuid: () => crypto.randomUUID(),
+};
+
+// Names hidden from scripts by shadowing them in the script's scope. That only
+// keeps honest scripts off them; scriptWorker.js takes the network, storage
+// and worker APIs off the global object itself.
+const BLOCKED_GLOBALS = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'Worker', 'indexedDB', 'caches', 'self', 'globalThis', 'postMessage'];
+
+// Everything executeScript's pm has; importers report scripts using anything else
+export const PM_MEMBERS = ['environment', 'variables', 'request', 'response', 'expect', 'crypto', 'test'];
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+// Run one script. phase is 'preRequest' or 'test'; request and response are
+// plain data. Returns tests, logs, variable changes, the (possibly edited)
+// request headers and url, and the error that stopped the script, if any.
+export const executeScript = async ({ phase, code, request, response, variables }) => {
+  const tests = [];
+  const logs = [];
+  const variableChanges = {};
+  const values = { ...variables };
+  const headers = (request.headers || []).map(([key, value]) => [key, value]);
+  const requestState = { url: request.url };
+  const pending = [];
+
+  const variableScope = {
+    get: (name) => values[name],
+    has: (name) => Object.prototype.hasOwnProperty.call(values, name),
+    set: (name, value) => {
+      values[name] = value == null ? '' : String(value);
+      variableChanges[name] = values[name];
+    },
+    unset: (name) => {
+      delete values[name];
+      variableChanges[name] = null;
+    },
+    toObject: () => ({ ...values }),
+  };
+
+  const log = (level) => (...args) => {
+    logs.push({ level, message: args.map(arg => (typeof arg === 'string' ? arg : show(arg))).join(' ') });
+  };
+
+  const pmResponse = response && {
+    code: response.status,
+    status: response.statusText,
+    responseTime: response.responseTime,
+    responseSize: response.responseSize,
+    headers: headerList(response.headers.map(([key, value]) => [key, value])),
+    text: () => response.body,
+    json: () => JSON.parse(response.body),
+  };
+  if (pmResponse) {
+    // Postman-style shortcuts: pm.response.to.have.status(200), pm.response.to.be.ok
+    const responseChain = {
+      have: {
+        status: (code) => expect(response.status).to.equal(code),
+        header: (name, ...value) => {
+          expect(pmResponse.headers.has(name), `header ${name}`).to.be.true;
+          if (value.length) expect(pmResponse.headers.get(name), `header ${name}`).to.equal(value[0]);
+        },
+        jsonBody: (...args) => {
+          const json = pmResponse.json();
+          if (args.length) expect(json).to.have.property(...args);
+        },
+      },
+      get be() {
+        return {
+          get ok() { return expect(response.status >= 200 && response.status < 300, 'status').to.be.true; },
+          get success() { return responseChain.be.ok; },
+          get clientError() { return expect(response.status >= 400 && response.status < 500, 'status').to.be.true; },
+          get serverError() { return expect(response.status >= 500, 'status').to.be.true; },
+        };
+      },
+    };
+    pmResponse.to = responseChain;
+  }
+
+  const pm = {
+    environment: variableScope,
+    variables: variableScope,
+    request: {
+      method: request.method,
+      get url() { return requestState.url; },
+      set url(value) { requestState.url = String(value); },
+      headers: headerList(headers),
+      body: request.body,
+    },
+    response: pmResponse,
+    expect,
+    crypto: cryptoHelpers,
+    test: (name, fn) => {
+      // Reserve the slot so async tests keep their order in the results
+      const index = tests.push(null) - 1;
+      const record = (error) => {
+        tests[index] = { name: String(name), passed: !error, error: error ? error.message : null };
+      };
+      try {
+        const result = fn();
+        if (result && typeof result.then === 'function') {
+          pending.push(result.then(() => record(null), record));
+        } else {
+          record(null);
+        }
+      } catch (error) {
+        record(error);
+      }
+    },
+  };
+
+  const sandboxConsole = { log: log('log'), info: log('info'), warn: log('warn'), error: log('error') };
+  let error = null;
+  try {
+    const run = new AsyncFunction('pm', 'expect', 'console', ...BLOCKED_GLOBALS, `'use strict';\n${code}`);
+    await run(pm, expect, sandboxConsole, ...BLOCKED_GLOBALS.map(() => undefined));
+    await Promise.all(pending);
+  } catch (err) {
+    error = `${err.name || 'Error'}: ${err.message}`;
+  }
+
+  return {
+    phase,
+    tests,
+    logs,
+    error,
+    variableChanges,
+    request: { url: requestState.url, headers },
+  };
+};
@@ -0,0 +1,28 @@
+import { executeScript } from './scriptRuntime';
+
+// Runs one pre-request or test script per message, away from the page's
+// DOM, storage and state. The page terminates the worker on timeout.
+
+// Taken before any script runs, so only the worker can answer the page
+const post = self.postMessage.bind(self);
+
+// No network, no nested workers, no storage and no messaging the page.
+// Scripts can reach the global object whatever names they are denied
+// (Function('return this')()), and the prototypes it inherits from, so these
+// are overwritten wherever they are defined. Module loading with import()
+// can't be blocked from here.
+const LOCKED_GLOBALS = [
+  'fetch', 'XMLHttpRequest', 'WebSocket', 'WebTransport', 'EventSource', 'importScripts', 'Worker', 'SharedWorker',
+  'indexedDB', 'caches', 'BroadcastChannel', 'postMessage',
+];
+
+for (let target = self; target; target = Object.getPrototypeOf(target)) {
+  LOCKED_GLOBALS
+    .filter(name => Object.prototype.hasOwnProperty.call(target, name))
+    .forEach(name => Object.defineProperty(target, name, { value: undefined, writable: false, configurable: false }));
+}
+
+self.onmessage = async (event) => {
+  const result = await executeScript(event.data);
+  post(result);
+};
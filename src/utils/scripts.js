@@ -0,0 +1,65 @@
+import { headerEntries } from './keyValue';
+
+// Pre-request and test scripts. Each run gets a fresh Web Worker, so scripts
+// can't touch the page, and a timeout that terminates runaway code.
+export const SCRIPT_TIMEOUT_MS = 5000;
+
+export const createScripts = () => ({ preRequest: '', test: '' });
+
+// Fill in missing scripts on stored requests
+export const normalizeScripts = (scripts) => ({ ...createScripts(), ...scripts });
+
+export const hasScripts = (scripts) => Boolean(scripts?.preRequest?.trim() || scripts?.test?.trim());
+
+export const SCRIPT_SNIPPETS = {
+  preRequest: [
+    { label: 'Set variable', code: "pm.environment.set('timestamp', Date.now());" },
+    { label: 'Add header', code: "pm.request.headers.upsert('X-Request-ID', pm.crypto.uuid());" },
+    {
+      label: 'HMAC signature',
+      code: "const signature = await pm.crypto.hmacSha256(pm.environment.get('secret'), pm.request.body || '');\npm.request.headers.upsert('X-Signature', signature);",
+    },
+  ],
+  test: [
+    { label: 'Status is 200', code: "pm.test('Status is 200', () => {\n  pm.response.to.have.status(200);\n});" },
+    { label: 'Response time', code: "pm.test('Response time is under 500ms', () => {\n  pm.expect(pm.response.responseTime).to.be.below(500);\n});" },
+    { label: 'JSON property', code: "pm.test('Body has an id', () => {\n  pm.expect(pm.response.json()).to.have.property('id');\n});" },
+    { label: 'Header present', code: "pm.test('Content-Type is set', () => {\n  pm.response.to.have.header('Content-Type');\n});" },
+    { label: 'Save to variable', code: "pm.environment.set('id', pm.response.json().id);" },
+  ],
+};
+
+// Run a script in a new worker and resolve with its results. Timeouts and
+// worker crashes resolve too, with the error set, so callers handle one shape.
+export const runScript = ({ phase, code, request, response = null, variables }) => new Promise((resolve) => {
+  const worker = new Worker(new URL('./scriptWorker.js', import.meta.url), { type: 'module' });
+  const finish = (result) => {
+    clearTimeout(timer);
+    worker.terminate();
+    resolve(result);
+  };
+  const failed = (error) => ({ phase, tests: [], logs: [], error, variableChanges: {}, request: null });
+  const timer = setTimeout(() => {
+    finish(failed(`Script timed out after ${SCRIPT_TIMEOUT_MS / 1000}s`));
+  }, SCRIPT_TIMEOUT_MS);
+  worker.onmessage = (event) => finish(event.data);
+  worker.onerror = (event) => {
+    event.preventDefault();
+    finish(failed(event.message || 'Script worker failed to start'));
+  };
+  worker.postMessage({
+    phase,
+    code,
+    request: { ...request, headers: headerEntries(request.headers) },
+    response,
+    variables,
+  });
+});
+
+// Pass/fail counts over the pre-request and test results of one send,
+// shown next to the status badge and in history
+export const summarizeTests = (results) => {
+  const tests = [results?.preRequest, results?.test].flatMap(result => result?.tests || []);
+  const passed = tests.filter(test => test.passed).length;
+  return { total: tests.length, passed, failed: tests.length - passed };
+};
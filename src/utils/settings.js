@@ -0,0 +1,35 @@
+import { DEFAULT_RETENTION } from './retention';
+
+// App-wide preferences, stored under one localStorage key
+const STORAGE_KEY = 'settings';
+
+export const DEFAULT_SETTINGS = {
+  // Default request timeout in ms; 0 waits for as long as the browser does
+  timeout: 30000,
+  // How much history to keep; see retention.js
+  retention: DEFAULT_RETENTION,
+};
+
+export const loadSettings = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored) return { ...DEFAULT_SETTINGS, ...JSON.parse(stored) };
+  } catch (error) {
+    console.error('Failed to load settings:', error);
+  }
+  return { ...DEFAULT_SETTINGS };
+};
+
+export const saveSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+  }
+};
+
+// A request's own timeout wins over the default; blank means use the default
+export const effectiveTimeout = (requestTimeout, defaultTimeout) => {
+  const own = Number(requestTimeout);
+  return requestTimeout !== '' && requestTimeout != null && Number.isFinite(own) && own >= 0 ? own : defaultTimeout;
+};
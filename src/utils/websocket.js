@@ -0,0 +1,192 @@
+import { createId } from './collections';
+
+// WebSocket mode. A WebSocket request is a request whose method is
+// WEBSOCKET_METHOD; it keeps its URL and subprotocols like any other request
+// and its message draft in the body. A session is everything from connecting
+// until the connection is closed for good, reconnects included, and goes to
+// history with a summary and its message log as the response.
+
+export const WEBSOCKET_METHOD = 'WS';
+
+const STORAGE_KEY = 'websocket';
+
+// History keeps the newest messages of long sessions
+const LOGGED_MESSAGE_LIMIT = 500;
+
+export const RECONNECT_DEFAULTS = { enabled: false, delay: 1000, maxAttempts: 5 };
+
+// Waits double after each failed attempt, up to this
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+export const isWebSocketUrl = (url) => /^wss?:\/\//i.test((url || '').trim());
+
+// Subprotocols from a comma- or space-separated list
+export const parseProtocols = (text) => (text || '').split(/[\s,]+/).filter(Boolean);
+
+export const createMessageTemplate = (name, body, format = 'text') => ({ id: createId(), name, body, format });
+
+// Message templates and reconnect preferences, shared by every WebSocket request
+export const loadWebSocketSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (stored) {
+      return {
+        templates: Array.isArray(stored.templates) ? stored.templates : [],
+        reconnect: { ...RECONNECT_DEFAULTS, ...stored.reconnect },
+      };
+    }
+  } catch (error) {
+    console.error('Failed to load WebSocket settings:', error);
+  }
+  return { templates: [], reconnect: RECONNECT_DEFAULTS };
+};
+
+export const saveWebSocketSettings = (settings) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('Failed to save WebSocket settings:', error);
+  }
+};
+
+// The text to send; JSON messages are checked first so typos don't go out
+export const prepareMessage = (text, format) => {
+  if (format !== 'json') return text;
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  return text;
+};
+
+// JSON objects and arrays pretty-printed; anything else as it is
+export const formatMessage = (data) => {
+  try {
+    const parsed = JSON.parse(data);
+    if (parsed !== null && typeof parsed === 'object') return { text: JSON.stringify(parsed, null, 2), json: true };
+  } catch {
+    // Not JSON
+  }
+  return { text: data, json: false };
+};
+
+const byteLength = (data) => (typeof data === 'string' ? new TextEncoder().encode(data).length : data.byteLength ?? data.size ?? 0);
+
+// Log entries: direction is 'sent', 'received' or 'event' (connection
+// events, with kind 'open', 'close', 'error' or 'reconnect')
+const logEntry = (direction, fields) => ({ id: createId(), time: new Date().toISOString(), direction, ...fields });
+
+const messageEntry = (direction, data) => (typeof data === 'string'
+  ? logEntry(direction, { data, size: byteLength(data) })
+  : logEntry(direction, { data: `[Binary message, ${byteLength(data)} bytes]`, binary: true, size: byteLength(data) }));
+
+const eventEntry = (kind, data, fields = {}) => logEntry('event', { kind, data, ...fields });
+
+// Connect, reconnecting after unexpected closes if reconnect.enabled says so.
+// onEntry gets each log entry; onStatus gets 'connecting', 'open',
+// 'reconnecting' and finally 'closed'.
+export const openWebSocketSession = ({ url, protocols = [], reconnect = RECONNECT_DEFAULTS, onEntry, onStatus }) => {
+  let socket = null;
+  let closedByUser = false;
+  let attempts = 0;
+  let timer = null;
+
+  const connect = () => {
+    onStatus('connecting');
+    try {
+      socket = new WebSocket(url, protocols);
+    } catch (error) {
+      // Bad URLs and subprotocols throw rather than fail the connection
+      onEntry(eventEntry('error', `Could not connect: ${error.message}`));
+      onStatus('closed');
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    socket.onopen = () => {
+      attempts = 0;
+      onEntry(eventEntry('open', `Connected${socket.protocol ? ` with subprotocol ${socket.protocol}` : ''}`, { protocol: socket.protocol }));
+      onStatus('open');
+    };
+    socket.onmessage = (event) => onEntry(messageEntry('received', event.data));
+    // Browsers don't say what went wrong; the close event that follows has the code
+    socket.onerror = () => onEntry(eventEntry('error', 'Connection error'));
+    socket.onclose = (event) => {
+      onEntry(eventEntry('close', `Closed with code ${event.code}${event.reason ? `: ${event.reason}` : ''}`, {
+        code: event.code,
+        reason: event.reason,
+      }));
+      if (closedByUser || !reconnect.enabled || attempts >= reconnect.maxAttempts) {
+        onStatus('closed');
+        return;
+      }
+      attempts++;
+      const wait = Math.min(MAX_RECONNECT_DELAY_MS, reconnect.delay * 2 ** (attempts - 1));
+      onEntry(eventEntry('reconnect', `Reconnecting in ${wait}ms (attempt ${attempts} of ${reconnect.maxAttempts})`));
+      onStatus('reconnecting');
+      timer = setTimeout(connect, wait);
+    };
+  };
+
+  connect();
+  return {
+    send: (data) => {
+      if (socket?.readyState !== WebSocket.OPEN) throw new Error('Not connected');
+      socket.send(data);
+      onEntry(messageEntry('sent', data));
+    },
+    close: (code = 1000, reason = '') => {
+      closedByUser = true;
+      clearTimeout(timer);
+      if (socket && socket.readyState < WebSocket.CLOSING) socket.close(code, reason);
+      else onStatus('closed');
+    },
+  };
+};
+
+export const summarizeSession = (entries) => {
+  const sent = entries.filter(entry => entry.direction === 'sent');
+  const received = entries.filter(entry => entry.direction === 'received');
+  const events = entries.filter(entry => entry.direction === 'event');
+  const lastClose = events.filter(entry => entry.kind === 'close').pop();
+  const total = (list) => list.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  return {
+    sent: sent.length,
+    received: received.length,
+    bytesSent: total(sent),
+    bytesReceived: total(received),
+    connections: events.filter(entry => entry.kind === 'open').length,
+    protocol: events.find(entry => entry.kind === 'open')?.protocol || '',
+    closeCode: lastClose?.code ?? null,
+    closeReason: lastClose?.reason || '',
+  };
+};
+
+// The history entry for a finished session. It got 101 Switching Protocols
+// if it connected at all, and no status otherwise, like a failed request.
+export const sessionHistoryEntry = ({ url, protocols, resolvedUrl, entries, startedAt, endedAt }) => {
+  const summary = summarizeSession(entries);
+  return {
+    method: WEBSOCKET_METHOD,
+    url,
+    ...(protocols ? { protocols } : {}),
+    resolved: { url: resolvedUrl },
+    statusCode: summary.connections > 0 ? 101 : 0,
+    duration: endedAt - startedAt,
+    response: JSON.stringify(entries.slice(-LOGGED_MESSAGE_LIMIT), null, 2),
+    websocket: { ...summary, ...(entries.length > LOGGED_MESSAGE_LIMIT ? { dropped: entries.length - LOGGED_MESSAGE_LIMIT } : {}) },
+  };
+};
+
+// The message log of a session stored by sessionHistoryEntry, or [] if the
+// text isn't one
+export const sessionEntriesOf = (text) => {
+  try {
+    const entries = JSON.parse(text);
+    return Array.isArray(entries) && entries.every(entry => entry && typeof entry.direction === 'string' && typeof entry.data === 'string')
+      ? entries
+      : [];
+  } catch {
+    return [];
+  }
+};
@@ -0,0 +1,188 @@
+import { serializeRows, toRows, rowsToHeaderJson, parseQueryRows, findHeaderValue } from './keyValue';
+import { fileMeta, serializeFields, toFieldRows, inferBodyType } from './requestBody';
+import { normalizeAuth, stripSecrets } from './auth';
+import { normalizeScripts } from './scripts';
+import { normalizeRetry } from './retry';
+import { responseMetaOf } from './responseInfo';
+import { isBinaryKind, summarizeBinaryBody, responseBodyFromHistory } from './responseBody';
+import { createId } from './collections';
+import { truncateToBytes } from './compression';
+import { OUTCOME_LABELS } from './execute';
+
+// Request tabs. The builder edits the active tab; every other tab keeps a
+// snapshot of the builder state it had, with its last response. Tabs are
+// stored under one localStorage key as drafts in the same shape as saved
+// requests, so they survive a reload. Drafts leave out credentials, as
+// history does; a restored tab lists the ones it lost in missingCredentials
+// so they can be asked for again.
+
+const STORAGE_KEY = 'workspace';
+
+// Response bodies over this many bytes are stored cut short; the full one is in history
+const STORED_RESPONSE_LIMIT = 64 * 1024;
+
+export const DEFAULT_REQUEST = { method: 'GET', url: '', bodyType: 'json' };
+
+export const EMPTY_RESPONSE = {
+  response: '',
+  responseMeta: null,
+  responseBody: null,
+  statusCode: null,
+  outcome: null,
+  duration: null,
+  scriptResults: null,
+  attempts: [],
+};
+
+// Builder state for a stored request of any shape: a draft, saved request,
+// history entry or parsed curl command
+export const restoreRequest = (request) => {
+  const headerRows = toRows(request.headers);
+  return {
+    method: request.method || 'GET',
+    url: request.url || '',
+    headerRows,
+    headerMode: request.headerMode || 'table',
+    headersText: rowsToHeaderJson(headerRows),
+    headersError: '',
+    paramRows: request.params ? toRows(request.params) : parseQueryRows(request.url || ''),
+    editorTab: request.editorTab || 'headers',
+    body: request.body || '',
+    bodyType: inferBodyType(request),
+    bodyContentType: request.bodyContentType || 'text/plain',
+    formFields: toFieldRows(request.formFields),
+    binaryFile: request.binaryFile || null,
+    auth: normalizeAuth(request.auth),
+    scripts: normalizeScripts(request.scripts),
+    requestTimeout: request.timeout ?? '',
+    retry: normalizeRetry(request.retry),
+    proxy: Boolean(request.proxy),
+    protocols: request.protocols || '',
+  };
+};
+
+// The storable draft of builder state (files as metadata only, no credentials)
+export const draftOf = (state) => ({
+  method: state.method,
+  url: state.url,
+  headers: serializeRows(state.headerRows),
+  params: serializeRows(state.paramRows),
+  body: state.body,
+  bodyType: state.bodyType,
+  bodyContentType: state.bodyContentType,
+  formFields: serializeFields(state.formFields),
+  binaryFile: state.binaryFile instanceof Blob ? fileMeta(state.binaryFile) : state.binaryFile,
+  auth: stripSecrets(state.auth).auth,
+  scripts: state.scripts,
+  timeout: state.requestTimeout,
+  retry: state.retry,
+  proxy: state.proxy,
+  // Only WebSocket requests have any; leaving it out otherwise keeps older baselines valid
+  ...(state.protocols ? { protocols: state.protocols } : {}),
+  headerMode: state.headerMode,
+  editorTab: state.editorTab,
+});
+
+// Compared against a tab's baseline to tell whether it has unsaved changes;
+// which editor tab or header view is showing doesn't count
+export const draftKey = (draft) => {
+  const { headerMode: _headerMode, editorTab: _editorTab, ...request } = draft;
+  return JSON.stringify(request);
+};
+
+// Response state in the shape history stores, or null if there is none
+export const storedResponseOf = (state) => {
+  if (state.statusCode == null && state.outcome == null && !state.response) return null;
+  const { text, bytes } = truncateToBytes(state.response, STORED_RESPONSE_LIMIT);
+  return {
+    response: text,
+    ...(bytes > STORED_RESPONSE_LIMIT ? { responseTruncated: bytes } : {}),
+    statusCode: state.statusCode,
+    outcome: state.outcome,
+    duration: state.duration,
+    scriptResults: state.scriptResults,
+    attempts: state.attempts,
+    ...state.responseMeta,
+    ...(state.responseBody && isBinaryKind(state.responseBody.kind) ? { responseBody: summarizeBinaryBody(state.responseBody) } : {}),
+  };
+};
+
+// Response state for a history entry or stored tab response
+export const restoreResponse = (item) => (item
+  ? {
+    response: item.response || '',
+    responseMeta: responseMetaOf(item),
+    responseBody: responseBodyFromHistory(item, findHeaderValue(item.responseHeaders, 'Content-Type')),
+    statusCode: item.statusCode ?? null,
+    // Only cancelled and timed out requests show as an outcome
+    outcome: OUTCOME_LABELS[item.outcome] ? item.outcome : null,
+    duration: item.duration ?? null,
+    scriptResults: item.scriptResults || null,
+    attempts: item.attempts || [],
+  }
+  : EMPTY_RESPONSE);
+
+// A tab starts out without unsaved changes
+export const createTab = (request, response = EMPTY_RESPONSE, name = '') => ({
+  id: createId(),
+  name,
+  request,
+  response,
+  baseline: draftKey(draftOf(request)),
+});
+
+// The tab's saved request name, or the last part of its URL path
+export const tabTitle = (name, url) => {
+  if (name) return name;
+  try {
+    const { host, pathname } = new URL(url);
+    return pathname.split('/').filter(Boolean).slice(-2).join('/') || host;
+  } catch {
+    return url || 'New request';
+  }
+};
+
+const defaultWorkspace = () => {
+  const tab = createTab(restoreRequest(DEFAULT_REQUEST));
+  return { tabs: [tab], activeId: tab.id };
+};
+
+export const loadWorkspace = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored?.tabs) && stored.tabs.length > 0) {
+      const tabs = stored.tabs.map(tab => ({
+        id: tab.id,
+        name: tab.name || '',
+        request: restoreRequest(tab.request),
+        response: restoreResponse(tab.response),
+        baseline: tab.baseline,
+        missingCredentials: Array.isArray(tab.missingCredentials) ? tab.missingCredentials : [],
+      }));
+      const activeId = tabs.some(tab => tab.id === stored.activeId) ? stored.activeId : tabs[0].id;
+      return { tabs, activeId };
+    }
+  } catch (error) {
+    console.error('Failed to load workspace:', error);
+  }
+  return defaultWorkspace();
+};
+
+// tabs hold builder and response state, as in memory
+export const saveWorkspace = (tabs, activeId) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({
+      activeId,
+      tabs: tabs.map(tab => ({
+        id: tab.id,
+        name: tab.name,
+        baseline: tab.baseline,
+        request: draftOf(tab.request),
+        missingCredentials: [...new Set([...stripSecrets(tab.request.auth).removed, ...(tab.missingCredentials || [])])],
+        response: storedResponseOf(tab.response),
+      })),
+    }));
+  } catch (error) {
+    console.error('Failed to save workspace:', error);
+  }
+};